@@ -4,6 +4,7 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { registerTaskMasterTools } from './tools/index.js';
+import { clearCache } from './tools/cache-utils.js';
 import logger from './logger.js';
 
 // Load environment variables
@@ -79,6 +80,7 @@ class TaskMasterMCPServer {
     if (this.server) {
       logger.info('Stopping Task Master MCP Server');
       await this.server.stop();
+      clearCache();
       logger.info('Task Master MCP Server stopped');
     }
   }
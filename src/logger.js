@@ -13,6 +13,8 @@ if (!fs.existsSync(logsDir)) {
 
 const logFile = path.join(logsDir, 'task-master-mcp.log');
 
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
 /**
  * Simple logger that writes to file instead of console
  * to avoid interfering with MCP stdio communication
@@ -20,9 +22,24 @@ const logFile = path.join(logsDir, 'task-master-mcp.log');
 class Logger {
   constructor() {
     this.logFile = logFile;
+    this.level = 'info';
+  }
+
+  /**
+   * Apply a project's log settings (global.logLevel and global.debug in
+   * config.json); unknown values fall back to logging info and above
+   * @param {Object} [settings] - { logLevel, debug }
+   */
+  configure(settings) {
+    const { logLevel, debug } = settings || {};
+    this.level = debug === true ? 'debug' : LOG_LEVELS.includes(logLevel) ? logLevel : 'info';
   }
 
   _writeLog(level, message, meta = null) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.level)) {
+      return;
+    }
+
     const timestamp = new Date().toISOString();
     const logEntry = {
       timestamp,
@@ -2,12 +2,16 @@ import { z } from 'zod';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
-  createErrorResponse,
-  readJSON,
-  writeJSON,
-  findTaskById,
-  getTasksFilePath
+  createErrorResponse
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import {
+  buildDependencyGraph,
+  createCycleWarning,
+  findDependencyPath,
+  formatDependencyPath,
+  getDependencyKey
+} from './dependency-utils.js';
 
 /**
  * Register the add-dependency tool
@@ -21,34 +25,39 @@ export function registerAddDependencyTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       taskId: z
         .string()
         .describe('ID of the task that will have the dependency (can be task or subtask ID like \"5\" or \"5.2\")'),
       dependsOn: z
         .string()
-        .describe('ID of the task that becomes a dependency (can be task or subtask ID like \"3\" or \"3.1\")')
+        .describe('ID of the task that becomes a dependency (can be task or subtask ID like \"3\" or \"3.1\")'),
+      force: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('Add the dependency even if it creates a circular dependency. A warning is recorded on the task')
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, taskId, dependsOn } = args;
+        const { projectRoot, tag, taskId, dependsOn, force } = args;
         
         logger.info(`Adding dependency: task ${taskId} depends on ${dependsOn}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        const data = readJSON(tasksPath);
-        
-        if (!data || !data.tasks) {
-          return createErrorResponse(`No tasks found in ${tasksPath}. Run init first to create the project structure.`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag);
+        const { data } = repository;
         
         // Find the target task
-        const targetResult = findTaskById(data.tasks, taskId);
+        const targetResult = repository.find(taskId);
         if (!targetResult) {
           return createErrorResponse(`Task ${taskId} not found`);
         }
         
         // Find the dependency task
-        const dependencyResult = findTaskById(data.tasks, dependsOn);
+        const dependencyResult = repository.find(dependsOn);
         if (!dependencyResult) {
           return createErrorResponse(`Dependency task ${dependsOn} not found`);
         }
@@ -61,6 +70,19 @@ export function registerAddDependencyTool(server) {
           return createErrorResponse('A task cannot depend on itself');
         }
         
+        // Check for transitive circular dependency: if dependsOn already
+        // (indirectly) depends on taskId, the new edge would close a loop
+        const cyclePath = findDependencyPath(
+          buildDependencyGraph(data.tasks),
+          getDependencyKey(dependsOn),
+          getDependencyKey(taskId)
+        );
+        const cycle = cyclePath ? formatDependencyPath([getDependencyKey(taskId), ...cyclePath]) : null;
+        
+        if (cycle && !force) {
+          return createErrorResponse(`Adding this dependency would create a circular dependency: ${cycle}. Use force to add it anyway`);
+        }
+        
         // Initialize dependencies array if it doesn't exist
         if (!targetTask.dependencies) {
           targetTask.dependencies = [];
@@ -88,17 +110,20 @@ export function registerAddDependencyTool(server) {
         // Add the dependency
         targetTask.dependencies.push(dependencyId);
         
-        // Update timestamp
-        if (targetResult.parent) {
-          targetResult.parent.updatedAt = new Date().toISOString();
-        } else {
-          targetTask.updatedAt = new Date().toISOString();
+        // Record forced circular dependencies on the task
+        if (cycle) {
+          if (!targetTask.warnings) {
+            targetTask.warnings = [];
+          }
+          targetTask.warnings.push(createCycleWarning(dependencyId, cycle));
+          logger.warn(`Forced circular dependency: ${cycle}`);
         }
         
+        // Update timestamp
+        repository.touch(taskId);
+        
         // Save updated data
-        if (!writeJSON(tasksPath, data)) {
-          return createErrorResponse('Failed to save updated tasks');
-        }
+        repository.save({ tool: 'add_dependency', args });
         
         const result = {
           success: true,
@@ -118,6 +143,10 @@ export function registerAddDependencyTool(server) {
           allDependencies: targetTask.dependencies
         };
         
+        if (cycle) {
+          result.warning = `Circular dependency created: ${cycle}. Tasks in this loop can never become available in next_task until it is broken`;
+        }
+        
         logger.info(`Added dependency: ${taskId} -> ${dependsOn}`);
         
         return createContentResponse(result);
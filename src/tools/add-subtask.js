@@ -2,13 +2,9 @@ import { z } from 'zod';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
-  createErrorResponse,
-  readJSON,
-  writeJSON,
-  findTaskById,
-  getNextTaskId,
-  getTasksFilePath
+  createErrorResponse
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
 
 /**
  * Register the add-subtask tool
@@ -22,6 +18,10 @@ export function registerAddSubtaskTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       parentId: z
         .number()
         .describe('ID of the parent task to add the subtask to'),
@@ -54,22 +54,15 @@ export function registerAddSubtaskTool(server) {
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, parentId, existingTaskId, title, description, details, dependencies, status } = args;
+        const { projectRoot, tag, parentId, existingTaskId, title, description, details, dependencies, status } = args;
         
         logger.info(`Adding subtask to parent task ${parentId}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        const data = readJSON(tasksPath);
-        
-        if (!data || !data.tasks) {
-          return createErrorResponse(`No tasks found in ${tasksPath}. Run init first to create the project structure.`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag);
+        const { data } = repository;
         
         // Find the parent task
-        const parentTask = data.tasks.find(t => t.id === parentId);
-        if (!parentTask) {
-          return createErrorResponse(`Parent task with ID ${parentId} not found`);
-        }
+        const parentTask = repository.getTask(parentId);
         
         // Initialize subtasks array if it doesn't exist
         if (!parentTask.subtasks) {
@@ -98,10 +91,7 @@ export function registerAddSubtaskTool(server) {
             return createErrorResponse('Cannot make a task a subtask of itself');
           }
           
-          // Find the highest subtask ID to determine the next ID
-          const highestSubtaskId = parentTask.subtasks.length > 0 ? 
-            Math.max(...parentTask.subtasks.map(st => st.id)) : 0;
-          const newSubtaskId = highestSubtaskId + 1;
+          const newSubtaskId = repository.nextSubtaskId(parentTask);
           
           // Create subtask from existing task
           newSubtask = {
@@ -120,10 +110,7 @@ export function registerAddSubtaskTool(server) {
             return createErrorResponse('Title is required when creating a new subtask');
           }
           
-          // Find the highest subtask ID to determine the next ID
-          const highestSubtaskId = parentTask.subtasks.length > 0 ? 
-            Math.max(...parentTask.subtasks.map(st => st.id)) : 0;
-          const newSubtaskId = highestSubtaskId + 1;
+          const newSubtaskId = repository.nextSubtaskId(parentTask);
           
           newSubtask = {
             id: newSubtaskId,
@@ -147,9 +134,7 @@ export function registerAddSubtaskTool(server) {
         parentTask.updatedAt = new Date().toISOString();
         
         // Save updated data
-        if (!writeJSON(tasksPath, data)) {
-          return createErrorResponse('Failed to save updated tasks');
-        }
+        repository.save({ tool: 'add_subtask', args });
         
         const result = {
           success: true,
@@ -1,11 +1,11 @@
 import { z } from 'zod';
-import fs from 'fs';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
-  createErrorResponse,
-  getTasksFilePath
+  createErrorResponse
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { getConfig } from './config-utils.js';
 
 /**
  * Register the add-task tool
@@ -19,6 +19,10 @@ export function registerAddTaskTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       prompt: z
         .string()
         .describe('Description of the task to add (required for AI-driven creation)'),
@@ -45,39 +49,25 @@ export function registerAddTaskTool(server) {
       priority: z
         .string()
         .optional()
-        .describe('Task priority (high, medium, low)')
+        .describe('Task priority (high, medium, low). Defaults to the configured defaultPriority')
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, prompt, dependencies, priority, research, keywords, flowNames } = args;
+        const { projectRoot, tag, prompt, dependencies, research, keywords, flowNames } = args;
+        const priority = args.priority || getConfig(projectRoot).global.defaultPriority;
         
         logger.info(`Preparing task creation instructions with prompt: "${prompt}"`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        
-        // Read existing tasks or create new structure
-        let tasksData;
-        if (fs.existsSync(tasksPath)) {
-          try {
-            tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-            if (!tasksData || !tasksData.tasks) {
-              tasksData = { tasks: [] };
-            }
-          } catch (error) {
-            return createErrorResponse(`Failed to read tasks file: ${error.message}`);
-          }
-        } else {
-          tasksData = { tasks: [] };
-        }
+        // Read existing tasks or start a new task list
+        const repository = loadTaskRepository(projectRoot, tag, { allowMissing: true });
         
         // Find the highest task ID to determine the next ID
-        const highestId = tasksData.tasks.length > 0 ? Math.max(...tasksData.tasks.map(t => t.id)) : 0;
-        const newTaskId = highestId + 1;
+        const newTaskId = repository.nextTaskId();
         
         // Validate dependencies
         const invalidDeps = dependencies.filter(depId => {
           const numDepId = parseInt(depId, 10);
-          return isNaN(numDepId) || !tasksData.tasks.some(t => t.id === numDepId);
+          return isNaN(numDepId) || !repository.tasks.some(t => t.id === numDepId);
         });
         
         const validDependencies = dependencies.filter(depId => !invalidDeps.includes(depId));
@@ -85,10 +75,10 @@ export function registerAddTaskTool(server) {
         // Build context for AI about existing tasks for semantic analysis
         let contextTasks = '';
         
-        if (tasksData.tasks.length > 0) {
+        if (repository.tasks.length > 0) {
           // Build context with task relationships and semantic similarity
           const taskMap = {};
-          tasksData.tasks.forEach(t => {
+          repository.tasks.forEach(t => {
             taskMap[t.id] = {
               id: t.id,
               title: t.title,
@@ -100,7 +90,7 @@ export function registerAddTaskTool(server) {
           
           // Find tasks that might be semantically related
           const promptLower = prompt.toLowerCase();
-          const relatedTasks = tasksData.tasks.filter(t => {
+          const relatedTasks = repository.tasks.filter(t => {
             const taskText = `${t.title} ${t.description} ${t.details || ''}`.toLowerCase();
             return promptLower.split(' ').some(word => 
               word.length > 3 && taskText.includes(word)
@@ -121,7 +111,7 @@ export function registerAddTaskTool(server) {
               contextTasks += `Priority: ${task.priority || 'medium'}\n`;
               if (task.dependencies && task.dependencies.length > 0) {
                 const depList = task.dependencies.map(depId => {
-                  const depTask = tasksData.tasks.find(t => t.id === depId);
+                  const depTask = repository.tasks.find(t => t.id === depId);
                   return depTask ? `Task ${depId} (${depTask.title})` : `Task ${depId}`;
                 });
                 contextTasks += `Dependencies: ${depList.join(', ')}\n`;
@@ -136,7 +126,7 @@ export function registerAddTaskTool(server) {
           }
           
           // Add recent tasks for context
-          const recentTasks = [...tasksData.tasks]
+          const recentTasks = [...repository.tasks]
             .sort((a, b) => b.id - a.id)
             .slice(0, 5);
           
@@ -226,12 +216,17 @@ ${userPrompt}
 **YOUR NEXT ACTION:**
 Please now analyze the prompt and existing task context provided above and generate the new task JSON according to the specifications. Once you create the JSON response, you should:
 
-1. Parse the task data from your response
-2. Create a new task object with ID ${newTaskId}, status 'pending', and priority '${priority || 'medium'}'
-3. Validate any AI-suggested dependencies and merge with user-provided dependencies: ${JSON.stringify(validDependencies)}
-4. Add the new task to ${tasksPath}
-5. Use the generate_task_files tool to create individual task files
-6. Confirm the task was created successfully
+1. Call apply_ai_result with:
+   - projectRoot: "${projectRoot}"
+   - action: "add_task"${tag ? `
+   - tag: "${tag}"` : ''}
+   - result: [the task JSON exactly as you generated it]
+   - priority: "${priority}"
+   - dependencies: ${JSON.stringify(validDependencies)}
+   It creates task ${newTaskId} with status 'pending', merges and validates the dependencies and saves it to ${repository.location}
+2. If apply_ai_result reports violations, correct the JSON and call it again - do not edit ${repository.location} by hand
+3. Use the generate_task_files tool to create individual task files
+4. Confirm the task was created successfully
 
 **VALIDATION NOTES:**
 - Invalid dependencies provided by user (if any): ${JSON.stringify(invalidDeps)}
@@ -243,17 +238,17 @@ Please proceed with creating the new task now based on the prompt and instructio
         const result = {
           success: true,
           action: 'add_task_guidance',
-          targetFile: tasksPath,
+          targetFile: repository.location,
           parameters: {
             newTaskId,
             prompt,
             dependencies: validDependencies,
             invalidDependencies: invalidDeps,
-            priority: priority || 'medium',
+            priority,
             keywords,
             flowNames,
             research,
-            existingTasksCount: tasksData.tasks.length
+            existingTasksCount: repository.tasks.length
           },
           instructions
         };
@@ -1,20 +1,23 @@
 import { z } from 'zod';
 import fs from 'fs';
-import path from 'path';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
   createErrorResponse,
-  getTasksFilePath
+  getComplexityReportPath
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { getConfig } from './config-utils.js';
 
 /**
  * Calculate batch configuration for complexity analysis
  * @param {Array} tasks - Tasks to analyze
  * @param {number} requestedBatchSize - User requested batch size
+ * @param {Object} budget - Token budget (the batch section of the project config)
  * @returns {Object} Batch configuration
  */
-function calculateBatchConfig(tasks, requestedBatchSize = null) {
+function calculateBatchConfig(tasks, requestedBatchSize, budget) {
+  const { complexityTokenLimit, complexityTokensPerBatch, complexityMaxTasksPerBatch } = budget;
   const totalTasks = tasks.length;
   const avgTaskSize = JSON.stringify(tasks).length / totalTasks;
   
@@ -24,9 +27,9 @@ function calculateBatchConfig(tasks, requestedBatchSize = null) {
   let batchSize;
   if (requestedBatchSize) {
     batchSize = Math.min(requestedBatchSize, totalTasks);
-  } else if (estimatedTokens > 20000) { // Conservative limit for complexity analysis
-    batchSize = Math.max(1, Math.floor(15000 / (avgTaskSize / 4))); // Target ~15k tokens per batch
-    batchSize = Math.min(batchSize, 10); // Max 10 tasks per batch for complexity analysis
+  } else if (estimatedTokens > complexityTokenLimit) { // Conservative limit for complexity analysis
+    batchSize = Math.max(1, Math.floor(complexityTokensPerBatch / (avgTaskSize / 4)));
+    batchSize = Math.min(batchSize, complexityMaxTasksPerBatch);
   } else {
     batchSize = totalTasks; // Process all at once
   }
@@ -55,6 +58,10 @@ export function registerAnalyzeTaskComplexityTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       threshold: z
         .number()
         .optional()
@@ -90,6 +97,7 @@ export function registerAnalyzeTaskComplexityTool(server) {
       try {
         const { 
           projectRoot, 
+          tag,
           threshold, 
           research, 
           id, 
@@ -101,26 +109,13 @@ export function registerAnalyzeTaskComplexityTool(server) {
         
         logger.info(`Preparing scalable task complexity analysis instructions${research ? ' with research mode' : ''}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        const outputPath = path.join(projectRoot, '.taskmaster', 'complexity-report.json');
-        
-        // Validate tasks file exists
-        if (!fs.existsSync(tasksPath)) {
-          return createErrorResponse(`Tasks file not found: ${tasksPath}`);
-        }
-        
-        // Read and validate tasks data
-        let tasksData;
-        try {
-          tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-          if (!tasksData || !tasksData.tasks || !Array.isArray(tasksData.tasks) || tasksData.tasks.length === 0) {
-            return createErrorResponse('No tasks found in the tasks file');
-          }
-        } catch (error) {
-          return createErrorResponse(`Failed to read tasks file: ${error.message}`);
+        const outputPath = getComplexityReportPath(projectRoot, tag);
+        const repository = loadTaskRepository(projectRoot, tag);
+        if (repository.tasks.length === 0) {
+          return createErrorResponse(`No tasks found in ${repository.location}`);
         }
         
-        const originalTaskCount = tasksData.tasks.length;
+        const originalTaskCount = repository.tasks.length;
         
         // Read existing complexity report for resume capability
         let existingReport = null;
@@ -143,7 +138,7 @@ export function registerAnalyzeTaskComplexityTool(server) {
         
         // Filter tasks based on active status
         const activeStatuses = ['pending', 'blocked', 'in-progress'];
-        let filteredTasks = tasksData.tasks.filter((task) =>
+        let filteredTasks = repository.tasks.filter((task) =>
           activeStatuses.includes(task.status?.toLowerCase() || 'pending')
         );
         
@@ -160,7 +155,7 @@ export function registerAnalyzeTaskComplexityTool(server) {
         // Apply range filtering if specified
         else if (fromId !== undefined || toId !== undefined) {
           const effectiveFromId = fromId !== undefined ? fromId : 1;
-          const effectiveToId = toId !== undefined ? toId : Math.max(...tasksData.tasks.map((t) => t.id));
+          const effectiveToId = toId !== undefined ? toId : Math.max(...repository.tasks.map((t) => t.id));
           
           filteredTasks = filteredTasks.filter(
             (task) => task.id >= effectiveFromId && task.id <= effectiveToId
@@ -172,7 +167,7 @@ export function registerAnalyzeTaskComplexityTool(server) {
         }
         
         // Calculate batch configuration
-        const batchConfig = calculateBatchConfig(filteredTasks, requestedBatchSize);
+        const batchConfig = calculateBatchConfig(filteredTasks, requestedBatchSize, getConfig(projectRoot).batch);
         
         logger.info(`Complexity analysis batch strategy: ${batchConfig.useBatches ? 'BATCHED' : 'SINGLE'}, ` +
                    `${batchConfig.totalBatches} batch(es), ${batchConfig.batchSize} tasks per batch, ` +
@@ -0,0 +1,577 @@
+import { z } from 'zod';
+import logger from '../logger.js';
+import {
+  createContentResponse,
+  createErrorResponse,
+  getNextTaskId,
+  getNextSubtaskId
+} from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { diffDocuments } from './journal-utils.js';
+import {
+  taskSchema,
+  subtaskSchema,
+  formatJSONPath,
+  findUnknownStatuses
+} from './schema-utils.js';
+import { getConfig, TASK_PRIORITIES } from './config-utils.js';
+import { getDependencyKey, normalizeDependencyId, isCompletedStatus } from './dependency-utils.js';
+
+const ACTIONS = ['parse_prd', 'expand_task', 'update_task_by_id', 'update_tasks', 'add_task'];
+
+/**
+ * Parse the JSON a model produced, tolerating markdown code fences and
+ * text around the JSON value
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed value
+ */
+function parseModelOutput(text) {
+  const trimmed = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const start = trimmed.search(/[[{]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(trimmed.slice(start, end + 1));
+      } catch (innerError) {
+        // Fall through to report the original parse error
+      }
+    }
+    throw new Error(`Result is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Record schema violations for a value
+ * @param {Object} schema - Zod schema
+ * @param {*} value - Value to check
+ * @param {Array} pathSegments - Location of the value in the model output
+ * @param {Array} violations - Accumulator of { path, message }
+ */
+function checkSchema(schema, value, pathSegments, violations) {
+  const result = schema.safeParse(value);
+  if (!result.success) {
+    result.error.issues.forEach(issue => {
+      violations.push({ path: formatJSONPath([...pathSegments, ...issue.path]), message: issue.message });
+    });
+  }
+}
+
+/**
+ * Collect the keys of every task and subtask ("5", "5.2")
+ * @param {Array} tasks - Array of tasks
+ * @returns {Set} Task and subtask keys
+ */
+function collectKeys(tasks) {
+  const keys = new Set();
+  tasks.forEach(task => {
+    keys.add(String(task.id));
+    (task.subtasks || []).forEach(st => keys.add(`${task.id}.${st.id}`));
+  });
+  return keys;
+}
+
+/**
+ * Check that a task's dependencies and relevantTasks point at existing
+ * items, normalizing dependency IDs in place
+ * @param {Object} task - Task to check
+ * @param {Set} keys - Existing task and subtask keys
+ * @param {Array} pathSegments - Location of the task in the model output
+ * @param {Array} violations - Accumulator of { path, message }
+ * @param {boolean} [lowerIdsOnly] - Whether tasks may only depend on lower IDs (parse_prd)
+ */
+function checkTaskReferences(task, keys, pathSegments, violations, lowerIdsOnly = false) {
+  if (Array.isArray(task.dependencies)) {
+    task.dependencies = task.dependencies.map((dep, index) => {
+      const key = getDependencyKey(dep);
+      const depPath = formatJSONPath([...pathSegments, 'dependencies', index]);
+
+      if (!/^\d+(\.\d+)?$/.test(key)) {
+        return dep; // Reported by the schema check
+      }
+      if (key === String(task.id)) {
+        violations.push({ path: depPath, message: `Task ${task.id} cannot depend on itself` });
+      } else if (!keys.has(key)) {
+        violations.push({ path: depPath, message: `Dependency ${key} does not exist` });
+      } else if (lowerIdsOnly && !key.includes('.') && Number(key) >= task.id) {
+        violations.push({ path: depPath, message: `Task ${task.id} can only depend on tasks with lower IDs, not ${key}` });
+      }
+      return normalizeDependencyId(dep);
+    });
+  }
+
+  if (Array.isArray(task.relevantTasks)) {
+    task.relevantTasks.forEach((id, index) => {
+      const key = getDependencyKey(id);
+      if (!key.includes('.') && !keys.has(key)) {
+        violations.push({ path: formatJSONPath([...pathSegments, 'relevantTasks', index]), message: `Relevant task ${key} does not exist` });
+      }
+    });
+  }
+}
+
+/**
+ * Merge a model-updated task into the stored one. Completed subtasks must come
+ * back unchanged, subtask IDs must stay unique and fields the model omitted
+ * keep their stored values.
+ * @param {Object} original - Stored task
+ * @param {Object} updated - Task returned by the model
+ * @param {Array} pathSegments - Location of the task in the model output
+ * @param {Array} violations - Accumulator of { path, message }
+ * @param {string} now - Update timestamp
+ * @returns {Object} Merged task
+ */
+function mergeTaskUpdate(original, updated, pathSegments, violations, now) {
+  const updatedSubtasks = Array.isArray(updated.subtasks) ? updated.subtasks : null;
+
+  (original.subtasks || []).filter(st => isCompletedStatus(st.status)).forEach(st => {
+    const returned = updatedSubtasks && updatedSubtasks.find(candidate => isPlainObject(candidate) && candidate.id === st.id);
+    if (!returned) {
+      violations.push({ path: formatJSONPath([...pathSegments, 'subtasks']), message: `Completed subtask ${original.id}.${st.id} must be preserved` });
+    } else if (diffDocuments(st, { ...st, ...returned }).length > 0) {
+      violations.push({
+        path: formatJSONPath([...pathSegments, 'subtasks', updatedSubtasks.indexOf(returned)]),
+        message: `Completed subtask ${original.id}.${st.id} must not be modified`
+      });
+    }
+  });
+
+  if (updatedSubtasks) {
+    const seen = new Set();
+    updatedSubtasks.forEach((st, index) => {
+      if (isPlainObject(st) && seen.has(st.id)) {
+        violations.push({ path: formatJSONPath([...pathSegments, 'subtasks', index, 'id']), message: `Duplicate subtask ID ${original.id}.${st.id}` });
+      }
+      seen.add(st && st.id);
+    });
+  }
+
+  const merged = { ...original, ...updated, id: original.id, updatedAt: now };
+  if (original.createdAt) {
+    merged.createdAt = original.createdAt;
+  }
+
+  // Fields the model left out of a returned subtask keep their stored values
+  if (updatedSubtasks) {
+    merged.subtasks = updatedSubtasks.map(st => {
+      const previous = isPlainObject(st) && (original.subtasks || []).find(candidate => candidate.id === st.id);
+      return previous ? { ...previous, ...st } : st;
+    });
+  }
+
+  checkSchema(taskSchema, merged, pathSegments, violations);
+  return merged;
+}
+
+/**
+ * Append the tasks generated from a PRD
+ * @param {Array} tasks - Task list to update (mutated)
+ * @param {*} payload - Parsed model output
+ * @param {Object} options - Tool arguments
+ * @param {Array} violations - Accumulator of { path, message }
+ * @returns {Object} Summary of the merge
+ */
+function applyParsePrd(tasks, payload, options, violations) {
+  const generated = Array.isArray(payload) ? payload : payload && payload.tasks;
+  if (!Array.isArray(generated) || generated.length === 0) {
+    violations.push({ path: '$.tasks', message: 'Expected a non-empty "tasks" array' });
+    return null;
+  }
+
+  const nextId = getNextTaskId(tasks);
+  const now = new Date().toISOString();
+  const created = [];
+
+  generated.forEach((task, index) => {
+    const pathSegments = ['tasks', index];
+    if (!isPlainObject(task)) {
+      violations.push({ path: formatJSONPath(pathSegments), message: 'Expected a task object' });
+      return;
+    }
+    if (task.id !== nextId + index) {
+      violations.push({ path: formatJSONPath([...pathSegments, 'id']), message: `Expected ID ${nextId + index}: new tasks are numbered sequentially from ${nextId}` });
+    }
+
+    const newTask = { ...task, status: task.status || 'pending', dependencies: task.dependencies || [], createdAt: now, updatedAt: now };
+    checkSchema(taskSchema, newTask, pathSegments, violations);
+    created.push({ task: newTask, pathSegments });
+  });
+
+  tasks.push(...created.map(({ task }) => task));
+
+  const keys = collectKeys(tasks);
+  created.forEach(({ task, pathSegments }) => checkTaskReferences(task, keys, pathSegments, violations, true));
+
+  return { created: created.map(({ task }) => task.id) };
+}
+
+/**
+ * Add the subtasks generated for a task
+ * @param {Array} tasks - Task list to update (mutated)
+ * @param {*} payload - Parsed model output
+ * @param {Object} options - Tool arguments
+ * @param {Array} violations - Accumulator of { path, message }
+ * @returns {Object} Summary of the merge
+ */
+function applyExpandTask(tasks, payload, options, violations) {
+  const { taskId, force } = options;
+  const task = tasks.find(t => t.id === taskId);
+  if (!task) {
+    violations.push({ path: '$', message: taskId === undefined ? 'taskId is required for expand_task' : `Task ${taskId} not found` });
+    return null;
+  }
+
+  const generated = Array.isArray(payload) ? payload : payload && payload.subtasks;
+  if (!Array.isArray(generated) || generated.length === 0) {
+    violations.push({ path: '$.subtasks', message: 'Expected a non-empty "subtasks" array' });
+    return null;
+  }
+
+  const nextSubtaskId = getNextSubtaskId(task);
+  const keys = collectKeys(tasks);
+  const now = new Date().toISOString();
+  const created = [];
+
+  generated.forEach((subtask, index) => {
+    const pathSegments = ['subtasks', index];
+    if (!isPlainObject(subtask)) {
+      violations.push({ path: formatJSONPath(pathSegments), message: 'Expected a subtask object' });
+      return;
+    }
+
+    const id = nextSubtaskId + index;
+    if (subtask.id !== id) {
+      violations.push({ path: formatJSONPath([...pathSegments, 'id']), message: `Expected ID ${id}: new subtasks are numbered sequentially from ${nextSubtaskId}` });
+    }
+
+    // Numeric dependencies refer to earlier subtasks generated in this response
+    const dependencies = (Array.isArray(subtask.dependencies) ? subtask.dependencies : []).map((dep, depIndex) => {
+      const key = getDependencyKey(dep);
+      const depPath = formatJSONPath([...pathSegments, 'dependencies', depIndex]);
+
+      if (/^\d+$/.test(key)) {
+        if (Number(key) < nextSubtaskId || Number(key) >= id) {
+          violations.push({ path: depPath, message: `Subtask ${id} can only depend on earlier subtasks generated in this response (${nextSubtaskId}-${id - 1})` });
+        }
+        return `${taskId}.${key}`;
+      }
+      if (!keys.has(key)) {
+        violations.push({ path: depPath, message: `Dependency ${key} does not exist` });
+      }
+      return key;
+    });
+
+    const newSubtask = {
+      id,
+      title: subtask.title,
+      description: subtask.description || '',
+      details: subtask.details || '',
+      status: 'pending',
+      dependencies,
+      parentTaskId: taskId,
+      createdAt: now,
+      updatedAt: now
+    };
+    if (subtask.testStrategy) {
+      newSubtask.testStrategy = subtask.testStrategy;
+    }
+
+    checkSchema(subtaskSchema, newSubtask, pathSegments, violations);
+    created.push(newSubtask);
+  });
+
+  const existing = task.subtasks || [];
+  const replaced = force ? existing.filter(st => !isCompletedStatus(st.status)) : [];
+
+  task.subtasks = [...existing.filter(st => !replaced.includes(st)), ...created];
+  task.updatedAt = now;
+
+  return {
+    taskId,
+    created: created.map(st => `${taskId}.${st.id}`),
+    replaced: replaced.length > 0 ? replaced.map(st => `${taskId}.${st.id}`) : undefined
+  };
+}
+
+/**
+ * Apply the updated version of a single task
+ * @param {Array} tasks - Task list to update (mutated)
+ * @param {*} payload - Parsed model output
+ * @param {Object} options - Tool arguments
+ * @param {Array} violations - Accumulator of { path, message }
+ * @returns {Object} Summary of the merge
+ */
+function applyUpdateTaskById(tasks, payload, options, violations) {
+  const { taskId } = options;
+  const index = tasks.findIndex(t => t.id === taskId);
+  if (index === -1) {
+    violations.push({ path: '$', message: taskId === undefined ? 'taskId is required for update_task_by_id' : `Task ${taskId} not found` });
+    return null;
+  }
+
+  const original = tasks[index];
+  const updated = isPlainObject(payload) && isPlainObject(payload.task) && payload.id === undefined ? payload.task : payload;
+
+  if (!isPlainObject(updated)) {
+    violations.push({ path: '$', message: 'Expected the updated task object' });
+    return null;
+  }
+  if (isCompletedStatus(original.status)) {
+    violations.push({ path: '$', message: `Task ${taskId} is already marked as ${original.status} and cannot be updated` });
+    return null;
+  }
+  if (updated.id !== undefined && updated.id !== taskId) {
+    violations.push({ path: '$.id', message: `Task ID must stay ${taskId}` });
+  }
+  if (updated.title !== undefined && updated.title !== original.title) {
+    violations.push({ path: '$.title', message: `Title must not change (expected "${original.title}")` });
+  }
+
+  const now = new Date().toISOString();
+  tasks[index] = mergeTaskUpdate(original, updated, [], violations, now);
+  checkTaskReferences(tasks[index], collectKeys(tasks), [], violations);
+
+  return { updated: [taskId] };
+}
+
+/**
+ * Apply the updated versions of several tasks
+ * @param {Array} tasks - Task list to update (mutated)
+ * @param {*} payload - Parsed model output
+ * @param {Object} options - Tool arguments
+ * @param {Array} violations - Accumulator of { path, message }
+ * @returns {Object} Summary of the merge
+ */
+function applyUpdateTasks(tasks, payload, options, violations) {
+  const updatedTasks = Array.isArray(payload) ? payload : payload && payload.tasks;
+  if (!Array.isArray(updatedTasks) || updatedTasks.length === 0) {
+    violations.push({ path: '$', message: 'Expected a non-empty array of updated tasks' });
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const seen = new Set();
+  const merged = [];
+
+  updatedTasks.forEach((updated, position) => {
+    const pathSegments = [position];
+    if (!isPlainObject(updated)) {
+      violations.push({ path: formatJSONPath(pathSegments), message: 'Expected a task object' });
+      return;
+    }
+
+    const index = tasks.findIndex(t => t.id === updated.id);
+    if (index === -1) {
+      violations.push({ path: formatJSONPath([...pathSegments, 'id']), message: `Task ${updated.id} not found` });
+      return;
+    }
+    if (seen.has(updated.id)) {
+      violations.push({ path: formatJSONPath([...pathSegments, 'id']), message: `Task ${updated.id} is listed more than once` });
+      return;
+    }
+    seen.add(updated.id);
+
+    if (isCompletedStatus(tasks[index].status)) {
+      violations.push({ path: formatJSONPath(pathSegments), message: `Task ${updated.id} is already marked as ${tasks[index].status} and cannot be updated` });
+      return;
+    }
+
+    tasks[index] = mergeTaskUpdate(tasks[index], updated, pathSegments, violations, now);
+    merged.push({ task: tasks[index], pathSegments });
+  });
+
+  const keys = collectKeys(tasks);
+  merged.forEach(({ task, pathSegments }) => checkTaskReferences(task, keys, pathSegments, violations));
+
+  return { updated: merged.map(({ task }) => task.id) };
+}
+
+/**
+ * Add a single AI-generated task
+ * @param {Array} tasks - Task list to update (mutated)
+ * @param {*} payload - Parsed model output
+ * @param {Object} options - Tool arguments plus the project's defaultPriority
+ * @param {Array} violations - Accumulator of { path, message }
+ * @returns {Object} Summary of the merge
+ */
+function applyAddTask(tasks, payload, options, violations) {
+  const generated = isPlainObject(payload) && isPlainObject(payload.task) ? payload.task : payload;
+  if (!isPlainObject(generated)) {
+    violations.push({ path: '$', message: 'Expected a task object' });
+    return null;
+  }
+
+  const newTaskId = getNextTaskId(tasks);
+  if (generated.id !== undefined && generated.id !== newTaskId) {
+    violations.push({ path: '$.id', message: `Expected ID ${newTaskId} (the next available task ID)` });
+  }
+
+  // Merge user-provided dependencies with the ones the model suggested
+  const dependencies = [...(options.dependencies || []), ...(Array.isArray(generated.dependencies) ? generated.dependencies : [])]
+    .filter((dep, index, all) => all.findIndex(other => getDependencyKey(other) === getDependencyKey(dep)) === index);
+
+  const now = new Date().toISOString();
+  const newTask = {
+    ...generated,
+    id: newTaskId,
+    status: 'pending',
+    dependencies,
+    priority: options.priority || generated.priority || options.defaultPriority,
+    subtasks: generated.subtasks || [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  checkSchema(taskSchema, newTask, [], violations);
+  tasks.push(newTask);
+  checkTaskReferences(newTask, collectKeys(tasks), [], violations);
+
+  return { created: [newTaskId] };
+}
+
+const HANDLERS = {
+  parse_prd: applyParsePrd,
+  expand_task: applyExpandTask,
+  update_task_by_id: applyUpdateTaskById,
+  update_tasks: applyUpdateTasks,
+  add_task: applyAddTask
+};
+
+/**
+ * Format journal diff changes for display ("$.tasks[id=3].details")
+ * @param {Array} changes - Changes from diffDocuments
+ * @returns {Array} Readable diff entries
+ */
+function formatDiff(changes) {
+  return changes.map(change => {
+    const path = change.path.reduce((jsonPath, segment) =>
+      typeof segment === 'object' ? `${jsonPath}[id=${segment.id}]` : `${jsonPath}.${segment}`, '$');
+
+    if (change.type === 'keyed') {
+      return {
+        path,
+        added: change.added.map(item => item.id),
+        removed: change.removed.map(item => item.id)
+      };
+    }
+    return { path, before: change.before, after: change.after };
+  });
+}
+
+/**
+ * Register the apply-ai-result tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerApplyAIResultTool(server) {
+  server.addTool({
+    name: 'apply_ai_result',
+    description: 'Validate the JSON generated by following the instructions of parse_prd, expand_task, update_task_by_id, update_tasks or add_task and merge it into tasks.json atomically. Checks ID ranges, preserved completed subtasks, unchanged titles and dependency IDs, then returns a diff of the changes.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      action: z
+        .enum(ACTIONS)
+        .describe('The tool whose instructions produced the result'),
+      result: z
+        .string()
+        .describe('The JSON produced by the model, exactly as generated (markdown code fences are tolerated)'),
+      taskId: z
+        .number()
+        .optional()
+        .describe('Task the result belongs to (required for expand_task and update_task_by_id)'),
+      force: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('expand_task only: replace the task\'s unfinished subtasks instead of appending (completed subtasks are always kept)'),
+      priority: z
+        .enum(TASK_PRIORITIES)
+        .optional()
+        .describe('add_task only: priority for the new task (default: the model\'s suggestion or the configured defaultPriority)'),
+      dependencies: z
+        .array(z.number())
+        .optional()
+        .describe('add_task only: user-provided dependency IDs to merge with the model\'s suggestions'),
+      dryRun: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('Validate and show the diff without writing tasks.json')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag, action, result: rawResult, dryRun } = args;
+
+        logger.info(`Applying AI result for ${action}${dryRun ? ' (dry run)' : ''}`);
+
+        // parse_prd may start a task list; every other action needs existing tasks
+        const repository = loadTaskRepository(projectRoot, tag, { allowMissing: action === 'parse_prd' });
+        const { data } = repository;
+
+        const payload = parseModelOutput(rawResult);
+        const next = JSON.parse(JSON.stringify(data));
+        const config = getConfig(projectRoot);
+        const violations = [];
+        const summary = HANDLERS[action](next.tasks, payload, { ...args, defaultPriority: config.global.defaultPriority }, violations);
+        violations.push(...findUnknownStatuses(next.tasks, config.workflow.statuses));
+
+        if (violations.length > 0) {
+          logger.warn(`Rejected AI result for ${action}: ${violations.length} violation(s)`);
+          return createErrorResponse(`AI result for ${action} rejected with ${violations.length} violation(s), nothing was written:\n` +
+            violations.map(violation => `- ${violation.path}: ${violation.message}`).join('\n'));
+        }
+
+        const changes = diffDocuments(data, next);
+
+        if (!dryRun) {
+          repository.data = next;
+          repository.save({ tool: 'apply_ai_result', args: { action, taskId: args.taskId } });
+        }
+
+        const result = {
+          success: true,
+          action,
+          dryRun,
+          ...summary,
+          diff: formatDiff(changes),
+          message: dryRun ?
+            `Dry run: the ${action} result is valid and would make ${changes.length} change(s)` :
+            `Applied the ${action} result with ${changes.length} change(s)`
+        };
+
+        if (dryRun) {
+          result.nextSteps = [`Apply the result: apply_ai_result with action "${action}" and dryRun false`];
+        } else {
+          result.nextSteps = ['Regenerate task files: generate_task_files'];
+          if (summary.replaced) {
+            result.nextSteps.push('Check for dependencies on replaced subtasks: validate_dependencies');
+          }
+        }
+
+        logger.info(`AI result for ${action} ${dryRun ? 'validated' : 'applied'}: ${changes.length} change(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to apply AI result: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to apply AI result: ${error.message}`);
+      }
+    }
+  });
+}
@@ -0,0 +1,114 @@
+import { z } from 'zod';
+import logger from '../logger.js';
+import {
+  createContentResponse,
+  createErrorResponse
+} from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { normalizePerson, UNASSIGNED } from './assignee-utils.js';
+
+/**
+ * Register the assign-task tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAssignTaskTool(server) {
+  server.addTool({
+    name: 'assign_task',
+    description: 'Set who works on tasks or subtasks: the assignee and the reviewers. A subtask without its own assignee belongs to its parent task\'s assignee. Supports comma-separated task IDs.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      taskIds: z
+        .string()
+        .describe('Task ID(s) to update. Can be comma-separated (e.g., "1,2.1,3")'),
+      assignee: z
+        .string()
+        .min(1)
+        .nullable()
+        .optional()
+        .describe('Person doing the work, e.g. "alice". null removes the assignee'),
+      reviewers: z
+        .array(z.string().min(1))
+        .nullable()
+        .optional()
+        .describe('People reviewing the work; replaces the current reviewers. null or [] removes them')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag, taskIds, assignee, reviewers } = args;
+
+        logger.info(`Assigning tasks ${taskIds}`);
+
+        if (assignee === undefined && reviewers === undefined) {
+          return createErrorResponse('Nothing to change: give an assignee and/or reviewers');
+        }
+        if (assignee && normalizePerson(assignee) === UNASSIGNED) {
+          return createErrorResponse(`"${UNASSIGNED}" is reserved for filtering; pass null to remove the assignee`);
+        }
+
+        const repository = loadTaskRepository(projectRoot, tag);
+        const updatedTasks = [];
+        const errors = [];
+
+        taskIds.split(',').map(id => id.trim()).forEach(taskId => {
+          const found = repository.find(taskId);
+          if (!found) {
+            errors.push(`Task ${taskId} not found`);
+            return;
+          }
+
+          const { task } = found;
+          const previous = { assignee: task.assignee || null, reviewers: task.reviewers || [] };
+
+          if (assignee !== undefined) {
+            if (assignee === null) {
+              delete task.assignee;
+            } else {
+              task.assignee = assignee.trim();
+            }
+          }
+          if (reviewers !== undefined) {
+            const names = [...new Set((reviewers || []).map(reviewer => reviewer.trim()))];
+            if (names.length === 0) {
+              delete task.reviewers;
+            } else {
+              task.reviewers = names;
+            }
+          }
+          repository.touch(taskId);
+
+          updatedTasks.push({
+            id: taskId,
+            title: task.title,
+            assignee: task.assignee || null,
+            reviewers: task.reviewers || [],
+            previous
+          });
+        });
+
+        if (updatedTasks.length > 0) {
+          repository.save({ tool: 'assign_task', args });
+        }
+
+        const result = {
+          success: updatedTasks.length > 0,
+          updatedTasks,
+          errors: errors.length > 0 ? errors : undefined,
+          message: `Updated ${updatedTasks.length} task(s)` + (errors.length > 0 ? `. ${errors.length} error(s) occurred.` : '')
+        };
+
+        logger.info(`Assignment completed: ${updatedTasks.length} updated, ${errors.length} errors`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to assign tasks: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to assign tasks: ${error.message}`);
+      }
+    }
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * Assignee Utilities
+ * Who works on a task: an assignee and optional reviewers on tasks and
+ * subtasks. A subtask without an assignee of its own belongs to its parent's
+ * assignee. Names are compared case-insensitively; the filter value
+ * "unassigned" matches work nobody is assigned to.
+ */
+
+export const UNASSIGNED = 'unassigned';
+
+/**
+ * Normalize a person's name for comparison
+ * @param {string} name - Name as given
+ * @returns {string} Trimmed, lower-cased name
+ */
+export function normalizePerson(name) {
+  return String(name).trim().toLowerCase();
+}
+
+/**
+ * Get the person responsible for a task or subtask
+ * @param {Object} item - Task or subtask
+ * @param {Object|null} [parent] - Parent task for a subtask
+ * @returns {string|null} Assignee or null
+ */
+export function getEffectiveAssignee(item, parent = null) {
+  return item.assignee || parent?.assignee || null;
+}
+
+/**
+ * Check whether a task or subtask is assigned to a person
+ * @param {Object} item - Task or subtask
+ * @param {Object|null} parent - Parent task for a subtask
+ * @param {string} person - Name, or "unassigned"
+ * @returns {boolean} Whether the item matches
+ */
+export function isAssignedTo(item, parent, person) {
+  const assignee = getEffectiveAssignee(item, parent);
+  if (normalizePerson(person) === UNASSIGNED) {
+    return !assignee;
+  }
+  return Boolean(assignee) && normalizePerson(assignee) === normalizePerson(person);
+}
+
+/**
+ * Check whether a task is assigned to a person or has a subtask that is
+ * @param {Object} task - Top-level task
+ * @param {string} person - Name, or "unassigned"
+ * @returns {boolean} Whether the task or one of its subtasks matches
+ */
+export function hasWorkFor(task, person) {
+  return isAssignedTo(task, null, person) ||
+    (task.subtasks || []).some(subtask => isAssignedTo(subtask, task, person));
+}
+
+/**
+ * Check whether a person reviews a task or subtask
+ * @param {Object} item - Task or subtask
+ * @param {string} person - Name
+ * @returns {boolean} Whether the person is one of the reviewers
+ */
+export function isReviewer(item, person) {
+  return (item.reviewers || []).some(reviewer => normalizePerson(reviewer) === normalizePerson(person));
+}
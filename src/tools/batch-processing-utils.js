@@ -3,6 +3,8 @@
  * Handles large result sets and batch processing strategies
  */
 
+import { DEFAULT_CONFIG } from './config-utils.js';
+
 /**
  * Process tasks in batches for large result sets
  * @param {Array} matchedTasks - Tasks that matched the search criteria
@@ -55,9 +57,11 @@ export function processBatchResults(matchedTasks, options = {}) {
 /**
  * Determine if tasks should be processed in batches based on size
  * @param {Array} tasksToUpdate - Tasks that need updating
+ * @param {Object} [budget] - Token budget (the batch section of the project config)
  * @returns {Object} Batch configuration
  */
-export function determineBatchStrategy(tasksToUpdate) {
+export function determineBatchStrategy(tasksToUpdate, budget = DEFAULT_CONFIG.batch) {
+  const { updateTokenLimit, updateTokensPerBatch, updateMaxTasksPerBatch } = budget;
   const totalTasks = tasksToUpdate.length;
   if (totalTasks === 0) {
     return {
@@ -73,11 +77,14 @@ export function determineBatchStrategy(tasksToUpdate) {
   // Rough token estimation (1 token ≈ 4 characters)
   const estimatedTokens = (JSON.stringify(tasksToUpdate).length / 4) * 1.5; // 1.5x for prompt overhead
   
-  if (estimatedTokens > 15000) { // Conservative limit for context window
-    const batchSize = Math.max(1, Math.floor(10000 / (avgTaskSize / 4))); // Target ~10k tokens per batch
+  if (estimatedTokens > updateTokenLimit) { // Conservative limit for context window
+    const batchSize = Math.min(
+      Math.max(1, Math.floor(updateTokensPerBatch / (avgTaskSize / 4))),
+      updateMaxTasksPerBatch
+    );
     return {
       useBatches: true,
-      batchSize: Math.min(batchSize, 5), // Max 5 tasks per batch
+      batchSize,
       totalBatches: Math.ceil(totalTasks / batchSize),
       estimatedTokens
     };
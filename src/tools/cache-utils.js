@@ -0,0 +1,164 @@
+/**
+ * Cache Utilities
+ * Process-level cache of parsed project data (task lists, complexity reports,
+ * config) keyed by project root. Each project's entries are dropped whenever
+ * anything under its .taskmaster directory changes, as reported by fs.watch,
+ * so edits made by other processes or by hand are picked up on the next read.
+ * Writes made through this process invalidate the cache directly. Watcher
+ * events arrive asynchronously, so entries can also carry a version (e.g. a
+ * file's mtime and size) that is checked on every hit; an entry whose source
+ * has changed is reloaded even before the watcher reports the change.
+ *
+ * Cached values are deep-frozen and shared between callers; take a copy
+ * (structuredClone) before changing one.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from '../logger.js';
+
+// The write lock comes and goes around every write without changing any data
+const IGNORED_FILES = new Set(['write.lock']);
+
+const projectCaches = new Map();
+
+/**
+ * Recursively freeze a value so that shared cache entries cannot be changed
+ * @param {*} value - Value to freeze
+ * @returns {*} The same value, frozen
+ */
+function deepFreeze(value) {
+  if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+/**
+ * Drop a project's cache and stop watching it
+ * @param {string} root - Resolved project root
+ */
+function closeProjectCache(root) {
+  const cache = projectCaches.get(root);
+  if (cache) {
+    cache.watcher.close();
+    projectCaches.delete(root);
+  }
+}
+
+/**
+ * Get (creating on first use) the cache for a project
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object|null} { entries, watcher }, or null when the project cannot be watched
+ */
+function getProjectCache(projectRoot) {
+  const root = path.resolve(projectRoot);
+  if (projectCaches.has(root)) {
+    return projectCaches.get(root);
+  }
+
+  const taskmasterDir = path.join(root, '.taskmaster');
+  if (!fs.existsSync(taskmasterDir)) {
+    return null;
+  }
+
+  let watcher;
+  try {
+    // persistent: false so that watching never keeps the process alive
+    watcher = fs.watch(taskmasterDir, { recursive: true, persistent: false });
+  } catch (error) {
+    logger.warn(`Not caching project data for ${root}: cannot watch ${taskmasterDir} (${error.message})`);
+    return null;
+  }
+
+  const cache = { entries: new Map(), watcher };
+
+  watcher.on('change', (eventType, filename) => {
+    if (!filename || !IGNORED_FILES.has(path.basename(filename.toString()))) {
+      cache.entries.clear();
+    }
+  });
+  watcher.on('error', error => {
+    // Typically .taskmaster was removed; start over on the next read
+    logger.warn(`Stopped watching ${taskmasterDir}: ${error.message}`);
+    closeProjectCache(root);
+  });
+
+  projectCaches.set(root, cache);
+  return cache;
+}
+
+/**
+ * Describe the current state of a file for cache validation
+ * @param {string} filePath - File path
+ * @returns {string} Modification time, size and inode, or "missing"
+ */
+export function getFileVersion(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return `${stat.mtimeMs}:${stat.size}:${stat.ino}`;
+  } catch {
+    return 'missing';
+  }
+}
+
+/**
+ * Get a cached value, loading it on a miss.
+ * Loader errors are thrown and nothing is cached. Projects without a
+ * .taskmaster directory are not cached.
+ * @param {string} projectRoot - Project root directory
+ * @param {string} key - Cache key, unique within the project
+ * @param {Function} load - Loads the value (JSON-serializable data or null)
+ * @param {Function} [getVersion] - Returns the source's current version; a hit whose version differs is reloaded
+ * @returns {*} Deep-frozen value
+ */
+export function getCached(projectRoot, key, load, getVersion) {
+  const cache = getProjectCache(projectRoot);
+  if (!cache) {
+    return deepFreeze(load());
+  }
+
+  // Read the version before loading so that a change made during the load
+  // is caught by the next check
+  const version = getVersion ? getVersion() : undefined;
+  const entry = cache.entries.get(key);
+  if (entry && entry.version === version) {
+    return entry.value;
+  }
+
+  const value = deepFreeze(load());
+  cache.entries.set(key, { value, version });
+  return value;
+}
+
+/**
+ * Drop every cached value for a project
+ * @param {string} projectRoot - Project root directory
+ */
+export function invalidateCache(projectRoot) {
+  const cache = projectCaches.get(path.resolve(projectRoot));
+  if (cache) {
+    cache.entries.clear();
+  }
+}
+
+/**
+ * Drop the cached values of the project a file belongs to
+ * @param {string} filePath - Path of a file that was written
+ */
+export function invalidateCacheForPath(filePath) {
+  const resolved = path.resolve(filePath);
+  projectCaches.forEach((cache, root) => {
+    if (resolved.startsWith(root + path.sep)) {
+      cache.entries.clear();
+    }
+  });
+}
+
+/**
+ * Drop all cached data and stop every file watcher
+ */
+export function clearCache() {
+  [...projectCaches.keys()].forEach(closeProjectCache);
+}
@@ -0,0 +1,89 @@
+/**
+ * Claim Utilities
+ * Claims let several agents share a task list: an agent claims a task or
+ * subtask for a lease period and others skip it until the claim is released
+ * or the lease runs out. A claim is stored on the item as
+ * { owner, claimedAt, expiresAt }; a claim on a task also covers its
+ * subtasks. Expired claims are ignored when read and removed on the next
+ * claim change, so a crashed agent never holds work for longer than its lease.
+ */
+
+/**
+ * Get an item's claim if its lease has not run out
+ * @param {Object} item - Task or subtask
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} Active claim or null
+ */
+export function getActiveClaim(item, now = new Date()) {
+  const claim = item?.claim;
+  if (!claim || !(Date.parse(claim.expiresAt) > now.getTime())) {
+    return null;
+  }
+  return claim;
+}
+
+/**
+ * Find the active claim that holds a task or subtask: its own, or for a
+ * subtask the one on its parent task
+ * @param {Object} found - { task, parent, isSubtask }
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} { id, claim } of the holding claim, or null
+ */
+export function findHoldingClaim(found, now = new Date()) {
+  const own = getActiveClaim(found.task, now);
+  if (own) {
+    return { id: found.isSubtask ? `${found.parent.id}.${found.task.id}` : `${found.task.id}`, claim: own };
+  }
+  const parentClaim = found.isSubtask ? getActiveClaim(found.parent, now) : null;
+  return parentClaim ? { id: `${found.parent.id}`, claim: parentClaim } : null;
+}
+
+/**
+ * Check whether someone other than owner holds an item
+ * @param {Object} found - { task, parent, isSubtask }
+ * @param {string} [owner] - Identity of the caller; without one every claim counts as someone else's
+ * @param {Date} [now] - Current time
+ * @returns {boolean} Whether the item is claimed by someone else
+ */
+export function isClaimedByOther(found, owner, now = new Date()) {
+  const holding = findHoldingClaim(found, now);
+  return Boolean(holding) && holding.claim.owner !== owner;
+}
+
+/**
+ * Create a claim record
+ * @param {string} owner - Claim owner
+ * @param {number} leaseMinutes - Lease length in minutes
+ * @param {Date} [now] - Current time
+ * @returns {Object} { owner, claimedAt, expiresAt }
+ */
+export function createClaim(owner, leaseMinutes, now = new Date()) {
+  return {
+    owner,
+    claimedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + leaseMinutes * 60 * 1000).toISOString()
+  };
+}
+
+/**
+ * Remove claims whose lease has run out
+ * @param {Array} tasks - Array of tasks (changed in place)
+ * @param {Date} [now] - Current time
+ * @returns {Array} [{ id, owner, expiresAt }] for every removed claim
+ */
+export function removeExpiredClaims(tasks, now = new Date()) {
+  const removed = [];
+  const expire = (item, id) => {
+    if (item.claim && !getActiveClaim(item, now)) {
+      removed.push({ id, owner: item.claim.owner, expiresAt: item.claim.expiresAt });
+      delete item.claim;
+    }
+  };
+
+  tasks.forEach(task => {
+    expire(task, `${task.id}`);
+    (task.subtasks || []).forEach(subtask => expire(subtask, `${task.id}.${subtask.id}`));
+  });
+
+  return removed;
+}
@@ -0,0 +1,249 @@
+import { z } from 'zod';
+import logger from '../logger.js';
+import {
+  createContentResponse,
+  createErrorResponse
+} from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { getConfig, MAX_LEASE_MINUTES } from './config-utils.js';
+import {
+  getActiveClaim,
+  findHoldingClaim,
+  createClaim,
+  removeExpiredClaims
+} from './claim-utils.js';
+
+const ownerSchema = z
+  .string()
+  .min(1)
+  .describe('Identity of the agent or person holding the claim, e.g. "agent-2"; use the same value in every call');
+
+const leaseSchema = z
+  .number()
+  .int()
+  .min(1)
+  .max(MAX_LEASE_MINUTES)
+  .optional()
+  .describe('Lease length in minutes. Defaults to claims.leaseMinutes in config');
+
+/**
+ * Describe a claim for a response
+ * @param {string} id - Task or subtask ID
+ * @param {Object} claim - Claim record
+ * @returns {Object} { id, owner, claimedAt, expiresAt }
+ */
+function describeClaim(id, claim) {
+  return { id, owner: claim.owner, claimedAt: claim.claimedAt, expiresAt: claim.expiresAt };
+}
+
+/**
+ * Register the claim-task tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerClaimTaskTool(server) {
+  server.addTool({
+    name: 'claim_task',
+    description: 'Claim a task or subtask before working on it so that other agents skip it in next_task. The claim lasts for a lease period; renew it with renew_claim during long work and release it with release_task when done. Claims whose lease ran out are dropped automatically. Claiming a task also covers its subtasks.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      taskId: z
+        .string()
+        .describe('Task ID to claim (e.g., "5" for task or "5.2" for subtask)'),
+      owner: ownerSchema,
+      leaseMinutes: leaseSchema
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag, taskId, owner } = args;
+        const leaseMinutes = args.leaseMinutes ?? getConfig(projectRoot).claims.leaseMinutes;
+
+        logger.info(`Claiming task ${taskId} for ${owner}`);
+
+        const repository = loadTaskRepository(projectRoot, tag);
+        const now = new Date();
+        const found = repository.get(taskId);
+
+        const holding = findHoldingClaim(found, now);
+        if (holding && holding.claim.owner !== owner) {
+          return createErrorResponse(`${holding.id === taskId ? `Task ${taskId} is` : `Task ${taskId} is covered by task ${holding.id}, which is`} claimed by ${holding.claim.owner} until ${holding.claim.expiresAt}`);
+        }
+
+        const subtaskClaims = (found.isSubtask ? [] : found.task.subtasks || [])
+          .map(subtask => ({ id: `${found.task.id}.${subtask.id}`, claim: getActiveClaim(subtask, now) }))
+          .filter(({ claim }) => claim && claim.owner !== owner);
+        if (subtaskClaims.length > 0) {
+          return createErrorResponse(`Cannot claim task ${taskId} while subtasks are claimed by others: ` +
+            subtaskClaims.map(({ id, claim }) => `${id} by ${claim.owner} until ${claim.expiresAt}`).join(', '));
+        }
+
+        const expiredClaims = removeExpiredClaims(repository.tasks, now);
+        found.task.claim = createClaim(owner, leaseMinutes, now);
+
+        repository.save({ tool: 'claim_task', args });
+
+        const result = {
+          success: true,
+          claim: describeClaim(taskId, found.task.claim),
+          expiredClaims: expiredClaims.length > 0 ? expiredClaims : undefined,
+          message: `Task ${taskId} claimed by ${owner} until ${found.task.claim.expiresAt}`,
+          nextSteps: [
+            `Start it: set_task_status with taskIds "${taskId}" and status "in-progress"`,
+            `Keep the claim during long work: renew_claim with taskId "${taskId}" and owner "${owner}"`,
+            `Hand it back when done: release_task with taskId "${taskId}" and owner "${owner}"`
+          ]
+        };
+
+        logger.info(`Task ${taskId} claimed by ${owner} for ${leaseMinutes} minute(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to claim task: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to claim task: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the renew-claim tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRenewClaimTool(server) {
+  server.addTool({
+    name: 'renew_claim',
+    description: 'Extend the lease of your claim on a task or subtask. A claim that already ran out is renewed as long as nobody else claimed the task in the meantime.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      taskId: z
+        .string()
+        .describe('Claimed task ID (e.g., "5" for task or "5.2" for subtask)'),
+      owner: ownerSchema,
+      leaseMinutes: leaseSchema
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag, taskId, owner } = args;
+        const leaseMinutes = args.leaseMinutes ?? getConfig(projectRoot).claims.leaseMinutes;
+
+        logger.info(`Renewing claim on task ${taskId} for ${owner}`);
+
+        const repository = loadTaskRepository(projectRoot, tag);
+        const now = new Date();
+        const found = repository.get(taskId);
+        const { claim } = found.task;
+
+        if (!claim || claim.owner !== owner) {
+          return createErrorResponse(claim ?
+            `Task ${taskId} is claimed by ${claim.owner}, not ${owner}` :
+            `Task ${taskId} is not claimed; use claim_task`);
+        }
+
+        const holding = findHoldingClaim(found, now);
+        if (holding && holding.claim.owner !== owner) {
+          return createErrorResponse(`Task ${taskId} is covered by task ${holding.id}, which is claimed by ${holding.claim.owner} until ${holding.claim.expiresAt}`);
+        }
+
+        const wasExpired = !getActiveClaim(found.task, now);
+        const expiredClaims = removeExpiredClaims(repository.tasks, now)
+          .filter(expired => expired.id !== taskId);
+        found.task.claim = { ...createClaim(owner, leaseMinutes, now), claimedAt: claim.claimedAt };
+
+        repository.save({ tool: 'renew_claim', args });
+
+        const result = {
+          success: true,
+          claim: describeClaim(taskId, found.task.claim),
+          expiredClaims: expiredClaims.length > 0 ? expiredClaims : undefined,
+          message: `Claim on task ${taskId} by ${owner} ${wasExpired ? 'had run out and was renewed' : 'renewed'} until ${found.task.claim.expiresAt}`
+        };
+
+        logger.info(`Claim on task ${taskId} renewed for ${leaseMinutes} minute(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to renew claim: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to renew claim: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the release-task tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerReleaseTaskTool(server) {
+  server.addTool({
+    name: 'release_task',
+    description: 'Release your claim on a task or subtask so that other agents can pick it up. Use force to release someone else\'s claim, e.g. for an agent that is known to have stopped.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      taskId: z
+        .string()
+        .describe('Claimed task ID (e.g., "5" for task or "5.2" for subtask)'),
+      owner: ownerSchema,
+      force: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('Release the claim even if it belongs to someone else')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag, taskId, owner, force } = args;
+
+        logger.info(`Releasing claim on task ${taskId} for ${owner}`);
+
+        const repository = loadTaskRepository(projectRoot, tag);
+        const now = new Date();
+        const found = repository.get(taskId);
+        const { claim } = found.task;
+
+        if (!claim) {
+          return createErrorResponse(`Task ${taskId} is not claimed`);
+        }
+        if (claim.owner !== owner && !force && getActiveClaim(found.task, now)) {
+          return createErrorResponse(`Task ${taskId} is claimed by ${claim.owner}, not ${owner}. Pass force true to release it anyway`);
+        }
+
+        const expiredClaims = removeExpiredClaims(repository.tasks, now)
+          .filter(expired => expired.id !== taskId);
+        delete found.task.claim;
+
+        repository.save({ tool: 'release_task', args });
+
+        const result = {
+          success: true,
+          released: describeClaim(taskId, claim),
+          expiredClaims: expiredClaims.length > 0 ? expiredClaims : undefined,
+          message: `Released the claim of ${claim.owner} on task ${taskId}`
+        };
+
+        logger.info(`Claim on task ${taskId} released`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to release task: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to release task: ${error.message}`);
+      }
+    }
+  });
+}
@@ -2,11 +2,9 @@ import { z } from 'zod';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
-  createErrorResponse,
-  readJSON,
-  writeJSON,
-  getTasksFilePath
+  createErrorResponse
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
 
 /**
  * Register the clear-subtasks tool
@@ -20,6 +18,10 @@ export function registerClearSubtasksTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       taskIds: z
         .string()
         .optional()
@@ -32,16 +34,12 @@ export function registerClearSubtasksTool(server) {
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, taskIds, all } = args;
+        const { projectRoot, tag, taskIds, all } = args;
         
         logger.info(`Clearing subtasks${all ? ' from all tasks' : taskIds ? ` from tasks: ${taskIds}` : ''}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        const data = readJSON(tasksPath);
-        
-        if (!data || !data.tasks) {
-          return createErrorResponse(`No tasks found in ${tasksPath}. Run init first to create the project structure.`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag);
+        const { data } = repository;
         
         let targetTasks = [];
         
@@ -86,9 +84,7 @@ export function registerClearSubtasksTool(server) {
         });
         
         // Save updated data
-        if (!writeJSON(tasksPath, data)) {
-          return createErrorResponse('Failed to save updated tasks');
-        }
+        repository.save({ tool: 'clear_subtasks', args });
         
         const result = {
           success: true,
@@ -1,8 +1,12 @@
 import { z } from 'zod';
 import fs from 'fs';
-import path from 'path';
 import logger from '../logger.js';
-import { createContentResponse, createErrorResponse } from './utils.js';
+import {
+  createContentResponse,
+  createErrorResponse,
+  getComplexityReportPath,
+  loadComplexityReport
+} from './utils.js';
 
 /**
  * Format complexity analysis results for display
@@ -97,15 +101,19 @@ export function registerComplexityReportTool(server) {
     parameters: z.object({
       projectRoot: z
         .string()
-        .describe('The root directory of the project containing .taskmaster folder')
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag')
     }),
     execute: async (args) => {
       try {
-        const { projectRoot } = args;
+        const { projectRoot, tag } = args;
         
         logger.info('Displaying task complexity report');
         
-        const reportPath = path.join(projectRoot, '.taskmaster', 'complexity-report.json');
+        const reportPath = getComplexityReportPath(projectRoot, tag);
         
         // Check if report exists
         if (!fs.existsSync(reportPath)) {
@@ -113,11 +121,9 @@ export function registerComplexityReportTool(server) {
         }
         
         // Read and parse report
-        let reportData;
-        try {
-          reportData = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
-        } catch (parseError) {
-          return createErrorResponse(`Failed to parse complexity report: ${parseError.message}`);
+        const reportData = loadComplexityReport(projectRoot, tag);
+        if (!reportData) {
+          return createErrorResponse(`Failed to parse complexity report: ${reportPath} is not valid JSON`);
         }
         
         // Format report for display
@@ -0,0 +1,354 @@
+/**
+ * Config Utilities
+ * Project settings from .taskmaster/config.json layered over built-in
+ * defaults. A project's config.json only needs the settings it overrides;
+ * the merged result is validated with zod so a bad value is reported once,
+ * with its key, instead of misbehaving inside a tool.
+ *
+ * currentTag and storage.backend also live in config.json but are managed by
+ * use_tag and set_storage_backend.
+ */
+
+import { z } from 'zod';
+import {
+  readJSON,
+  writeJSON,
+  getConfigPath,
+  getProjectConfig
+} from './utils.js';
+import { getCached, getFileVersion } from './cache-utils.js';
+
+export const DEFAULT_TASK_STATUSES = ['pending', 'in-progress', 'done', 'completed', 'blocked', 'deferred', 'cancelled'];
+export const TASK_PRIORITIES = ['high', 'medium', 'low'];
+
+export const DEFAULT_CONFIG = {
+  global: {
+    // Least severe level written to the server log; debug: true logs everything
+    logLevel: 'info',
+    debug: false,
+    defaultSubtasks: 5,
+    defaultPriority: 'medium',
+    projectName: 'Task Master Project'
+  },
+  workflow: {
+    statuses: DEFAULT_TASK_STATUSES,
+    // Allowed next statuses by current status, e.g. { "cancelled": ["pending"] };
+    // a status without an entry can move to any status
+    transitions: {},
+    // Statuses a task or subtask can only move to once its dependencies are done
+    requireDependenciesDone: [],
+    // Statuses a task can only move to once its subtasks are done or cancelled
+    requireSubtasksDone: [],
+    rollUp: {
+      // Move a pending parent to in-progress once any of its subtasks starts
+      startParent: true,
+      // Move a parent to done once all of its subtasks are done (or cancelled)
+      completeParent: true,
+      // Give a parent's open subtasks the parent's status when it is set to done or cancelled
+      cascadeToSubtasks: false
+    }
+  },
+  batch: {
+    // Estimated prompt tokens above which update tools split their work
+    updateTokenLimit: 15000,
+    updateTokensPerBatch: 10000,
+    updateMaxTasksPerBatch: 5,
+    complexityTokenLimit: 20000,
+    complexityTokensPerBatch: 15000,
+    complexityMaxTasksPerBatch: 10,
+    searchResultsPerBatch: 50
+  },
+  fuzzy: {
+    keywordMinScore: 0.3,
+    flowMinScore: 0.4,
+    // Edit-distance similarity above which two terms count as a near match
+    keywordSimilarity: 0.8,
+    flowSimilarity: 0.85
+  },
+  reports: {
+    // Where the master tag's complexity report is kept; other tags keep
+    // theirs in their tag directory
+    directory: '.taskmaster',
+    complexityReportName: 'complexity-report.json'
+  },
+  nextTask: {
+    // Points per factor; each factor rates a candidate task from 0 to 1.
+    // A negative complexity weight favours quick wins over complex tasks
+    weights: {
+      inProgress: 10,
+      priority: 3,
+      dependents: 2,
+      complexity: 0,
+      age: 1,
+      flowFocus: 2,
+      keywordFocus: 2
+    },
+    // Flows and keywords to favour through the flowFocus and keywordFocus factors
+    focusFlows: [],
+    focusKeywords: [],
+    // Runner-up candidates shown with their scores
+    alternatives: 3
+  },
+  claims: {
+    // How long a claim_task claim lasts unless renewed with renew_claim
+    leaseMinutes: 30
+  },
+  dueDates: {
+    // Open tasks due within this many days count as at risk while they
+    // still wait on dependencies
+    atRiskDays: 3
+  }
+};
+
+// Object-valued settings that are set as a whole rather than key by key
+const MAP_SETTINGS = new Set(['workflow.transitions']);
+
+// Settings kept in config.json that have their own tools
+const MANAGED_SETTINGS = {
+  currentTag: 'use_tag',
+  storage: 'set_storage_backend',
+  'storage.backend': 'set_storage_backend'
+};
+
+export const MAX_LEASE_MINUTES = 24 * 60;
+
+const positiveInt = z.number().int().positive();
+const score = z.number().min(0).max(1);
+
+const configSchema = z.object({
+  global: z.object({
+    logLevel: z.enum(['debug', 'info', 'warn', 'error']),
+    debug: z.boolean(),
+    defaultSubtasks: z.number().int().min(1).max(50),
+    defaultPriority: z.enum(TASK_PRIORITIES),
+    projectName: z.string(),
+    projectRoot: z.string().optional()
+  }).passthrough(),
+  workflow: z.object({
+    statuses: z.array(z.string().regex(/^[a-z][a-z0-9-]*$/, 'Use lowercase letters, numbers and dashes'))
+      .min(1)
+      .refine(statuses => new Set(statuses).size === statuses.length, 'Statuses must be unique')
+      .refine(statuses => statuses.includes('pending') && statuses.includes('done'), 'Statuses must include pending and done'),
+    transitions: z.record(z.array(z.string())),
+    requireDependenciesDone: z.array(z.string()),
+    requireSubtasksDone: z.array(z.string()),
+    rollUp: z.object({
+      startParent: z.boolean(),
+      completeParent: z.boolean(),
+      cascadeToSubtasks: z.boolean()
+    }).passthrough()
+  }).passthrough().superRefine((workflow, context) => {
+    if (!Array.isArray(workflow.statuses)) {
+      return;
+    }
+    const checkStatus = (status, pathSegments) => {
+      if (!workflow.statuses.includes(status)) {
+        context.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: pathSegments,
+          message: `Unknown status "${status}" (not in workflow.statuses)`
+        });
+      }
+    };
+    Object.entries(workflow.transitions || {}).forEach(([from, targets]) => {
+      checkStatus(from, ['transitions', from]);
+      (Array.isArray(targets) ? targets : []).forEach(target => checkStatus(target, ['transitions', from]));
+    });
+    ['requireDependenciesDone', 'requireSubtasksDone'].forEach(setting => {
+      (Array.isArray(workflow[setting]) ? workflow[setting] : []).forEach(status => checkStatus(status, [setting]));
+    });
+  }),
+  batch: z.object({
+    updateTokenLimit: positiveInt,
+    updateTokensPerBatch: positiveInt,
+    updateMaxTasksPerBatch: positiveInt,
+    complexityTokenLimit: positiveInt,
+    complexityTokensPerBatch: positiveInt,
+    complexityMaxTasksPerBatch: positiveInt,
+    searchResultsPerBatch: positiveInt
+  }).passthrough(),
+  fuzzy: z.object({
+    keywordMinScore: score,
+    flowMinScore: score,
+    keywordSimilarity: score,
+    flowSimilarity: score
+  }).passthrough(),
+  reports: z.object({
+    directory: z.string().min(1),
+    complexityReportName: z.string().regex(/^[^/\\]+\.json$/, 'Expected a file name ending in .json')
+  }).passthrough(),
+  nextTask: z.object({
+    weights: z.object({
+      inProgress: z.number(),
+      priority: z.number(),
+      dependents: z.number(),
+      complexity: z.number(),
+      age: z.number(),
+      flowFocus: z.number(),
+      keywordFocus: z.number()
+    }).passthrough(),
+    focusFlows: z.array(z.string()),
+    focusKeywords: z.array(z.string()),
+    alternatives: z.number().int().min(0).max(20)
+  }).passthrough(),
+  claims: z.object({
+    leaseMinutes: z.number().int().min(1).max(MAX_LEASE_MINUTES)
+  }).passthrough(),
+  dueDates: z.object({
+    atRiskDays: z.number().int().min(0).max(365)
+  }).passthrough()
+}).passthrough();
+
+/**
+ * Check for a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Layer overrides on top of defaults; objects merge, anything else replaces
+ * @param {Object} defaults - Default values
+ * @param {Object} overrides - Project values
+ * @returns {Object} New merged object
+ */
+function mergeConfig(defaults, overrides) {
+  const merged = structuredClone(defaults);
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ?
+      mergeConfig(merged[key], value) :
+      structuredClone(value);
+  });
+  return merged;
+}
+
+/**
+ * List every setting key ("global.defaultSubtasks") with its default value
+ * @param {Object} [defaults] - Defaults subtree
+ * @param {string} [prefix] - Key prefix
+ * @returns {Object} Map of key to default value
+ */
+export function listConfigKeys(defaults = DEFAULT_CONFIG, prefix = '') {
+  return Object.entries(defaults).reduce((keys, [key, value]) => {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    return isPlainObject(value) && !MAP_SETTINGS.has(fullKey) ?
+      { ...keys, ...listConfigKeys(value, fullKey) } :
+      { ...keys, [fullKey]: value };
+  }, {});
+}
+
+/**
+ * Read a dotted key from an object
+ * @param {Object} object - Object to read
+ * @param {string} key - Dotted key
+ * @returns {*} Value or undefined
+ */
+export function getConfigValue(object, key) {
+  return key.split('.').reduce((value, part) => (isPlainObject(value) ? value[part] : undefined), object);
+}
+
+/**
+ * Validate a merged config
+ * @param {Object} config - Config to validate
+ * @returns {Object} { valid, violations: [{ key, message }] }
+ */
+export function validateConfig(config) {
+  const result = configSchema.safeParse(config);
+  const violations = result.success ? [] : result.error.issues.map(issue => ({
+    key: issue.path.join('.'),
+    message: issue.message
+  }));
+  return { valid: violations.length === 0, violations };
+}
+
+/**
+ * Create the error thrown for invalid settings
+ * @param {string} projectRoot - Project root directory
+ * @param {Array} violations - Validation violations
+ * @returns {Error} Error with code INVALID_CONFIG
+ */
+function createConfigError(projectRoot, violations) {
+  const error = new Error(`Invalid settings in ${getConfigPath(projectRoot)}: ` +
+    violations.map(violation => `${violation.key}: ${violation.message}`).join('; '));
+  error.code = 'INVALID_CONFIG';
+  error.violations = violations;
+  return error;
+}
+
+/**
+ * Merge a project's config.json over the defaults without rejecting invalid values
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object} { config, valid, violations }
+ */
+export function loadConfig(projectRoot) {
+  const config = mergeConfig(DEFAULT_CONFIG, getProjectConfig(projectRoot));
+  return { config, ...validateConfig(config) };
+}
+
+/**
+ * Get a project's settings: defaults with config.json overrides (cached, read-only)
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object} Config
+ * @throws {Error} With code INVALID_CONFIG when config.json has invalid values
+ */
+export function getConfig(projectRoot) {
+  return getCached(projectRoot, 'resolved-config', () => {
+    const { config, valid, violations } = loadConfig(projectRoot);
+    if (!valid) {
+      throw createConfigError(projectRoot, violations);
+    }
+    return config;
+  }, () => getFileVersion(getConfigPath(projectRoot)));
+}
+
+/**
+ * Change settings in a project's config.json
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} settings - Map of dotted key to value; null removes the override and restores the default
+ * @returns {Object} { config, changed: [key] }
+ * @throws {Error} For unknown or managed keys, or INVALID_CONFIG when the result is invalid
+ */
+export function updateConfig(projectRoot, settings) {
+  const knownKeys = listConfigKeys();
+  const configPath = getConfigPath(projectRoot);
+  const overrides = readJSON(configPath) || {};
+
+  Object.entries(settings).forEach(([key, value]) => {
+    if (MANAGED_SETTINGS[key]) {
+      throw new Error(`${key} is managed by the ${MANAGED_SETTINGS[key]} tool`);
+    }
+    if (!(key in knownKeys)) {
+      throw new Error(`Unknown setting "${key}". Known settings: ${Object.keys(knownKeys).join(', ')}`);
+    }
+
+    const parts = key.split('.');
+    const last = parts.pop();
+    let section = overrides;
+    parts.forEach(part => {
+      if (!isPlainObject(section[part])) {
+        section[part] = {};
+      }
+      section = section[part];
+    });
+
+    if (value === null) {
+      delete section[last];
+    } else {
+      section[last] = value;
+    }
+  });
+
+  const config = mergeConfig(DEFAULT_CONFIG, overrides);
+  const { valid, violations } = validateConfig(config);
+  if (!valid) {
+    throw createConfigError(projectRoot, violations);
+  }
+
+  if (!writeJSON(configPath, overrides)) {
+    throw new Error(`Failed to write ${configPath}`);
+  }
+
+  return { config, changed: Object.keys(settings) };
+}
@@ -0,0 +1,119 @@
+import { z } from 'zod';
+import logger from '../logger.js';
+import {
+  createContentResponse,
+  createErrorResponse,
+  getConfigPath,
+  getProjectConfig
+} from './utils.js';
+import {
+  loadConfig,
+  getConfigValue,
+  listConfigKeys,
+  updateConfig
+} from './config-utils.js';
+
+/**
+ * Register the get-config tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetConfigTool(server) {
+  server.addTool({
+    name: 'get_config',
+    description: 'Show the project settings that drive the tools (default subtask count and priority, allowed statuses and workflow rules, batch token budgets, fuzzy-match thresholds, report paths, next_task scoring weights, claim lease length, at-risk window for due dates): the effective value of each setting and whether it comes from .taskmaster/config.json or the built-in default.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      key: z
+        .string()
+        .optional()
+        .describe('A single setting or section to show, e.g. "global.defaultSubtasks" or "fuzzy"')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, key } = args;
+
+        logger.info(`Reading config${key ? ` key ${key}` : ''} for project: ${projectRoot}`);
+
+        const { config, valid, violations } = loadConfig(projectRoot);
+        const overrides = getProjectConfig(projectRoot) || {};
+        const defaults = listConfigKeys();
+        const keys = Object.keys(defaults).filter(name => !key || name === key || name.startsWith(`${key}.`));
+
+        if (keys.length === 0) {
+          return createErrorResponse(`Unknown setting "${key}". Known settings: ${Object.keys(defaults).join(', ')}`);
+        }
+
+        const settings = keys.map(name => ({
+          key: name,
+          value: getConfigValue(config, name),
+          default: defaults[name],
+          source: getConfigValue(overrides, name) !== undefined ? 'project' : 'default'
+        }));
+
+        const result = {
+          success: true,
+          configPath: getConfigPath(projectRoot),
+          valid,
+          violations: valid ? undefined : violations,
+          settings,
+          message: `${settings.length} setting(s), ${settings.filter(setting => setting.source === 'project').length} set by the project` +
+            (valid ? '' : `; ${violations.length} invalid value(s) make the other tools fail until they are fixed`),
+          nextSteps: ['Change a setting: set_config with settings { "<key>": <value> } (null restores the default)']
+        };
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to read config: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to read config: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the set-config tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerSetConfigTool(server) {
+  server.addTool({
+    name: 'set_config',
+    description: 'Change project settings in .taskmaster/config.json. All changes are validated together and nothing is written if any value is invalid. Use get_config to see the available keys.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      settings: z
+        .record(z.union([z.string(), z.number(), z.boolean(), z.array(z.string()), z.record(z.array(z.string())), z.null()]))
+        .describe('Settings to change keyed by setting name, e.g. { "global.defaultSubtasks": 4, "workflow.statuses": ["pending", "in-progress", "review", "done"], "workflow.transitions": { "cancelled": ["pending"] } }. A null value restores the default')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, settings } = args;
+
+        logger.info(`Updating config settings: ${Object.keys(settings).join(', ')}`);
+
+        if (Object.keys(settings).length === 0) {
+          return createErrorResponse('No settings given');
+        }
+
+        const { config, changed } = updateConfig(projectRoot, settings);
+
+        const result = {
+          success: true,
+          configPath: getConfigPath(projectRoot),
+          settings: changed.map(key => ({ key, value: getConfigValue(config, key) })),
+          message: `Updated ${changed.length} setting(s)`
+        };
+
+        logger.info(`Updated config settings: ${changed.join(', ')}`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to update config: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to update config: ${error.message}`);
+      }
+    }
+  });
+}
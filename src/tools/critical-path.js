@@ -0,0 +1,181 @@
+import { z } from 'zod';
+import logger from '../logger.js';
+import {
+  createContentResponse,
+  createErrorResponse,
+  loadComplexityReport
+} from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import {
+  buildScheduleGraph,
+  findStuckItems,
+  withoutStuckItems,
+  sortTopologically,
+  analyzeCriticalPath,
+  roundWeight
+} from './schedule-utils.js';
+
+/**
+ * Create the weight function for schedule nodes: a task's estimate field,
+ * else its complexity score, else the default. Subtasks without an estimate
+ * get an equal share of their parent's weight.
+ * @param {Object|null} complexityReport - Parsed complexity report
+ * @param {number} defaultWeight - Weight for tasks with neither
+ * @returns {Function} weightOf(node) returning { weight, source }
+ */
+export function createWeightFunction(complexityReport, defaultWeight) {
+  const scores = new Map(
+    (complexityReport?.complexityAnalysis || [])
+      .filter(analysis => typeof analysis.complexityScore === 'number')
+      .map(analysis => [analysis.taskId, analysis.complexityScore])
+  );
+
+  const taskWeight = task => {
+    if (typeof task.estimate === 'number') {
+      return { weight: task.estimate, source: 'estimate' };
+    }
+    if (scores.has(task.id)) {
+      return { weight: scores.get(task.id), source: 'complexity' };
+    }
+    return { weight: defaultWeight, source: 'default' };
+  };
+
+  return node => {
+    if (!node.isSubtask || typeof node.task.estimate === 'number') {
+      return taskWeight(node.task);
+    }
+    const parentWeight = taskWeight(node.parent);
+    return {
+      weight: roundWeight(parentWeight.weight / node.parent.subtasks.length),
+      source: `share of parent ${parentWeight.source}`
+    };
+  };
+}
+
+/**
+ * Register the critical-path tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerCriticalPathTool(server) {
+  server.addTool({
+    name: 'critical_path',
+    description: 'Analyze the remaining work as a dependency graph of tasks and subtasks weighted by effort (a task\'s estimate field, else its complexity score from the complexity report). Returns the critical path (the longest chain of dependent work, which sets the earliest possible finish), the slack of every task (how far it can slip without delaying the finish), and the order in which work can start earliest. Work that depends on cancelled or missing items can never start and is listed under unschedulable instead.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      includeSubtasks: z
+        .boolean()
+        .optional()
+        .default(true)
+        .describe('Schedule subtasks individually instead of treating each task as one unit'),
+      defaultWeight: z
+        .number()
+        .positive()
+        .optional()
+        .default(5)
+        .describe('Weight of tasks with neither an estimate nor a complexity score (complexity scores run from 1 to 10)')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag, includeSubtasks, defaultWeight } = args;
+
+        logger.info(`Analyzing critical path in project: ${projectRoot}`);
+
+        const { data, tag: resolvedTag } = loadTaskRepository(projectRoot, tag, { readOnly: true });
+        const weightOf = createWeightFunction(loadComplexityReport(projectRoot, resolvedTag), defaultWeight);
+
+        const fullGraph = buildScheduleGraph(data.tasks, { includeSubtasks, weightOf });
+
+        // Work that depends on cancelled or missing items can never start
+        const stuck = findStuckItems(fullGraph);
+        const unschedulable = [...stuck].map(([id, root]) => ({
+          id,
+          title: fullGraph.nodes.get(id).task.title,
+          reason: id === root ?
+            `depends on ${fullGraph.nodes.get(root).unmetDependencies.join(', ')}, which will never be done (cancelled or missing)` :
+            `waits on ${root}, which depends on cancelled or missing work`
+        }));
+        const unschedulableNote = unschedulable.length > 0 ?
+          ` ${unschedulable.length} item(s) are left out because they depend on cancelled or missing work; see unschedulable.` :
+          '';
+
+        const graph = withoutStuckItems(fullGraph, stuck);
+        const { order, cyclic } = sortTopologically(graph);
+
+        if (cyclic.length > 0) {
+          return createErrorResponse(`Circular dependencies leave ${cyclic.join(', ')} without a possible start. Run validate_dependencies to find the cycles and fix_dependencies to break them.`);
+        }
+
+        if (order.length === 0) {
+          return createContentResponse({
+            success: true,
+            duration: 0,
+            criticalPath: [],
+            schedule: [],
+            unschedulable: unschedulable.length > 0 ? unschedulable : undefined,
+            message: (unschedulable.length > 0 ? 'No work can be scheduled.' : 'No remaining work: every task is done or cancelled.') + unschedulableNote
+          });
+        }
+
+        const { duration, timings, criticalPath } = analyzeCriticalPath(graph, order);
+
+        const describe = key => {
+          const node = graph.nodes.get(key);
+          const timing = timings.get(key);
+          return {
+            id: key,
+            title: node.task.title,
+            status: node.task.status,
+            weight: node.weight,
+            weightSource: node.weightSource,
+            dependencies: node.dependencies,
+            earliestStart: roundWeight(timing.earliestStart),
+            earliestFinish: roundWeight(timing.earliestFinish),
+            latestStart: roundWeight(timing.latestStart),
+            latestFinish: roundWeight(timing.latestFinish),
+            slack: timing.slack,
+            critical: timing.critical
+          };
+        };
+
+        // Earliest-start order; ties keep the dependency order
+        const schedule = order
+          .map(describe)
+          .sort((a, b) => a.earliestStart - b.earliestStart);
+
+        const defaultWeighted = schedule.filter(item => item.weightSource === 'default').length;
+
+        const result = {
+          success: true,
+          duration: roundWeight(duration),
+          criticalPath: criticalPath.map(key => {
+            const { id, title, status, weight, earliestStart, earliestFinish } = describe(key);
+            return { id, title, status, weight, earliestStart, earliestFinish };
+          }),
+          schedule,
+          unschedulable: unschedulable.length > 0 ? unschedulable : undefined,
+          message: `Critical path: ${criticalPath.join(' → ')} (total weight ${roundWeight(duration)}). ` +
+            `${schedule.filter(item => item.critical).length} of ${schedule.length} remaining item(s) have no slack.` +
+            unschedulableNote
+        };
+
+        if (defaultWeighted > 0) {
+          result.message += ` ${defaultWeighted} item(s) use the default weight ${defaultWeight}.`;
+          result.nextSteps = ['Score tasks with analyze_task_complexity, or set an estimate on them, for a more accurate schedule'];
+        }
+
+        logger.info(`Critical path analysis completed: ${criticalPath.length} item(s) on the path, duration ${roundWeight(duration)}`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to analyze critical path: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to analyze critical path: ${error.message}`);
+      }
+    }
+  });
+}
@@ -0,0 +1,346 @@
+/**
+ * Dependency Graph Utilities
+ * Builds a dependency graph over tasks and subtasks and analyzes it for issues
+ */
+
+/**
+ * Normalize a dependency ID to its canonical string key ("5" or "5.2")
+ * @param {string|number} depId - Dependency ID as stored in tasks.json
+ * @returns {string} Canonical dependency key
+ */
+export function getDependencyKey(depId) {
+  return String(depId).trim();
+}
+
+/**
+ * Check whether two dependency IDs refer to the same task/subtask
+ * @param {string|number} a - First dependency ID
+ * @param {string|number} b - Second dependency ID
+ * @returns {boolean} Whether both IDs point at the same item
+ */
+export function isSameDependency(a, b) {
+  return getDependencyKey(a) === getDependencyKey(b);
+}
+
+/**
+ * Convert a dependency ID to the stored representation:
+ * numbers for tasks, "parentId.subtaskId" strings for subtasks
+ * @param {string|number} depId - Dependency ID
+ * @returns {string|number} Normalized dependency ID
+ */
+export function normalizeDependencyId(depId) {
+  const key = getDependencyKey(depId);
+  if (key.includes('.')) {
+    return key;
+  }
+  const numericId = parseInt(key, 10);
+  return isNaN(numericId) ? key : numericId;
+}
+
+/**
+ * Build a dependency graph covering every task and subtask
+ * @param {Array} tasks - Array of tasks
+ * @returns {Object} Graph with nodes (key -> node info) and edges (key -> dependency keys)
+ */
+export function buildDependencyGraph(tasks) {
+  const nodes = new Map();
+  const edges = new Map();
+
+  const addNode = (key, item, parent) => {
+    nodes.set(key, {
+      id: key,
+      task: item,
+      parent,
+      isSubtask: parent !== null
+    });
+    edges.set(key, (item.dependencies || []).map(getDependencyKey));
+  };
+
+  (tasks || []).forEach(task => {
+    addNode(String(task.id), task, null);
+
+    (task.subtasks || []).forEach(subtask => {
+      addNode(`${task.id}.${subtask.id}`, subtask, task);
+    });
+  });
+
+  return { nodes, edges };
+}
+
+/**
+ * Find dependency cycles using a depth-first search in ID order.
+ * Each cycle is reported once, together with the edge that closed the loop
+ * during the search (the deterministic candidate for removal).
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @returns {Array} Array of { path, closingEdge } objects
+ */
+export function findDependencyCycles(graph) {
+  const { nodes, edges } = graph;
+  const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+  const stack = [];
+  const cycles = [];
+  const seen = new Set();
+
+  const visit = key => {
+    state.set(key, 1);
+    stack.push(key);
+
+    for (const depKey of edges.get(key) || []) {
+      if (depKey === key || !nodes.has(depKey)) {
+        // Self references and missing targets are reported separately
+        continue;
+      }
+
+      if (state.get(depKey) === 1) {
+        const path = [...stack.slice(stack.indexOf(depKey)), depKey];
+        const signature = getCycleSignature(path);
+        if (!seen.has(signature)) {
+          seen.add(signature);
+          cycles.push({
+            path,
+            closingEdge: { from: key, to: depKey }
+          });
+        }
+      } else if (!state.get(depKey)) {
+        visit(depKey);
+      }
+    }
+
+    stack.pop();
+    state.set(key, 2);
+  };
+
+  [...nodes.keys()].sort(compareTaskKeys).forEach(key => {
+    if (!state.get(key)) {
+      visit(key);
+    }
+  });
+
+  return cycles;
+}
+
+/**
+ * Find a dependency path between two items, following "depends on" edges
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @param {string} fromKey - Starting task/subtask key
+ * @param {string} toKey - Target task/subtask key
+ * @returns {Array|null} Keys along the path (inclusive) or null if unreachable
+ */
+export function findDependencyPath(graph, fromKey, toKey) {
+  const { nodes, edges } = graph;
+  const previous = new Map([[fromKey, null]]);
+  const queue = [fromKey];
+
+  while (queue.length > 0) {
+    const key = queue.shift();
+    if (key === toKey) {
+      const path = [];
+      for (let current = key; current !== null; current = previous.get(current)) {
+        path.unshift(current);
+      }
+      return path;
+    }
+
+    for (const depKey of edges.get(key) || []) {
+      if (nodes.has(depKey) && !previous.has(depKey)) {
+        previous.set(depKey, key);
+        queue.push(depKey);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Format a list of task keys as a readable dependency path
+ * @param {Array} path - Task/subtask keys
+ * @returns {string} Path such as "3 → 7 → 12 → 3"
+ */
+export function formatDependencyPath(path) {
+  return path.join(' → ');
+}
+
+/**
+ * Create the warning add_dependency records on a task when a circular
+ * dependency is forced
+ * @param {string|number} dependsOn - Dependency ID that closes the cycle
+ * @param {string} cycle - Cycle path from formatDependencyPath
+ * @param {string} [createdAt] - ISO timestamp, defaults to now
+ * @returns {Object} Warning
+ */
+export function createCycleWarning(dependsOn, cycle, createdAt = new Date().toISOString()) {
+  return {
+    type: 'circular_dependency',
+    dependsOn,
+    cycle,
+    message: `Dependency on ${getDependencyKey(dependsOn)} was forced and creates a circular dependency: ${cycle}`,
+    createdAt
+  };
+}
+
+/**
+ * Remove the circular dependency warnings whose cycle no longer exists,
+ * because the forced dependency was removed or the loop was broken elsewhere
+ * @param {Array} tasks - Array of tasks (mutated)
+ * @returns {Array} Cleared warnings as { taskId, dependsOn, cycle }
+ */
+export function clearResolvedCycleWarnings(tasks) {
+  const graph = buildDependencyGraph(tasks);
+  const now = new Date().toISOString();
+  const cleared = [];
+
+  graph.nodes.forEach((node, key) => {
+    const warnings = node.task.warnings;
+    if (!Array.isArray(warnings)) {
+      return;
+    }
+
+    const kept = warnings.filter(warning => {
+      if (warning.type !== 'circular_dependency') {
+        return true;
+      }
+      const depKey = getDependencyKey(warning.dependsOn);
+      if (graph.edges.get(key).includes(depKey) && findDependencyPath(graph, depKey, key)) {
+        return true;
+      }
+      cleared.push({ taskId: key, dependsOn: warning.dependsOn, cycle: warning.cycle });
+      return false;
+    });
+
+    if (kept.length !== warnings.length) {
+      if (kept.length > 0) {
+        node.task.warnings = kept;
+      } else {
+        delete node.task.warnings;
+      }
+      (node.parent || node.task).updatedAt = now;
+    }
+  });
+
+  return cleared;
+}
+
+/**
+ * Compare task/subtask keys numerically ("2" < "2.1" < "2.10" < "10")
+ * @param {string} a - First key
+ * @param {string} b - Second key
+ * @returns {number} Sort order
+ */
+export function compareTaskKeys(a, b) {
+  const [aParent, aSub = 0] = String(a).split('.').map(Number);
+  const [bParent, bSub = 0] = String(b).split('.').map(Number);
+  return aParent - bParent || aSub - bSub;
+}
+
+/**
+ * Check whether a task/subtask status counts as completed
+ * @param {string} status - Status value
+ * @returns {boolean} Whether the status is done or completed
+ */
+export function isCompletedStatus(status) {
+  return status === 'done' || status === 'completed';
+}
+
+/**
+ * Build a rotation-independent signature for a cycle path
+ * @param {Array} path - Cycle path whose last element repeats the first
+ * @returns {string} Cycle signature
+ */
+function getCycleSignature(path) {
+  const loop = path.slice(0, -1);
+  const start = loop.indexOf([...loop].sort(compareTaskKeys)[0]);
+  return [...loop.slice(start), ...loop.slice(0, start)].join('>');
+}
+
+/**
+ * Analyze all task and subtask dependencies for problems
+ * @param {Array} tasks - Array of tasks
+ * @returns {Object} Analysis with stats and issues grouped by type
+ */
+export function analyzeDependencies(tasks) {
+  const graph = buildDependencyGraph(tasks);
+  const issues = {
+    missingDependencies: [],
+    selfDependencies: [],
+    duplicateDependencies: [],
+    circularDependencies: [],
+    crossTaskSubtaskDependencies: []
+  };
+  let dependenciesChecked = 0;
+
+  graph.nodes.forEach((node, key) => {
+    const rawDependencies = node.task.dependencies || [];
+    const seenKeys = new Map();
+
+    rawDependencies.forEach(rawDep => {
+      dependenciesChecked += 1;
+      const depKey = getDependencyKey(rawDep);
+
+      if (seenKeys.has(depKey)) {
+        issues.duplicateDependencies.push({
+          taskId: key,
+          dependencyId: rawDep,
+          firstOccurrence: seenKeys.get(depKey),
+          message: `${node.isSubtask ? 'Subtask' : 'Task'} ${key} lists dependency ${depKey} more than once`
+        });
+        return;
+      }
+      seenKeys.set(depKey, rawDep);
+
+      if (depKey === key) {
+        issues.selfDependencies.push({
+          taskId: key,
+          dependencyId: rawDep,
+          message: `${node.isSubtask ? 'Subtask' : 'Task'} ${key} depends on itself`
+        });
+        return;
+      }
+
+      const target = graph.nodes.get(depKey);
+      if (!target) {
+        issues.missingDependencies.push({
+          taskId: key,
+          dependencyId: rawDep,
+          message: `${node.isSubtask ? 'Subtask' : 'Task'} ${key} depends on ${depKey}, which does not exist`
+        });
+        return;
+      }
+
+      if (node.isSubtask) {
+        const parentKey = String(node.parent.id);
+        const targetParentKey = target.isSubtask ? String(target.parent.id) : depKey;
+
+        if (targetParentKey !== parentKey && !isCompletedStatus(target.task.status)) {
+          issues.crossTaskSubtaskDependencies.push({
+            taskId: key,
+            dependencyId: rawDep,
+            dependencyStatus: target.task.status || 'pending',
+            message: `Subtask ${key} depends on ${depKey} outside its parent task ${parentKey}, which is not done yet (${target.task.status || 'pending'})`
+          });
+        }
+      }
+    });
+  });
+
+  findDependencyCycles(graph).forEach(cycle => {
+    issues.circularDependencies.push({
+      cycle: cycle.path,
+      path: formatDependencyPath(cycle.path),
+      closingEdge: cycle.closingEdge,
+      message: `Circular dependency: ${formatDependencyPath(cycle.path)}`
+    });
+  });
+
+  const nodeList = [...graph.nodes.values()];
+
+  return {
+    graph,
+    stats: {
+      tasksChecked: nodeList.filter(node => !node.isSubtask).length,
+      subtasksChecked: nodeList.filter(node => node.isSubtask).length,
+      dependenciesChecked
+    },
+    issues
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Due Date Utilities
+ * Tasks and subtasks may carry a dueDate and tasks may belong to a milestone
+ * from the task list's milestones registry ({ name, targetDate }). Dates are
+ * calendar days written as YYYY-MM-DD, so they compare as strings. An item
+ * without a due date of its own falls back to its parent task's due date and
+ * then to its milestone's target date.
+ */
+
+import { isClosedStatus } from './workflow-utils.js';
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check for a real calendar date written as YYYY-MM-DD
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a valid date
+ */
+export function isValidDate(value) {
+  const match = typeof value === 'string' ? DATE_PATTERN.exec(value) : null;
+  if (!match) {
+    return false;
+  }
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Format a moment as the local calendar day
+ * @param {Date} [now] - Moment to format
+ * @returns {string} YYYY-MM-DD
+ */
+export function getToday(now = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Add days to a calendar date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add, may be negative
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Count the days from one calendar date to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number} Days, negative when to is before from
+ */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * Find a milestone in the registry by name
+ * @param {Array} milestones - The task list's milestones
+ * @param {string} name - Milestone name
+ * @returns {Object|undefined} Milestone
+ */
+export function findMilestone(milestones, name) {
+  return (milestones || []).find(milestone => milestone.name === name);
+}
+
+/**
+ * Get the date a task or subtask is due and where it comes from
+ * @param {Object} item - Task or subtask
+ * @param {Object|null} parent - Parent task for a subtask
+ * @param {Array} milestones - The task list's milestones
+ * @returns {Object|null} { dueDate, source } with source "own", "parent" or "milestone", or null
+ */
+export function getDueDate(item, parent, milestones) {
+  if (item.dueDate) {
+    return { dueDate: item.dueDate, source: 'own' };
+  }
+  if (parent?.dueDate) {
+    return { dueDate: parent.dueDate, source: 'parent' };
+  }
+  const milestone = findMilestone(milestones, (parent || item).milestone);
+  return milestone ? { dueDate: milestone.targetDate, source: 'milestone' } : null;
+}
+
+/**
+ * List the open tasks and subtasks that have a due date
+ * @param {Object} data - Task list document ({ tasks, milestones })
+ * @returns {Array} [{ id, item, parent, dueDate, dueSource, milestone }] in task order
+ */
+export function collectOpenDueItems(data) {
+  const items = [];
+  const add = (item, parent, id) => {
+    const due = isClosedStatus(item.status) ? null : getDueDate(item, parent, data.milestones);
+    if (due) {
+      items.push({
+        id,
+        item,
+        parent,
+        dueDate: due.dueDate,
+        dueSource: due.source,
+        milestone: (parent || item).milestone || null
+      });
+    }
+  };
+
+  data.tasks.forEach(task => {
+    add(task, null, `${task.id}`);
+    (task.subtasks || []).forEach(subtask => add(subtask, task, `${task.id}.${subtask.id}`));
+  });
+
+  return items;
+}
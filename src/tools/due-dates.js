@@ -0,0 +1,293 @@
+import { z } from 'zod';
+import logger from '../logger.js';
+import {
+  createContentResponse,
+  createErrorResponse
+} from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { getConfig } from './config-utils.js';
+import { buildDependencyGraph } from './dependency-utils.js';
+import { getOpenDependencies } from './workflow-utils.js';
+import { getEffectiveAssignee } from './assignee-utils.js';
+import {
+  isValidDate,
+  getToday,
+  addDays,
+  daysBetween,
+  findMilestone,
+  collectOpenDueItems
+} from './due-date-utils.js';
+
+const dateParameter = z
+  .string()
+  .refine(isValidDate, 'Expected a calendar date as YYYY-MM-DD');
+
+const asOfSchema = dateParameter
+  .optional()
+  .describe('Day to check against as YYYY-MM-DD. Defaults to today');
+
+/**
+ * Describe an open item with a due date for a response
+ * @param {Object} entry - Entry from collectOpenDueItems
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} Item summary
+ */
+function describeDueItem(entry, today) {
+  return {
+    id: entry.id,
+    title: entry.item.title,
+    status: entry.item.status,
+    dueDate: entry.dueDate,
+    dueSource: entry.dueSource,
+    daysLeft: daysBetween(today, entry.dueDate),
+    milestone: entry.milestone,
+    assignee: getEffectiveAssignee(entry.item, entry.parent)
+  };
+}
+
+/**
+ * Find the open items past their due date, most overdue first
+ * @param {Object} data - Task list document
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array} Item summaries
+ */
+export function findOverdueItems(data, today) {
+  return collectOpenDueItems(data)
+    .filter(entry => entry.dueDate < today)
+    .map(entry => describeDueItem(entry, today))
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+/**
+ * Find the open items due within a window that still wait on dependencies,
+ * soonest first
+ * @param {Object} data - Task list document
+ * @param {string} today - YYYY-MM-DD
+ * @param {number} withinDays - Size of the window in days
+ * @returns {Array} Item summaries with their open dependencies
+ */
+export function findAtRiskItems(data, today, withinDays) {
+  const graph = buildDependencyGraph(data.tasks);
+  const horizon = addDays(today, withinDays);
+
+  return collectOpenDueItems(data)
+    .filter(entry => entry.dueDate >= today && entry.dueDate <= horizon)
+    .map(entry => ({ entry, openDependencies: getOpenDependencies(graph, entry.item) }))
+    .filter(({ openDependencies }) => openDependencies.length > 0)
+    .map(({ entry, openDependencies }) => ({ ...describeDueItem(entry, today), openDependencies }))
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+/**
+ * Register the set-task-schedule tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerSetTaskScheduleTool(server) {
+  server.addTool({
+    name: 'set_task_schedule',
+    description: 'Set the due date of tasks or subtasks and the milestone of tasks. A subtask without its own due date is due with its parent task, and a task without one is due by its milestone\'s target date. Create milestones with set_milestone first. Supports comma-separated task IDs.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      taskIds: z
+        .string()
+        .describe('Task ID(s) to update. Can be comma-separated (e.g., "1,2.1,3")'),
+      dueDate: dateParameter
+        .nullable()
+        .optional()
+        .describe('Due date as YYYY-MM-DD. null removes the due date'),
+      milestone: z
+        .string()
+        .min(1)
+        .nullable()
+        .optional()
+        .describe('Name of the milestone the tasks belong to (tasks only, not subtasks). null removes them from their milestone')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag, taskIds, dueDate, milestone } = args;
+
+        logger.info(`Scheduling tasks ${taskIds}`);
+
+        if (dueDate === undefined && milestone === undefined) {
+          return createErrorResponse('Nothing to change: give a dueDate and/or milestone');
+        }
+
+        const repository = loadTaskRepository(projectRoot, tag);
+        if (milestone && !findMilestone(repository.data.milestones, milestone)) {
+          return createErrorResponse(`Milestone "${milestone}" not found. Create it with set_milestone first`);
+        }
+
+        const updatedTasks = [];
+        const errors = [];
+
+        taskIds.split(',').map(id => id.trim()).forEach(taskId => {
+          const found = repository.find(taskId);
+          if (!found) {
+            errors.push(`Task ${taskId} not found`);
+            return;
+          }
+
+          const { task, isSubtask } = found;
+          if (milestone !== undefined && isSubtask) {
+            errors.push(`Task ${taskId} is a subtask; subtasks belong to their parent task's milestone`);
+            return;
+          }
+          const previous = { dueDate: task.dueDate || null, milestone: task.milestone || null };
+
+          if (dueDate !== undefined) {
+            if (dueDate === null) {
+              delete task.dueDate;
+            } else {
+              task.dueDate = dueDate;
+            }
+          }
+          if (milestone !== undefined) {
+            if (milestone === null) {
+              delete task.milestone;
+            } else {
+              task.milestone = milestone;
+            }
+          }
+          repository.touch(taskId);
+
+          updatedTasks.push({
+            id: taskId,
+            title: task.title,
+            dueDate: task.dueDate || null,
+            milestone: isSubtask ? undefined : task.milestone || null,
+            previous
+          });
+        });
+
+        if (updatedTasks.length > 0) {
+          repository.save({ tool: 'set_task_schedule', args });
+        }
+
+        const result = {
+          success: updatedTasks.length > 0,
+          updatedTasks,
+          errors: errors.length > 0 ? errors : undefined,
+          message: `Updated ${updatedTasks.length} task(s)` + (errors.length > 0 ? `. ${errors.length} error(s) occurred.` : '')
+        };
+
+        logger.info(`Scheduling completed: ${updatedTasks.length} updated, ${errors.length} errors`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to schedule tasks: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to schedule tasks: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the list-overdue-tasks tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerListOverdueTasksTool(server) {
+  server.addTool({
+    name: 'list_overdue_tasks',
+    description: 'List the open tasks and subtasks whose due date has passed, most overdue first. Items without a due date of their own use their parent task\'s due date or their milestone\'s target date (see dueSource).',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      asOf: asOfSchema
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag } = args;
+        const today = args.asOf || getToday();
+
+        logger.info(`Listing overdue tasks as of ${today} in project: ${projectRoot}`);
+
+        const { data } = loadTaskRepository(projectRoot, tag, { readOnly: true });
+        const overdue = findOverdueItems(data, today);
+
+        const result = {
+          success: true,
+          asOf: today,
+          overdue,
+          message: overdue.length > 0 ?
+            `${overdue.length} open item(s) overdue as of ${today}` :
+            `Nothing is overdue as of ${today}`
+        };
+
+        logger.info(`Found ${overdue.length} overdue item(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to list overdue tasks: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to list overdue tasks: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the list-at-risk-tasks tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerListAtRiskTasksTool(server) {
+  server.addTool({
+    name: 'list_at_risk_tasks',
+    description: 'List the open tasks and subtasks that are due soon but still wait on unfinished dependencies, soonest first, with the dependencies holding them up. Overdue items are listed by list_overdue_tasks instead.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      withinDays: z
+        .number()
+        .int()
+        .min(0)
+        .max(365)
+        .optional()
+        .describe('How many days ahead counts as due soon. Defaults to dueDates.atRiskDays in config'),
+      asOf: asOfSchema
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag } = args;
+        const today = args.asOf || getToday();
+        const withinDays = args.withinDays ?? getConfig(projectRoot).dueDates.atRiskDays;
+
+        logger.info(`Listing tasks at risk within ${withinDays} day(s) of ${today} in project: ${projectRoot}`);
+
+        const { data } = loadTaskRepository(projectRoot, tag, { readOnly: true });
+        const atRisk = findAtRiskItems(data, today, withinDays);
+
+        const result = {
+          success: true,
+          asOf: today,
+          withinDays,
+          atRisk,
+          message: atRisk.length > 0 ?
+            `${atRisk.length} open item(s) due by ${addDays(today, withinDays)} still wait on dependencies` :
+            `No item due by ${addDays(today, withinDays)} waits on dependencies`
+        };
+
+        logger.info(`Found ${atRisk.length} item(s) at risk`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to list tasks at risk: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to list tasks at risk: ${error.message}`);
+      }
+    }
+  });
+}
@@ -1,12 +1,12 @@
 import { z } from 'zod';
-import fs from 'fs';
-import path from 'path';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
   createErrorResponse,
-  getTasksFilePath
+  loadComplexityReport
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { getConfig } from './config-utils.js';
 
 /**
  * Register the expand-task tool
@@ -20,13 +20,17 @@ export function registerExpandTaskTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       taskId: z
         .number()
         .describe('Task ID to expand into subtasks'),
       numSubtasks: z
         .number()
         .optional()
-        .describe('Optional: Explicit target number of subtasks. If not provided, will use complexity report or config default'),
+        .describe('Optional: Explicit target number of subtasks. If not provided, will use complexity report or the configured defaultSubtasks'),
       research: z
         .boolean()
         .optional()
@@ -45,43 +49,21 @@ export function registerExpandTaskTool(server) {
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, taskId, numSubtasks, research, additionalContext, force } = args;
+        const { projectRoot, tag, taskId, numSubtasks, research, additionalContext, force } = args;
         
         logger.info(`Preparing task expansion instructions for task ${taskId}${research ? ' with research mode' : ''}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        
-        // Validate tasks file exists
-        if (!fs.existsSync(tasksPath)) {
-          return createErrorResponse(`Tasks file not found: ${tasksPath}`);
-        }
-        
-        // Read and validate tasks data
-        let tasksData;
-        try {
-          tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-          if (!tasksData || !tasksData.tasks) {
-            return createErrorResponse(`Invalid tasks data in ${tasksPath}`);
-          }
-        } catch (error) {
-          return createErrorResponse(`Failed to read tasks file: ${error.message}`);
-        }
-        
-        // Find the task to expand
-        const task = tasksData.tasks.find(t => t.id === taskId);
-        if (!task) {
-          return createErrorResponse(`Task ${taskId} not found`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag);
+        const task = repository.getTask(taskId);
         
         // Check for complexity report to determine subtask count and prompt
-        let finalSubtaskCount = numSubtasks || 3; // Default fallback
-        let complexityReportPath = path.join(projectRoot, '.taskmaster', 'complexity-report.json');
+        let finalSubtaskCount = numSubtasks || getConfig(projectRoot).global.defaultSubtasks;
         let taskAnalysis = null;
         let useComplexityPrompt = false;
         
         try {
-          if (fs.existsSync(complexityReportPath)) {
-            const complexityReport = JSON.parse(fs.readFileSync(complexityReportPath, 'utf8'));
+          const complexityReport = loadComplexityReport(projectRoot, tag);
+          if (complexityReport) {
             taskAnalysis = complexityReport?.complexityAnalysis?.find(a => a.taskId === task.id);
             if (taskAnalysis) {
               if (!numSubtasks && taskAnalysis.recommendedSubtasks) {
@@ -97,7 +79,7 @@ export function registerExpandTaskTool(server) {
         }
         
         // Determine next subtask ID
-        const nextSubtaskId = (task.subtasks?.length || 0) + 1;
+        const nextSubtaskId = repository.nextSubtaskId(task);
         
         let systemPrompt, userPrompt;
         
@@ -164,40 +146,32 @@ ${systemPrompt}
 **USER PROMPT:**
 ${userPrompt}
 
-**STEP 2: Handle Force Option (if applicable)**
-${force ? `Before creating new subtasks, call clear_subtasks with:
-   - projectRoot: "${projectRoot}"
-   - taskIds: "${taskId}"
-
-` : ''}**STEP 3: Create Each Subtask**
-After generating the subtasks JSON${force ? ' and clearing existing subtasks' : ''}, you MUST create each subtask by calling the add_subtask tool for each one. For each subtask in your generated JSON:
-
-1. Call add_subtask with:
+**STEP 2: Save the Subtasks**
+After generating the subtasks JSON, you MUST save it by calling apply_ai_result with:
    - projectRoot: "${projectRoot}"
-   - parentId: ${taskId}
-   - title: [subtask title from your JSON]
-   - description: [subtask description from your JSON]
-   - details: [subtask details from your JSON]
-   - dependencies: [convert subtask IDs to proper format, e.g., if dependencies: [2], convert to ["${taskId}.2"]]
-   - status: "pending"
+   - action: "expand_task"${tag ? `
+   - tag: "${tag}"` : ''}
+   - taskId: ${taskId}
+   - result: [the subtasks JSON exactly as you generated it]${force ? `
+   - force: true` : ''}
 
-2. Repeat this for ALL subtasks in your generated JSON
+apply_ai_result checks the subtask IDs start at ${nextSubtaskId}, converts dependencies on the new subtasks to the "${taskId}.N" format and adds all subtasks in a single write. If it reports violations, correct the JSON and call it again.
 
-**STEP 4: Completion**
-After creating all subtasks, optionally run generate_task_files to create individual task files.
+**STEP 3: Completion**
+After saving the subtasks, optionally run generate_task_files to create individual task files.
 
 **IMPORTANT NOTES:**
-- ${force ? 'Force mode enabled: existing subtasks will be cleared first' : 'These will be appended to any existing subtasks'}
-- Dependencies should reference other subtasks using the format "parentId.subtaskId" (e.g., "${taskId}.1", "${taskId}.2")
-- You MUST actually call add_subtask for each generated subtask - don't just show me the JSON
+- ${force ? 'Force mode enabled: existing unfinished subtasks will be replaced (completed subtasks are kept)' : 'These will be appended to any existing subtasks'}
+- Keep dependencies as the new sequential subtask IDs (e.g., [${nextSubtaskId}]); use "parentId.subtaskId" only for existing subtasks
+- You MUST actually call apply_ai_result with the generated JSON - don't just show me the JSON
 
 **START NOW:**
-Begin with Step 1 (generate the subtasks JSON)${force ? ', then Step 2 (clear existing subtasks), then Step 3 (create each new subtask using add_subtask tool calls)' : ', then immediately proceed to Step 3 (create each subtask using add_subtask tool calls)'}.`;
+Begin with Step 1 (generate the subtasks JSON), then immediately proceed to Step 2 (save them with apply_ai_result).`;
         
         const result = {
           success: true,
           action: 'expand_task_guidance',
-          targetFile: tasksPath,
+          targetFile: repository.location,
           parameters: {
             taskId,
             finalSubtaskCount,
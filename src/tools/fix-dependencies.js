@@ -1,18 +1,197 @@
-// Placeholder for fix-dependencies tool
-// TODO: Implement dependency fixing functionality
 import { z } from 'zod';
 import logger from '../logger.js';
-import { createContentResponse, createErrorResponse } from './utils.js';
+import {
+  createContentResponse,
+  createErrorResponse
+} from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import {
+  buildDependencyGraph,
+  clearResolvedCycleWarnings,
+  findDependencyCycles,
+  formatDependencyPath,
+  getDependencyKey,
+  normalizeDependencyId
+} from './dependency-utils.js';
 
+/**
+ * Repair dependency problems in place and record every edit made
+ * @param {Array} tasks - Array of tasks (mutated)
+ * @returns {Array} List of changes applied to the tasks
+ */
+function repairDependencies(tasks) {
+  const changes = [];
+  const graph = buildDependencyGraph(tasks);
+  const touched = new Set();
+
+  // Pass 1: normalize IDs and drop missing, self and duplicate references
+  graph.nodes.forEach((node, key) => {
+    if (!Array.isArray(node.task.dependencies)) {
+      return;
+    }
+
+    const kept = [];
+    const keptKeys = new Set();
+
+    node.task.dependencies.forEach(rawDep => {
+      const depKey = getDependencyKey(rawDep);
+
+      if (depKey === key) {
+        changes.push({ taskId: key, action: 'remove_self', dependencyId: rawDep, reason: 'Task depends on itself' });
+        return;
+      }
+
+      if (!graph.nodes.has(depKey)) {
+        changes.push({ taskId: key, action: 'remove_missing', dependencyId: rawDep, reason: `Dependency ${depKey} does not exist` });
+        return;
+      }
+
+      if (keptKeys.has(depKey)) {
+        changes.push({ taskId: key, action: 'remove_duplicate', dependencyId: rawDep, reason: `Dependency ${depKey} is listed more than once` });
+        return;
+      }
+
+      const normalized = normalizeDependencyId(rawDep);
+      if (normalized !== rawDep) {
+        changes.push({
+          taskId: key,
+          action: 'normalize',
+          dependencyId: rawDep,
+          replacement: normalized,
+          reason: typeof normalized === 'number' ?
+            'Task dependencies are stored as numbers' :
+            'Subtask dependencies are stored as "parentId.subtaskId" strings'
+        });
+      }
+
+      kept.push(normalized);
+      keptKeys.add(depKey);
+    });
+
+    if (kept.length !== node.task.dependencies.length || kept.some((dep, i) => dep !== node.task.dependencies[i])) {
+      node.task.dependencies = kept;
+      graph.edges.set(key, kept.map(getDependencyKey));
+      touched.add(key);
+    }
+  });
+
+  // Pass 2: break cycles by removing the edge that closes each loop during
+  // an ID-ordered search, repeating until the graph is acyclic
+  let cycles = findDependencyCycles(graph);
+  while (cycles.length > 0) {
+    cycles.forEach(({ path, closingEdge }) => {
+      const node = graph.nodes.get(closingEdge.from);
+      const index = node.task.dependencies.findIndex(dep => getDependencyKey(dep) === closingEdge.to);
+      if (index === -1) {
+        return;
+      }
+
+      const [removed] = node.task.dependencies.splice(index, 1);
+      graph.edges.set(closingEdge.from, node.task.dependencies.map(getDependencyKey));
+      touched.add(closingEdge.from);
+
+      changes.push({
+        taskId: closingEdge.from,
+        action: 'break_cycle',
+        dependencyId: removed,
+        reason: `Closes circular dependency ${formatDependencyPath(path)}`
+      });
+    });
+    cycles = findDependencyCycles(graph);
+  }
+
+  // Touch timestamps the same way add_dependency does
+  const now = new Date().toISOString();
+  touched.forEach(key => {
+    const node = graph.nodes.get(key);
+    (node.parent || node.task).updatedAt = now;
+  });
+
+  // Pass 3: drop the warnings of forced circular dependencies that are gone
+  clearResolvedCycleWarnings(tasks).forEach(warning => {
+    changes.push({
+      taskId: warning.taskId,
+      action: 'clear_warning',
+      dependencyId: warning.dependsOn,
+      reason: `Circular dependency ${warning.cycle} no longer exists`
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Register the fix-dependencies tool
+ * @param {Object} server - FastMCP server instance
+ */
 export function registerFixDependenciesTool(server) {
   server.addTool({
     name: 'fix_dependencies',
-    description: 'Automatically fix invalid task dependencies.',
+    description: 'Automatically fix invalid task dependencies: removes references to missing tasks, self and duplicate dependencies, breaks circular dependencies, normalizes dependency ID formats and clears the warnings of forced circular dependencies that no longer exist. Use dryRun to preview the exact edits.',
     parameters: z.object({
-      projectRoot: z.string().describe('Project root directory')
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      dryRun: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('Only report the planned edits without writing tasks.json')
     }),
     execute: async (args) => {
-      return createErrorResponse('fix_dependencies tool not yet implemented');
+      try {
+        const { projectRoot, tag, dryRun } = args;
+
+        logger.info(`Fixing dependencies in project: ${projectRoot}${dryRun ? ' (dry run)' : ''}`);
+
+        const repository = loadTaskRepository(projectRoot, tag);
+        const { data } = repository;
+
+        const changes = repairDependencies(data.tasks);
+
+        if (!dryRun && changes.length > 0) {
+          repository.save({ tool: 'fix_dependencies', args });
+        }
+
+        const countByAction = action => changes.filter(change => change.action === action).length;
+
+        const result = {
+          success: true,
+          dryRun,
+          applied: !dryRun && changes.length > 0,
+          summary: {
+            totalChanges: changes.length,
+            tasksAffected: new Set(changes.map(change => change.taskId)).size,
+            removedMissing: countByAction('remove_missing'),
+            removedSelf: countByAction('remove_self'),
+            removedDuplicates: countByAction('remove_duplicate'),
+            brokenCycles: countByAction('break_cycle'),
+            normalizedIds: countByAction('normalize'),
+            clearedWarnings: countByAction('clear_warning')
+          },
+          changes,
+          message: changes.length === 0 ?
+            'No dependency issues to fix' :
+            dryRun ?
+              `Dry run: ${changes.length} change(s) would be applied` :
+              `Applied ${changes.length} dependency fix(es)`
+        };
+
+        if (dryRun && changes.length > 0) {
+          result.nextSteps = ['Apply these changes: fix_dependencies with dryRun false'];
+        }
+
+        logger.info(`Dependency fix ${dryRun ? 'planned' : 'completed'}: ${changes.length} change(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to fix dependencies: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to fix dependencies: ${error.message}`);
+      }
     }
   });
 }
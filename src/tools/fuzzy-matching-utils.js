@@ -3,6 +3,8 @@
  * Provides string similarity and matching functions for task filtering
  */
 
+import { DEFAULT_CONFIG } from './config-utils.js';
+
 /**
  * Calculate string similarity using simple edit distance approach
  * @param {string} str1 - First string
@@ -53,9 +55,10 @@ export function levenshteinDistance(str1, str2) {
  * Fuzzy match keywords against task keywords
  * @param {Array} searchKeywords - Keywords to search for
  * @param {Array} taskKeywords - Keywords from task
+ * @param {number} [similarityThreshold] - Similarity above which two keywords are a near match (fuzzy.keywordSimilarity in config)
  * @returns {number} Match score (0-1)
  */
-export function fuzzyMatchKeywords(searchKeywords, taskKeywords) {
+export function fuzzyMatchKeywords(searchKeywords, taskKeywords, similarityThreshold = DEFAULT_CONFIG.fuzzy.keywordSimilarity) {
   if (!searchKeywords || !taskKeywords || searchKeywords.length === 0 || taskKeywords.length === 0) {
     return 0;
   }
@@ -79,7 +82,7 @@ export function fuzzyMatchKeywords(searchKeywords, taskKeywords) {
       }
       
       // Similar words (edit distance based)
-      if (calculateSimilarity(searchKeyword, taskKeyword) > 0.8) {
+      if (calculateSimilarity(searchKeyword, taskKeyword) > similarityThreshold) {
         matches += 0.5;
       }
     }
@@ -93,9 +96,10 @@ export function fuzzyMatchKeywords(searchKeywords, taskKeywords) {
  * Fuzzy match flow names against task flow names
  * @param {Array} searchFlows - Flow names to search for
  * @param {Array} taskFlows - Flow names from task
+ * @param {number} [similarityThreshold] - Similarity above which two flow names are a near match (fuzzy.flowSimilarity in config)
  * @returns {number} Match score (0-1)
  */
-export function fuzzyMatchFlows(searchFlows, taskFlows) {
+export function fuzzyMatchFlows(searchFlows, taskFlows, similarityThreshold = DEFAULT_CONFIG.fuzzy.flowSimilarity) {
   if (!searchFlows || !taskFlows || searchFlows.length === 0 || taskFlows.length === 0) {
     return 0;
   }
@@ -119,7 +123,7 @@ export function fuzzyMatchFlows(searchFlows, taskFlows) {
       }
       
       // Similar words (edit distance based)
-      if (calculateSimilarity(searchFlow, taskFlow) > 0.85) {
+      if (calculateSimilarity(searchFlow, taskFlow) > similarityThreshold) {
         matches += 0.6;
       }
     }
@@ -5,23 +5,20 @@ import logger from '../logger.js';
 import { 
   createContentResponse, 
   createErrorResponse,
-  readJSON,
-  getTasksFilePath,
+  getTagDirectory,
   ensureDirectoryExists
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
 
 /**
- * Generate individual task files from tasks.json
- * @param {string} tasksPath - Path to tasks.json
+ * Generate individual task files from a tag's tasks
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [tag] - Tag name, defaults to the current tag
  * @param {string} outputDir - Output directory for task files
  * @returns {Object} Result with generated files info
  */
-function generateTaskFiles(tasksPath, outputDir) {
-  const data = readJSON(tasksPath);
-  
-  if (!data || !data.tasks) {
-    throw new Error(`No valid tasks found in ${tasksPath}`);
-  }
+function generateTaskFiles(projectRoot, tag, outputDir) {
+  const { data } = loadTaskRepository(projectRoot, tag, { readOnly: true });
   
   // Ensure output directory exists
   ensureDirectoryExists(outputDir);
@@ -144,25 +141,24 @@ export function registerGenerateTaskFilesTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       outputDir: z
         .string()
         .optional()
-        .describe('Output directory for task files. Defaults to .taskmaster/tasks/')
+        .describe('Output directory for task files. Defaults to the tag\'s tasks directory (.taskmaster/tasks/ for master)')
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, outputDir } = args;
+        const { projectRoot, tag, outputDir } = args;
         
         logger.info(`Generating task files for project: ${projectRoot}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        const outputDirectory = outputDir || path.join(projectRoot, '.taskmaster', 'tasks');
-        
-        if (!fs.existsSync(tasksPath)) {
-          return createErrorResponse(`Tasks file not found at ${tasksPath}. Run init first to create the project structure.`);
-        }
+        const outputDirectory = outputDir || getTagDirectory(projectRoot, tag);
         
-        const result = generateTaskFiles(tasksPath, outputDirectory);
+        const result = generateTaskFiles(projectRoot, tag, outputDirectory);
         
         const response = {
           success: true,
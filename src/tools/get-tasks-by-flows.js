@@ -1,12 +1,12 @@
 import { z } from 'zod';
-import fs from 'fs';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
   createErrorResponse,
-  getTasksFilePath,
   getStatusDisplay
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { getConfig } from './config-utils.js';
 import { fuzzyMatchFlows, getMatchedTerms } from './fuzzy-matching-utils.js';
 import { processBatchResults } from './batch-processing-utils.js';
 
@@ -79,14 +79,17 @@ export function registerGetTasksByFlowsTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       flowNames: z
         .array(z.string())
         .describe('Array of business flow names to search for in task flowNames'),
       minScore: z
         .number()
         .optional()
-        .default(0.4)
-        .describe('Minimum fuzzy match score (0-1, default: 0.4)'),
+        .describe('Minimum fuzzy match score (0-1, default: fuzzy.flowMinScore in config, 0.4)'),
       maxResults: z
         .number()
         .optional()
@@ -121,8 +124,8 @@ export function registerGetTasksByFlowsTool(server) {
       try {
         const { 
           projectRoot, 
+          tag,
           flowNames, 
-          minScore, 
           maxResults, 
           includeSubtasks, 
           statusFilter,
@@ -130,28 +133,14 @@ export function registerGetTasksByFlowsTool(server) {
           order,
           includeFlowAnalysis
         } = args;
+        const config = getConfig(projectRoot);
+        const minScore = args.minScore ?? config.fuzzy.flowMinScore;
         
         logger.info(`Searching for tasks by flows: ${flowNames.join(', ')}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        
-        // Validate tasks file exists
-        if (!fs.existsSync(tasksPath)) {
-          return createErrorResponse(`Tasks file not found: ${tasksPath}`);
-        }
-        
-        // Read and validate tasks data
-        let tasksData;
-        try {
-          tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-          if (!tasksData || !tasksData.tasks) {
-            return createErrorResponse(`No valid tasks found in ${tasksPath}`);
-          }
-        } catch (error) {
-          return createErrorResponse(`Failed to read tasks file: ${error.message}`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag, { readOnly: true });
         
-        const allTasks = tasksData.tasks;
+        const allTasks = repository.tasks;
         const searchResults = [];
         
         // Search through tasks
@@ -163,7 +152,7 @@ export function registerGetTasksByFlowsTool(server) {
           
           // Check if task has flowNames field
           if (task.flowNames && Array.isArray(task.flowNames) && task.flowNames.length > 0) {
-            const score = fuzzyMatchFlows(flowNames, task.flowNames);
+            const score = fuzzyMatchFlows(flowNames, task.flowNames, config.fuzzy.flowSimilarity);
             
             if (score >= minScore) {
               searchResults.push({
@@ -183,7 +172,7 @@ export function registerGetTasksByFlowsTool(server) {
               }
               
               if (subtask.flowNames && Array.isArray(subtask.flowNames) && subtask.flowNames.length > 0) {
-                const score = fuzzyMatchFlows(flowNames, subtask.flowNames);
+                const score = fuzzyMatchFlows(flowNames, subtask.flowNames, config.fuzzy.flowSimilarity);
                 
                 if (score >= minScore) {
                   searchResults.push({
@@ -203,7 +192,7 @@ export function registerGetTasksByFlowsTool(server) {
         
         // Process results with batching
         const batchResult = processBatchResults(searchResults, {
-          batchSize: 50,
+          batchSize: config.batch.searchResultsPerBatch,
           sortBy,
           order,
           includeSubtasks
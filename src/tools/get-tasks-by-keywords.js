@@ -1,12 +1,12 @@
 import { z } from 'zod';
-import fs from 'fs';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
   createErrorResponse,
-  getTasksFilePath,
   getStatusDisplay
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { getConfig } from './config-utils.js';
 import { fuzzyMatchKeywords, getMatchedTerms } from './fuzzy-matching-utils.js';
 import { processBatchResults } from './batch-processing-utils.js';
 
@@ -22,14 +22,17 @@ export function registerGetTasksByKeywordsTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       keywords: z
         .array(z.string())
         .describe('Array of keywords to search for in task keywords'),
       minScore: z
         .number()
         .optional()
-        .default(0.3)
-        .describe('Minimum fuzzy match score (0-1, default: 0.3)'),
+        .describe('Minimum fuzzy match score (0-1, default: fuzzy.keywordMinScore in config, 0.3)'),
       maxResults: z
         .number()
         .optional()
@@ -59,36 +62,22 @@ export function registerGetTasksByKeywordsTool(server) {
       try {
         const { 
           projectRoot, 
+          tag,
           keywords, 
-          minScore, 
           maxResults, 
           includeSubtasks, 
           statusFilter,
           sortBy,
           order
         } = args;
+        const config = getConfig(projectRoot);
+        const minScore = args.minScore ?? config.fuzzy.keywordMinScore;
         
         logger.info(`Searching for tasks by keywords: ${keywords.join(', ')}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        
-        // Validate tasks file exists
-        if (!fs.existsSync(tasksPath)) {
-          return createErrorResponse(`Tasks file not found: ${tasksPath}`);
-        }
-        
-        // Read and validate tasks data
-        let tasksData;
-        try {
-          tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-          if (!tasksData || !tasksData.tasks) {
-            return createErrorResponse(`No valid tasks found in ${tasksPath}`);
-          }
-        } catch (error) {
-          return createErrorResponse(`Failed to read tasks file: ${error.message}`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag, { readOnly: true });
         
-        const allTasks = tasksData.tasks;
+        const allTasks = repository.tasks;
         const searchResults = [];
         
         // Search through tasks
@@ -100,7 +89,7 @@ export function registerGetTasksByKeywordsTool(server) {
           
           // Check if task has keywords field
           if (task.keywords && Array.isArray(task.keywords) && task.keywords.length > 0) {
-            const score = fuzzyMatchKeywords(keywords, task.keywords);
+            const score = fuzzyMatchKeywords(keywords, task.keywords, config.fuzzy.keywordSimilarity);
             
             if (score >= minScore) {
               searchResults.push({
@@ -120,7 +109,7 @@ export function registerGetTasksByKeywordsTool(server) {
               }
               
               if (subtask.keywords && Array.isArray(subtask.keywords) && subtask.keywords.length > 0) {
-                const score = fuzzyMatchKeywords(keywords, subtask.keywords);
+                const score = fuzzyMatchKeywords(keywords, subtask.keywords, config.fuzzy.keywordSimilarity);
                 
                 if (score >= minScore) {
                   searchResults.push({
@@ -140,7 +129,7 @@ export function registerGetTasksByKeywordsTool(server) {
         
         // Process results with batching
         const batchResult = processBatchResults(searchResults, {
-          batchSize: 50,
+          batchSize: config.batch.searchResultsPerBatch,
           sortBy,
           order,
           includeSubtasks
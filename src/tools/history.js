@@ -0,0 +1,314 @@
+import { z } from 'zod';
+import logger from '../logger.js';
+import path from 'path';
+import {
+  createContentResponse,
+  createErrorResponse,
+  readJSON,
+  writeJSON
+} from './utils.js';
+import {
+  readJournal,
+  appendJournalEntry,
+  getJournalState,
+  applyChanges,
+  hashDocument,
+  readJournalTarget,
+  writeJournalTarget,
+  getJournalTargetLocation,
+  journalTargetExists
+} from './journal-utils.js';
+
+/**
+ * Summarize a journal operation for tool responses
+ * @param {Object} op - Journal operation entry
+ * @returns {Object} Operation summary
+ */
+function summarizeOperation(op) {
+  return {
+    seq: op.seq,
+    tool: op.tool,
+    timestamp: op.timestamp,
+    args: op.args,
+    overrides: op.overrides,
+    file: op.file,
+    changes: op.changes.length,
+    files: op.files ? op.files.map(file => file.file) : undefined
+  };
+}
+
+/**
+ * Undo or redo a list of journal operations, stopping at the first one whose
+ * file no longer matches the state the operation left (or started from)
+ * @param {string} projectRoot - Project root directory
+ * @param {Array} operations - Operations in the order to process them
+ * @param {string} direction - 'backward' to undo, 'forward' to redo
+ * @returns {Object} { processed, error }
+ */
+function replayOperations(projectRoot, operations, direction) {
+  const processed = [];
+  const undoing = direction === 'backward';
+
+  for (const op of operations) {
+    if (!journalTargetExists(projectRoot, op)) {
+      return {
+        processed,
+        error: op.tag ?
+          `Tag ${op.tag} no longer exists; operation #${op.seq} (${op.tool}) on it cannot be ${undoing ? 'undone' : 'redone'}` :
+          `${op.file} no longer exists; operation #${op.seq} (${op.tool}) cannot be ${undoing ? 'undone' : 'redone'}`
+      };
+    }
+
+    const location = getJournalTargetLocation(projectRoot, op);
+    const current = readJournalTarget(projectRoot, op);
+    const expectedHash = undoing ? op.hashAfter : op.hashBefore;
+
+    if (hashDocument(current) !== expectedHash) {
+      return {
+        processed,
+        error: `${location} was changed outside the journal after operation #${op.seq} (${op.tool}); it cannot be ${undoing ? 'undone' : 'redone'} safely`
+      };
+    }
+
+    // Other files the operation changed are checked before anything is written
+    const files = (op.files || []).map(file => ({
+      ...file,
+      filePath: path.join(projectRoot, file.file),
+      current: readJSON(path.join(projectRoot, file.file))
+    }));
+    const changedFile = files.find(file =>
+      hashDocument(file.current) !== (undoing ? file.hashAfter : file.hashBefore)
+    );
+    if (changedFile) {
+      return {
+        processed,
+        error: `${changedFile.file} was changed outside the journal after operation #${op.seq} (${op.tool}); it cannot be ${undoing ? 'undone' : 'redone'} safely`
+      };
+    }
+
+    const updated = applyChanges(current || {}, op.changes, direction);
+    if (!writeJournalTarget(projectRoot, op, updated)) {
+      return { processed, error: `Failed to save ${location}` };
+    }
+
+    const failedFile = files.find(file =>
+      !writeJSON(file.filePath, applyChanges(file.current || {}, file.changes, direction))
+    );
+
+    appendJournalEntry(projectRoot, {
+      type: undoing ? 'undo' : 'redo',
+      target: op.seq,
+      tool: op.tool,
+      file: op.file
+    });
+    processed.push(summarizeOperation(op));
+
+    if (failedFile) {
+      return { processed, error: `Failed to save ${failedFile.file} for operation #${op.seq} (${op.tool})` };
+    }
+  }
+
+  return { processed, error: null };
+}
+
+/**
+ * Register the history tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerHistoryTool(server) {
+  server.addTool({
+    name: 'history',
+    description: 'Show the operation journal: every change made to tasks by mutating tools, plus undo and redo steps and tag renames, most recent first. The journal is rotated once it reaches a few megabytes, so the oldest operations eventually drop out of history.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      limit: z
+        .number()
+        .optional()
+        .default(20)
+        .describe('Maximum number of journal entries to show (default: 20)')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, limit } = args;
+
+        logger.info(`Reading operation history for project: ${projectRoot}`);
+
+        const entries = readJournal(projectRoot);
+        const { applied, undone } = getJournalState(entries);
+        const appliedSeqs = new Set(applied.map(op => op.seq));
+
+        const history = entries.slice(-limit).reverse().map(entry => {
+          if (entry.type === 'operation') {
+            return {
+              ...summarizeOperation(entry),
+              type: entry.type,
+              status: appliedSeqs.has(entry.seq) ? 'applied' : 'undone'
+            };
+          }
+          return {
+            seq: entry.seq,
+            type: entry.type,
+            tool: entry.tool,
+            timestamp: entry.timestamp,
+            target: entry.target,
+            from: entry.from,
+            to: entry.to
+          };
+        });
+
+        const result = {
+          success: true,
+          summary: {
+            totalEntries: entries.length,
+            shown: history.length,
+            undoableOperations: applied.length,
+            redoableOperations: undone.length
+          },
+          history
+        };
+
+        logger.info(`Listed ${history.length} of ${entries.length} journal entries`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to read history: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to read history: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the undo tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerUndoTool(server) {
+  server.addTool({
+    name: 'undo',
+    description: 'Undo the most recent task operations recorded in the journal. Steps back N operations, or every operation after a given timestamp.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      steps: z
+        .number()
+        .optional()
+        .default(1)
+        .describe('Number of operations to undo (default: 1)'),
+      toTimestamp: z
+        .string()
+        .optional()
+        .describe('Undo every operation recorded after this ISO timestamp (overrides steps)')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, steps, toTimestamp } = args;
+
+        logger.info(`Undoing ${toTimestamp ? `operations after ${toTimestamp}` : `${steps} operation(s)`}`);
+
+        const { applied } = getJournalState(readJournal(projectRoot));
+        let targets;
+
+        if (toTimestamp) {
+          const cutoff = Date.parse(toTimestamp);
+          if (isNaN(cutoff)) {
+            return createErrorResponse(`Invalid timestamp: ${toTimestamp}`);
+          }
+          targets = applied.filter(op => Date.parse(op.timestamp) > cutoff).reverse();
+        } else {
+          targets = applied.slice(-Math.max(1, steps)).reverse();
+        }
+
+        if (targets.length === 0) {
+          return createContentResponse({
+            success: true,
+            undone: [],
+            message: 'Nothing to undo'
+          });
+        }
+
+        const { processed, error } = replayOperations(projectRoot, targets, 'backward');
+
+        if (processed.length === 0 && error) {
+          return createErrorResponse(error);
+        }
+
+        const result = {
+          success: true,
+          undone: processed,
+          error: error || undefined,
+          message: `Undid ${processed.length} operation(s)${error ? ` before stopping: ${error}` : ''}`,
+          nextSteps: ['Restore the undone operations: redo']
+        };
+
+        logger.info(`Undid ${processed.length} operation(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to undo: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to undo: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the redo tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRedoTool(server) {
+  server.addTool({
+    name: 'redo',
+    description: 'Redo operations that were undone, most recently undone first. Not available once a new operation has been recorded after the undo.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      steps: z
+        .number()
+        .optional()
+        .default(1)
+        .describe('Number of operations to redo (default: 1)')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, steps } = args;
+
+        logger.info(`Redoing ${steps} operation(s)`);
+
+        const { undone } = getJournalState(readJournal(projectRoot));
+        const targets = undone.slice(-Math.max(1, steps)).reverse();
+
+        if (targets.length === 0) {
+          return createContentResponse({
+            success: true,
+            redone: [],
+            message: 'Nothing to redo'
+          });
+        }
+
+        const { processed, error } = replayOperations(projectRoot, targets, 'forward');
+
+        if (processed.length === 0 && error) {
+          return createErrorResponse(error);
+        }
+
+        const result = {
+          success: true,
+          redone: processed,
+          error: error || undefined,
+          message: `Redid ${processed.length} operation(s)${error ? ` before stopping: ${error}` : ''}`
+        };
+
+        logger.info(`Redid ${processed.length} operation(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to redo: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to redo: ${error.message}`);
+      }
+    }
+  });
+}
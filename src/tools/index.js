@@ -11,8 +11,23 @@ import { registerAddDependencyTool } from './add-dependency.js';
 import { registerRemoveDependencyTool } from './remove-dependency.js';
 import { registerValidateDependenciesTool } from './validate-dependencies.js';
 import { registerFixDependenciesTool } from './fix-dependencies.js';
+import { registerValidateTasksFileTool } from './validate-tasks-file.js';
 import { registerRemoveTaskTool } from './remove-task.js';
 import { registerMoveTaskTool } from './move-task.js';
+import { registerHistoryTool, registerUndoTool, registerRedoTool } from './history.js';
+import {
+  registerListTagsTool,
+  registerAddTagTool,
+  registerCopyTagTool,
+  registerRenameTagTool,
+  registerDeleteTagTool,
+  registerUseTagTool
+} from './tags.js';
+import {
+  registerSetStorageBackendTool,
+  registerExportTasksTool,
+  registerImportTasksTool
+} from './storage.js';
 import { registerComplexityReportTool } from './complexity-report.js';
 // NOTE: Using enhanced parse-prd only to avoid tool name conflicts
 import { registerEnhancedParsePRDTool } from './parse-prd-enhanced.js';
@@ -29,7 +44,28 @@ import { registerAnalyzeTaskComplexityTool } from './analyze-task-complexity.js'
 import { registerUpdateTaskByIdTool } from './update-task-by-id.js';
 import { registerUpdateSubtaskByIdTool } from './update-subtask-by-id.js';
 import { registerAddTaskTool } from './add-task.js';
+import { registerApplyAIResultTool } from './apply-ai-result.js';
 import { registerStatusReportTool, registerFullStatusReportTool } from './status-report.js';
+import { registerGetConfigTool, registerSetConfigTool } from './config.js';
+import { registerCriticalPathTool } from './critical-path.js';
+import { registerParallelWavesTool } from './parallel-waves.js';
+import {
+  registerClaimTaskTool,
+  registerRenewClaimTool,
+  registerReleaseTaskTool
+} from './claims.js';
+import { registerAssignTaskTool } from './assign-task.js';
+import { registerWorkloadSummaryTool } from './workload.js';
+import {
+  registerSetTaskScheduleTool,
+  registerListOverdueTasksTool,
+  registerListAtRiskTasksTool
+} from './due-dates.js';
+import {
+  registerSetMilestoneTool,
+  registerRemoveMilestoneTool,
+  registerMilestoneProgressTool
+} from './milestones.js';
 import logger from '../logger.js';
 
 /**
@@ -58,15 +94,34 @@ export function registerTaskMasterTools(server) {
     registerUpdateTaskByIdTool(server);
     registerUpdateSubtaskByIdTool(server);
     registerAddTaskTool(server);
+    registerApplyAIResultTool(server);
     
     // Task listing and viewing
     registerListTasksTool(server);
     registerShowTaskTool(server);
     registerNextTaskTool(server);
+    registerParallelWavesTool(server);
     
     // Task status management
     registerSetTaskStatusTool(server);
     
+    // Claims for multi-agent work
+    registerClaimTaskTool(server);
+    registerRenewClaimTool(server);
+    registerReleaseTaskTool(server);
+    
+    // Assignees
+    registerAssignTaskTool(server);
+    registerWorkloadSummaryTool(server);
+
+    // Due dates and milestones
+    registerSetMilestoneTool(server);
+    registerRemoveMilestoneTool(server);
+    registerSetTaskScheduleTool(server);
+    registerListOverdueTasksTool(server);
+    registerListAtRiskTasksTool(server);
+    registerMilestoneProgressTool(server);
+    
     // File generation
     registerGenerateTaskFilesTool(server);
     
@@ -84,11 +139,33 @@ export function registerTaskMasterTools(server) {
     // Task management
     registerRemoveTaskTool(server);
     registerMoveTaskTool(server);
+    registerValidateTasksFileTool(server);
+    
+    // Tag management
+    registerListTagsTool(server);
+    registerAddTagTool(server);
+    registerCopyTagTool(server);
+    registerRenameTagTool(server);
+    registerDeleteTagTool(server);
+    registerUseTagTool(server);
+    
+    // Storage
+    registerSetStorageBackendTool(server);
+    registerExportTasksTool(server);
+    registerImportTasksTool(server);
+    
+    // Operation history
+    registerHistoryTool(server);
+    registerUndoTool(server);
+    registerRedoTool(server);
     
     // Reports and configuration
     registerComplexityReportTool(server);
     registerStatusReportTool(server);
     registerFullStatusReportTool(server);
+    registerCriticalPathTool(server);
+    registerGetConfigTool(server);
+    registerSetConfigTool(server);
     
     logger.info('Task Master tools registered successfully');
   } catch (error) {
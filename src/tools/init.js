@@ -2,52 +2,14 @@ import { z } from 'zod';
 import fs from 'fs';
 import path from 'path';
 import logger from '../logger.js';
-
-/**
- * Creates standard content response for tools
- * @param {string|Object} content - Content to include in response
- * @returns {Object} - Content response object in FastMCP format
- */
-function createContentResponse(content) {
-  return {
-    content: [
-      {
-        type: 'text',
-        text: typeof content === 'object'
-          ? JSON.stringify(content, null, 2)
-          : String(content)
-      }
-    ]
-  };
-}
-
-/**
- * Creates error response for tools
- * @param {string} errorMessage - Error message to include in response
- * @returns {Object} - Error content response object in FastMCP format
- */
-function createErrorResponse(errorMessage) {
-  return {
-    content: [
-      {
-        type: 'text',
-        text: `Error: ${errorMessage}`
-      }
-    ],
-    isError: true
-  };
-}
-
-/**
- * Create directory if it doesn't exist
- * @param {string} dirPath - Directory path to create
- */
-function ensureDirectoryExists(dirPath) {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-    logger.info(`Created directory: ${dirPath}`);
-  }
-}
+import {
+  createContentResponse,
+  createErrorResponse,
+  ensureDirectoryExists
+} from './utils.js';
+import { invalidateCacheForPath } from './cache-utils.js';
+import { DEFAULT_CONFIG } from './config-utils.js';
+import { CURRENT_SCHEMA_VERSION } from './schema-utils.js';
 
 /**
  * Copy content to a file, handling existing files appropriately
@@ -62,6 +24,7 @@ function writeTemplateFile(content, targetPath, overwrite = false) {
   }
 
   fs.writeFileSync(targetPath, content);
+  invalidateCacheForPath(targetPath);
   logger.info(`Created file: ${targetPath}`);
   return true;
 }
@@ -100,11 +63,7 @@ function createProjectStructure(projectRoot) {
 
   const config = {
     global: {
-      logLevel: 'info',
-      debug: false,
-      defaultSubtasks: 5,
-      defaultPriority: 'medium',
-      projectName: 'Task Master Project',
+      ...DEFAULT_CONFIG.global,
       projectRoot: projectRoot
     },
     version: '0.1.0',
@@ -244,6 +203,7 @@ Generated on: ${new Date().toISOString()}
   }
 
   const tasksData = {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
     tasks: [],
     metadata: {
       version: '0.1.0',
@@ -260,6 +220,9 @@ Generated on: ${new Date().toISOString()}
   const gitignoreAdditions = `
 # Task Master AI Algae
 .taskmaster/reports/
+.taskmaster/write.lock
+.taskmaster/tasks.db-wal
+.taskmaster/tasks.db-shm
 node_modules/
 .env
 *.log
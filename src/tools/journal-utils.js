@@ -0,0 +1,508 @@
+/**
+ * Operation Journal Utilities
+ * Records every mutation of project data as a reversible diff in an
+ * append-only journal so that operations can be undone and redone. Once the
+ * journal grows past JOURNAL_ROTATE_BYTES it is moved to journal.1.jsonl and
+ * a new one is started; the previous archive is dropped, so history reaches
+ * back between one and two journals' worth of operations.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../logger.js';
+import { readJSON, writeJSON, withFileLock, getLockFilePath, resolveTag } from './utils.js';
+import { getTaskStorage } from './storage-utils.js';
+
+const JOURNAL_ROTATE_BYTES = 4 * 1024 * 1024;
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Get the journal file path
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} Journal file path
+ */
+export function getJournalPath(projectRoot) {
+  return path.join(projectRoot, '.taskmaster', 'journal.jsonl');
+}
+
+/**
+ * Get the path the journal is moved to when it is rotated
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} Archived journal file path
+ */
+export function getJournalArchivePath(projectRoot) {
+  return path.join(projectRoot, '.taskmaster', 'journal.1.jsonl');
+}
+
+/**
+ * Serialize a value with sorted object keys so logically equal documents
+ * produce identical strings
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash a document's content, ignoring its revision counter
+ * @param {Object|null} data - Document
+ * @returns {string} Content hash
+ */
+export function hashDocument(data) {
+  const { revision, ...content } = data || {};
+  return crypto.createHash('sha1').update(canonicalJSON(content)).digest('hex');
+}
+
+/**
+ * Check whether a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether an array holds objects with unique ids (tasks, subtasks)
+ * @param {Array} list - Array to check
+ * @returns {boolean} Whether the array can be diffed by id
+ */
+function isKeyedArray(list) {
+  const ids = new Set();
+  for (const item of list) {
+    if (!isPlainObject(item) || item.id === undefined || ids.has(item.id)) {
+      return false;
+    }
+    ids.add(item.id);
+  }
+  return true;
+}
+
+/**
+ * Compute a reversible structural diff between two documents.
+ * Objects are diffed by key and id-keyed arrays (tasks, subtasks) by id, so
+ * a status change is recorded as a single field change rather than a copy of
+ * the whole task list.
+ * @param {*} before - Previous value
+ * @param {*} after - New value
+ * @param {Array} [pathSegments] - Path of the values within the document
+ * @param {Array} [changes] - Accumulator
+ * @returns {Array} List of changes
+ */
+export function diffDocuments(before, after, pathSegments = [], changes = []) {
+  if (canonicalJSON(before) === canonicalJSON(after)) {
+    return changes;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => {
+      if (pathSegments.length === 0 && key === 'revision') {
+        return;
+      }
+      diffDocuments(before[key], after[key], [...pathSegments, key], changes);
+    });
+    return changes;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after) && isKeyedArray(before) && isKeyedArray(after)) {
+    const beforeIds = before.map(item => item.id);
+    const afterIds = after.map(item => item.id);
+    const removed = before.filter(item => !afterIds.includes(item.id));
+    const added = after.filter(item => !beforeIds.includes(item.id));
+
+    if (removed.length > 0 || added.length > 0 || beforeIds.join() !== afterIds.join()) {
+      changes.push({ path: pathSegments, type: 'keyed', beforeIds, afterIds, removed, added });
+    }
+
+    after.forEach(item => {
+      const previous = before.find(candidate => candidate.id === item.id);
+      if (previous) {
+        diffDocuments(previous, item, [...pathSegments, { id: item.id }], changes);
+      }
+    });
+    return changes;
+  }
+
+  const change = { path: pathSegments };
+  if (before !== undefined) {
+    change.before = before;
+  }
+  if (after !== undefined) {
+    change.after = after;
+  }
+  changes.push(change);
+  return changes;
+}
+
+/**
+ * Resolve a single path segment
+ * @param {*} container - Object or array
+ * @param {string|Object} segment - Key or { id } selector
+ * @returns {*} Resolved value
+ */
+function resolveSegment(container, segment) {
+  if (isPlainObject(segment)) {
+    return container.find(item => item.id === segment.id);
+  }
+  return container[segment];
+}
+
+/**
+ * Apply journal changes to a document
+ * @param {Object} data - Document to update (not mutated)
+ * @param {Array} changes - Changes from diffDocuments
+ * @param {string} direction - 'forward' to redo, 'backward' to undo
+ * @returns {Object} Updated document
+ */
+export function applyChanges(data, changes, direction) {
+  const backward = direction === 'backward';
+  let doc = JSON.parse(JSON.stringify(data));
+  const ordered = backward ? [...changes].reverse() : changes;
+
+  ordered.forEach(change => {
+    let value;
+    let hasValue;
+
+    if (change.type === 'keyed') {
+      const current = change.path.reduce(resolveSegment, doc) || [];
+      const ids = backward ? change.beforeIds : change.afterIds;
+      const pool = backward ? change.removed : change.added;
+      value = ids.map(id => current.find(item => item.id === id) || JSON.parse(JSON.stringify(pool.find(item => item.id === id))));
+      hasValue = true;
+    } else {
+      hasValue = backward ? 'before' in change : 'after' in change;
+      value = hasValue ? JSON.parse(JSON.stringify(backward ? change.before : change.after)) : undefined;
+    }
+
+    if (change.path.length === 0) {
+      doc = value;
+      return;
+    }
+
+    const parent = change.path.slice(0, -1).reduce(resolveSegment, doc);
+    const last = change.path[change.path.length - 1];
+    if (!parent) {
+      throw new Error(`Cannot apply change: path ${JSON.stringify(change.path)} no longer exists`);
+    }
+
+    if (isPlainObject(last)) {
+      const index = parent.findIndex(item => item.id === last.id);
+      if (hasValue) {
+        parent[index === -1 ? parent.length : index] = value;
+      } else if (index !== -1) {
+        parent.splice(index, 1);
+      }
+    } else if (hasValue) {
+      parent[last] = value;
+    } else {
+      delete parent[last];
+    }
+  });
+
+  return doc;
+}
+
+/**
+ * Parse the entries of one journal file
+ * @param {string} filePath - Journal file path
+ * @returns {Array} Journal entries in order
+ */
+function readJournalFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        logger.warn(`Skipping unreadable line ${index + 1} of ${path.basename(filePath)}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Read all journal entries, including those of the archived journal
+ * @param {string} projectRoot - Project root directory
+ * @returns {Array} Journal entries in order
+ */
+export function readJournal(projectRoot) {
+  return [
+    ...readJournalFile(getJournalArchivePath(projectRoot)),
+    ...readJournalFile(getJournalPath(projectRoot))
+  ];
+}
+
+/**
+ * Read the last non-empty line of a file by reading backwards from its end
+ * @param {string} filePath - File path
+ * @returns {string|null} Last line, or null when the file is missing or empty
+ */
+function readLastLine(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let position = fs.fstatSync(fd).size;
+    let tail = Buffer.alloc(0);
+
+    while (position > 0) {
+      const length = Math.min(TAIL_CHUNK_BYTES, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      fs.readSync(fd, chunk, 0, length, position);
+      tail = Buffer.concat([chunk, tail]);
+
+      const text = tail.toString('utf8').trimEnd();
+      const start = text.lastIndexOf('\n');
+      if (start !== -1) {
+        return text.slice(start + 1);
+      }
+      if (position === 0) {
+        return text || null;
+      }
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Get the seq of the last entry of a journal file. Reads only the file's
+ * tail unless its last line is unreadable.
+ * @param {string} filePath - Journal file path
+ * @returns {number|null} Last seq, or null when the file has no entries
+ */
+function readLastSeq(filePath) {
+  const line = readLastLine(filePath);
+  if (line === null) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(line).seq;
+  } catch (error) {
+    const entries = readJournalFile(filePath);
+    return entries.length > 0 ? Math.max(...entries.map(entry => entry.seq)) : null;
+  }
+}
+
+/**
+ * Move the journal to the archive once it has outgrown JOURNAL_ROTATE_BYTES.
+ * Must be called while holding the journal lock.
+ * @param {string} projectRoot - Project root directory
+ */
+function rotateJournal(projectRoot) {
+  const journalPath = getJournalPath(projectRoot);
+  if (fs.existsSync(journalPath) && fs.statSync(journalPath).size >= JOURNAL_ROTATE_BYTES) {
+    fs.renameSync(journalPath, getJournalArchivePath(projectRoot));
+    logger.info('Rotated the operation journal; operations from before the previous rotation can no longer be undone');
+  }
+}
+
+/**
+ * Append an entry to the journal
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} entry - Entry without seq/timestamp
+ * @returns {Object} Entry as written
+ */
+export function appendJournalEntry(projectRoot, entry) {
+  const journalPath = getJournalPath(projectRoot);
+
+  return withFileLock(getLockFilePath(journalPath), () => {
+    rotateJournal(projectRoot);
+    const lastSeq = readLastSeq(journalPath) ?? readLastSeq(getJournalArchivePath(projectRoot)) ?? 0;
+    const written = {
+      seq: lastSeq + 1,
+      timestamp: new Date().toISOString(),
+      ...entry
+    };
+    fs.appendFileSync(journalPath, JSON.stringify(written) + '\n');
+    return written;
+  });
+}
+
+/**
+ * Replay the journal to find which operations are applied and which can be
+ * redone. Operations on a tag that was renamed afterwards are returned with
+ * the tag's current name.
+ * @param {Array} entries - Journal entries
+ * @returns {Object} { applied, undone } stacks of operation entries (most recent last)
+ */
+export function getJournalState(entries) {
+  const operations = new Map();
+  const applied = [];
+  let undone = [];
+
+  entries.forEach(entry => {
+    if (entry.type === 'operation') {
+      operations.set(entry.seq, entry);
+      applied.push(entry);
+      undone = [];
+    } else if (entry.type === 'undo') {
+      const index = applied.findIndex(op => op.seq === entry.target);
+      if (index !== -1) {
+        undone.push(...applied.splice(index, 1));
+      }
+    } else if (entry.type === 'redo') {
+      const index = undone.findIndex(op => op.seq === entry.target);
+      if (index !== -1) {
+        applied.push(...undone.splice(index, 1));
+      }
+    } else if (entry.type === 'tag-rename') {
+      [applied, undone].forEach(stack => stack.forEach((op, index) => {
+        if (op.tag === entry.from) {
+          stack[index] = { ...op, tag: entry.to };
+        }
+      }));
+    }
+  });
+
+  return { applied, undone };
+}
+
+/**
+ * Save a tag's tasks and record the mutation in the operation journal.
+ * Other JSON files the operation changes along with the tasks (such as the
+ * complexity report) are passed as operation.files and recorded in the same
+ * journal entry, so that undo and redo restore them together with the tasks.
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [tag] - Tag name, defaults to the current tag
+ * @param {Object} data - Tasks data to save
+ * @param {Object} operation - { tool, args, overrides, files } describing the mutation; overrides lists rules bypassed with force, files lists { filePath, data } documents to write with the tasks
+ * @returns {boolean} Success status
+ */
+export function writeJournaledTasks(projectRoot, tag, data, operation) {
+  const storage = getTaskStorage(projectRoot);
+  const resolvedTag = resolveTag(projectRoot, tag);
+  const before = storage.read(resolvedTag);
+  const files = (operation.files || []).map(file => ({ ...file, before: readJSON(file.filePath) }));
+
+  if (!storage.write(resolvedTag, data)) {
+    return false;
+  }
+
+  // The tasks are saved; a file that cannot be written is left out of the journal entry
+  const writtenFiles = files.filter(file => {
+    if (writeJSON(file.filePath, file.data)) {
+      return true;
+    }
+    logger.error(`Failed to write ${file.filePath} for ${operation.tool}`);
+    return false;
+  });
+
+  try {
+    const changes = diffDocuments(before || {}, data);
+    const fileChanges = writtenFiles
+      .map(file => ({
+        file: path.relative(projectRoot, file.filePath),
+        hashBefore: hashDocument(file.before),
+        hashAfter: hashDocument(file.data),
+        changes: diffDocuments(file.before || {}, file.data)
+      }))
+      .filter(file => file.changes.length > 0);
+
+    if (changes.length > 0 || fileChanges.length > 0) {
+      const { projectRoot: omitted, ...args } = operation.args || {};
+      appendJournalEntry(projectRoot, {
+        type: 'operation',
+        tool: operation.tool,
+        args,
+        overrides: operation.overrides,
+        tag: resolvedTag,
+        file: path.relative(projectRoot, storage.location(resolvedTag)),
+        hashBefore: hashDocument(before),
+        hashAfter: hashDocument(data),
+        changes,
+        files: fileChanges.length > 0 ? fileChanges : undefined
+      });
+    }
+  } catch (error) {
+    // The write itself succeeded; a missing journal entry only limits undo
+    logger.error(`Failed to record journal entry for ${operation.tool}: ${error.message}`);
+  }
+
+  return true;
+}
+
+/**
+ * Record a tag rename so that undo and redo find the tag's earlier
+ * operations under its new name
+ * @param {string} projectRoot - Project root directory
+ * @param {string} from - Old tag name
+ * @param {string} to - New tag name
+ * @returns {Object} Entry as written
+ */
+export function recordTagRename(projectRoot, from, to) {
+  return appendJournalEntry(projectRoot, { type: 'tag-rename', tool: 'rename_tag', from, to });
+}
+
+/**
+ * Describe where the document a journal operation changed is stored now
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} op - Journal operation entry
+ * @returns {string} Storage location of the operation's tag, or its recorded file
+ */
+export function getJournalTargetLocation(projectRoot, op) {
+  return op.tag ? getTaskStorage(projectRoot).location(op.tag) : op.file;
+}
+
+/**
+ * Check whether the document a journal operation changed still exists;
+ * false when its tag has been deleted
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} op - Journal operation entry
+ * @returns {boolean} Whether the target exists
+ */
+export function journalTargetExists(projectRoot, op) {
+  return op.tag ?
+    getTaskStorage(projectRoot).exists(op.tag) :
+    fs.existsSync(path.join(projectRoot, op.file));
+}
+
+/**
+ * Read the document a journal operation changed. Operations recorded with a
+ * tag go through the configured task storage; older entries name a JSON file.
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} op - Journal operation entry
+ * @returns {Object|null} Current document
+ */
+export function readJournalTarget(projectRoot, op) {
+  return op.tag ?
+    getTaskStorage(projectRoot).read(op.tag) :
+    readJSON(path.join(projectRoot, op.file));
+}
+
+/**
+ * Write the document a journal operation changed
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} op - Journal operation entry
+ * @param {Object} data - Document to write
+ * @returns {boolean} Success status
+ */
+export function writeJournalTarget(projectRoot, op, data) {
+  return op.tag ?
+    getTaskStorage(projectRoot).write(op.tag, data) :
+    writeJSON(path.join(projectRoot, op.file), data, { checkRevision: true });
+}
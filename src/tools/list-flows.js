@@ -1,11 +1,10 @@
 import { z } from 'zod';
-import fs from 'fs';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
-  createErrorResponse,
-  getTasksFilePath
+  createErrorResponse
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
 
 /**
  * Analyze flow distribution and generate statistics
@@ -139,6 +138,10 @@ export function registerListFlowsTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       includeSubtasks: z
         .boolean()
         .optional()
@@ -183,6 +186,7 @@ export function registerListFlowsTool(server) {
       try {
         const { 
           projectRoot, 
+          tag,
           includeSubtasks, 
           sortBy, 
           minUsage, 
@@ -195,26 +199,10 @@ export function registerListFlowsTool(server) {
         
         logger.info(`Listing flows with criteria: sort=${sortBy}, minUsage=${minUsage}, status=${statusFilter}, pattern=${searchPattern || 'none'}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        
-        // Validate tasks file exists
-        if (!fs.existsSync(tasksPath)) {
-          return createErrorResponse(`Tasks file not found: ${tasksPath}`);
-        }
-        
-        // Read and validate tasks data
-        let tasksData;
-        try {
-          tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-          if (!tasksData || !tasksData.tasks) {
-            return createErrorResponse(`No valid tasks found in ${tasksPath}`);
-          }
-        } catch (error) {
-          return createErrorResponse(`Failed to read tasks file: ${error.message}`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag, { readOnly: true });
         
         // Analyze flows
-        const analysis = analyzeFlows(tasksData.tasks, includeSubtasks);
+        const analysis = analyzeFlows(repository.tasks, includeSubtasks);
         
         // Filter flows by usage, search pattern, and status
         let filteredFlows = Object.entries(analysis.flowCounts)
@@ -302,8 +290,8 @@ export function registerListFlowsTool(server) {
               flowDependencies: analysis.flowDependencies,
               coverage: {
                 tasksWithFlows: analysis.tasksWithFlows,
-                totalTasks: tasksData.tasks.length,
-                coveragePercentage: parseFloat(((analysis.tasksWithFlows / tasksData.tasks.length) * 100).toFixed(1))
+                totalTasks: repository.tasks.length,
+                coveragePercentage: parseFloat(((analysis.tasksWithFlows / repository.tasks.length) * 100).toFixed(1))
               }
             }
           })
@@ -1,11 +1,10 @@
 import { z } from 'zod';
-import fs from 'fs';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
-  createErrorResponse,
-  getTasksFilePath
+  createErrorResponse
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
 
 /**
  * Analyze keyword distribution and generate statistics
@@ -113,6 +112,10 @@ export function registerListKeywordsTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       includeSubtasks: z
         .boolean()
         .optional()
@@ -152,6 +155,7 @@ export function registerListKeywordsTool(server) {
       try {
         const { 
           projectRoot, 
+          tag,
           includeSubtasks, 
           sortBy, 
           minUsage, 
@@ -163,26 +167,10 @@ export function registerListKeywordsTool(server) {
         
         logger.info(`Listing keywords with criteria: sort=${sortBy}, minUsage=${minUsage}, pattern=${searchPattern || 'none'}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        
-        // Validate tasks file exists
-        if (!fs.existsSync(tasksPath)) {
-          return createErrorResponse(`Tasks file not found: ${tasksPath}`);
-        }
-        
-        // Read and validate tasks data
-        let tasksData;
-        try {
-          tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-          if (!tasksData || !tasksData.tasks) {
-            return createErrorResponse(`No valid tasks found in ${tasksPath}`);
-          }
-        } catch (error) {
-          return createErrorResponse(`Failed to read tasks file: ${error.message}`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag, { readOnly: true });
         
         // Analyze keywords
-        const analysis = analyzeKeywords(tasksData.tasks, includeSubtasks);
+        const analysis = analyzeKeywords(repository.tasks, includeSubtasks);
         
         // Filter keywords by usage and search pattern
         let filteredKeywords = Object.entries(analysis.keywordCounts)
@@ -243,8 +231,8 @@ export function registerListKeywordsTool(server) {
               topCoOccurrences: analysis.topCoOccurrences,
               coverage: {
                 tasksWithKeywords: analysis.tasksWithKeywords,
-                totalTasks: tasksData.tasks.length,
-                coveragePercentage: parseFloat(((analysis.tasksWithKeywords / tasksData.tasks.length) * 100).toFixed(1))
+                totalTasks: repository.tasks.length,
+                coveragePercentage: parseFloat(((analysis.tasksWithKeywords / repository.tasks.length) * 100).toFixed(1))
               }
             }
           })
@@ -3,13 +3,14 @@ import logger from '../logger.js';
 import { 
   createContentResponse, 
   createErrorResponse,
-  readJSON,
-  findTaskById,
   getStatusDisplay,
   formatDependencies,
-  truncateText,
-  getTasksFilePath
+  truncateText
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { getEffectiveAssignee, hasWorkFor, isAssignedTo } from './assignee-utils.js';
+import { getConfig } from './config-utils.js';
+import { countByStatus } from './workflow-utils.js';
 
 /**
  * Register the list-tasks tool
@@ -18,11 +19,15 @@ import {
 export function registerListTasksTool(server) {
   server.addTool({
     name: 'list_tasks',
-    description: 'List all tasks with optional filtering by status. Shows task details, dependencies, and completion statistics.',
+    description: 'List all tasks with optional filtering by status and assignee. Shows task details, dependencies, assignees, and completion statistics.',
     parameters: z.object({
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       statusFilter: z
         .string()
         .optional()
@@ -31,20 +36,19 @@ export function registerListTasksTool(server) {
         .boolean()
         .optional()
         .default(false)
-        .describe('Include subtasks in the listing')
+        .describe('Include subtasks in the listing'),
+      assignee: z
+        .string()
+        .optional()
+        .describe('Only list work assigned to this person (tasks assigned to them or with subtasks assigned to them). Use "unassigned" for work nobody is assigned to')
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, statusFilter, withSubtasks } = args;
+        const { projectRoot, tag, statusFilter, withSubtasks, assignee } = args;
         
         logger.info(`Listing tasks from project: ${projectRoot}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        const data = readJSON(tasksPath);
-        
-        if (!data || !data.tasks) {
-          return createErrorResponse(`No tasks found in ${tasksPath}. Run init first to create the project structure.`);
-        }
+        const { data } = loadTaskRepository(projectRoot, tag, { readOnly: true });
         
         // Filter tasks by status if specified
         let filteredTasks = data.tasks;
@@ -54,6 +58,11 @@ export function registerListTasksTool(server) {
           );
         }
         
+        // Filter tasks by assignee if specified
+        if (assignee) {
+          filteredTasks = filteredTasks.filter(task => hasWorkFor(task, assignee));
+        }
+        
         // Calculate statistics
         const totalTasks = data.tasks.length;
         const completedTasks = data.tasks.filter(t => 
@@ -61,15 +70,11 @@ export function registerListTasksTool(server) {
         ).length;
         const completionPercentage = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
         
-        // Count by status
-        const statusCounts = {
-          pending: data.tasks.filter(t => t.status === 'pending').length,
-          'in-progress': data.tasks.filter(t => t.status === 'in-progress').length,
-          done: data.tasks.filter(t => t.status === 'done' || t.status === 'completed').length,
-          blocked: data.tasks.filter(t => t.status === 'blocked').length,
-          deferred: data.tasks.filter(t => t.status === 'deferred').length,
-          cancelled: data.tasks.filter(t => t.status === 'cancelled').length
-        };
+        // Count by status, folding completed into done
+        const statusCounts = countByStatus(
+          getConfig(projectRoot).workflow.statuses.filter(status => status !== 'completed'),
+          data.tasks.map(t => (t.status === 'completed' ? { status: 'done' } : t))
+        );
         
         // Count subtasks if requested
         let subtaskStats = null;
@@ -103,6 +108,8 @@ export function registerListTasksTool(server) {
             description: truncateText(task.description, 100),
             status: getStatusDisplay(task.status),
             priority: task.priority || 'medium',
+            assignee: getEffectiveAssignee(task) || '-',
+            reviewers: task.reviewers,
             dependencies: formatDependencies(task.dependencies, data.tasks)
           };
           
@@ -111,12 +118,17 @@ export function registerListTasksTool(server) {
           // Add subtasks if requested
           if (withSubtasks && task.subtasks && task.subtasks.length > 0) {
             task.subtasks.forEach(subtask => {
+              if (assignee && !isAssignedTo(subtask, task, assignee)) {
+                return;
+              }
               taskList.push({
                 id: `${task.id}.${subtask.id}`,
                 title: `  └─ ${subtask.title}`,
                 description: truncateText(subtask.description, 80),
                 status: getStatusDisplay(subtask.status),
                 priority: '-',
+                assignee: getEffectiveAssignee(subtask, task) || '-',
+                reviewers: subtask.reviewers,
                 dependencies: formatDependencies(subtask.dependencies, data.tasks)
               });
             });
@@ -130,7 +142,8 @@ export function registerListTasksTool(server) {
             filteredTasks: filteredTasks.length,
             completionPercentage,
             statusCounts,
-            filter: statusFilter || 'all'
+            filter: statusFilter || 'all',
+            assignee
           },
           tasks: taskList
         };
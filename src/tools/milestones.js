@@ -0,0 +1,278 @@
+import { z } from 'zod';
+import logger from '../logger.js';
+import {
+  createContentResponse,
+  createErrorResponse
+} from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { getConfig } from './config-utils.js';
+import { isClosedStatus } from './workflow-utils.js';
+import {
+  isValidDate,
+  getToday,
+  daysBetween,
+  findMilestone
+} from './due-date-utils.js';
+import { findOverdueItems, findAtRiskItems } from './due-dates.js';
+
+const nameSchema = z
+  .string()
+  .min(1)
+  .describe('Milestone name, e.g. "beta"');
+
+/**
+ * Summarize how far the tasks of a milestone have come
+ * @param {Object} data - Task list document
+ * @param {Object} milestone - Milestone from the registry
+ * @param {string} today - YYYY-MM-DD
+ * @param {Object} flagged - { overdue, atRisk } item summaries from findOverdueItems and findAtRiskItems
+ * @returns {Object} Progress summary
+ */
+function summarizeMilestone(data, milestone, today, flagged) {
+  const tasks = data.tasks.filter(task => task.milestone === milestone.name);
+  const subtasks = tasks.flatMap(task => task.subtasks || []);
+  const closedTasks = tasks.filter(task => isClosedStatus(task.status)).length;
+  const overdueItems = flagged.overdue.filter(item => item.milestone === milestone.name).map(item => item.id);
+  const atRiskItems = flagged.atRisk.filter(item => item.milestone === milestone.name).map(item => item.id);
+  const daysLeft = daysBetween(today, milestone.targetDate);
+
+  let state = 'on-track';
+  if (tasks.length === 0) {
+    state = 'empty';
+  } else if (closedTasks === tasks.length) {
+    state = 'complete';
+  } else if (daysLeft < 0) {
+    state = 'overdue';
+  } else if (overdueItems.length > 0 || atRiskItems.length > 0) {
+    state = 'at-risk';
+  }
+
+  return {
+    name: milestone.name,
+    description: milestone.description,
+    targetDate: milestone.targetDate,
+    daysLeft,
+    state,
+    totalTasks: tasks.length,
+    closedTasks,
+    percentComplete: tasks.length > 0 ? Math.round((closedTasks / tasks.length) * 100) : 0,
+    totalSubtasks: subtasks.length,
+    closedSubtasks: subtasks.filter(subtask => isClosedStatus(subtask.status)).length,
+    openTasks: tasks.filter(task => !isClosedStatus(task.status)).map(task => task.id),
+    overdueItems,
+    atRiskItems
+  };
+}
+
+/**
+ * Register the set-milestone tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerSetMilestoneTool(server) {
+  server.addTool({
+    name: 'set_milestone',
+    description: 'Create a milestone with a target date, or change the target date or description of an existing one. Add tasks to it with set_task_schedule; tasks without a due date of their own are then due by the milestone\'s target date.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      name: nameSchema,
+      targetDate: z
+        .string()
+        .refine(isValidDate, 'Expected a calendar date as YYYY-MM-DD')
+        .optional()
+        .describe('Target date as YYYY-MM-DD. Required for a new milestone'),
+      description: z
+        .string()
+        .nullable()
+        .optional()
+        .describe('What the milestone delivers. null removes the description')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag, name, targetDate, description } = args;
+
+        logger.info(`Setting milestone ${name}`);
+
+        const repository = loadTaskRepository(projectRoot, tag);
+        const existing = findMilestone(repository.data.milestones, name);
+
+        if (!existing && !targetDate) {
+          return createErrorResponse(`Milestone "${name}" does not exist yet; give a targetDate to create it`);
+        }
+        if (existing && targetDate === undefined && description === undefined) {
+          return createErrorResponse('Nothing to change: give a targetDate and/or description');
+        }
+
+        const milestone = existing || { name };
+        const previous = existing ? { ...existing } : null;
+        if (targetDate) {
+          milestone.targetDate = targetDate;
+        }
+        if (description === null) {
+          delete milestone.description;
+        } else if (description !== undefined) {
+          milestone.description = description;
+        }
+        if (!existing) {
+          repository.data.milestones = [...(repository.data.milestones || []), milestone];
+        }
+
+        repository.save({ tool: 'set_milestone', args });
+
+        const result = {
+          success: true,
+          milestone: { ...milestone },
+          previous: previous || undefined,
+          message: `Milestone "${name}" ${existing ? 'updated' : 'created'} with target date ${milestone.targetDate}`,
+          nextSteps: existing ? undefined : [`Add tasks to it: set_task_schedule with taskIds and milestone "${name}"`]
+        };
+
+        logger.info(`Milestone ${name} ${existing ? 'updated' : 'created'}`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to set milestone: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to set milestone: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the remove-milestone tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRemoveMilestoneTool(server) {
+  server.addTool({
+    name: 'remove_milestone',
+    description: 'Remove a milestone. Its tasks stay in the task list but no longer belong to a milestone.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      name: nameSchema
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag, name } = args;
+
+        logger.info(`Removing milestone ${name}`);
+
+        const repository = loadTaskRepository(projectRoot, tag);
+        const milestone = findMilestone(repository.data.milestones, name);
+        if (!milestone) {
+          return createErrorResponse(`Milestone "${name}" not found`);
+        }
+
+        repository.data.milestones = repository.data.milestones.filter(entry => entry !== milestone);
+        const releasedTasks = repository.tasks
+          .filter(task => task.milestone === name)
+          .map(task => {
+            delete task.milestone;
+            repository.touch(task.id);
+            return task.id;
+          });
+
+        repository.save({ tool: 'remove_milestone', args });
+
+        const result = {
+          success: true,
+          removed: { ...milestone },
+          releasedTasks,
+          message: `Milestone "${name}" removed` +
+            (releasedTasks.length > 0 ? `; ${releasedTasks.length} task(s) no longer belong to a milestone` : '')
+        };
+
+        logger.info(`Milestone ${name} removed, ${releasedTasks.length} task(s) released`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to remove milestone: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to remove milestone: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the milestone-progress tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerMilestoneProgressTool(server) {
+  server.addTool({
+    name: 'milestone_progress',
+    description: 'Show progress toward each milestone: closed versus total tasks and subtasks, days left to the target date, open tasks, and items that are overdue or at risk. state is complete, on-track, at-risk (items overdue or due soon with open dependencies), overdue (target date passed with open tasks) or empty.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      name: z
+        .string()
+        .optional()
+        .describe('Only show this milestone. Defaults to all milestones'),
+      asOf: z
+        .string()
+        .refine(isValidDate, 'Expected a calendar date as YYYY-MM-DD')
+        .optional()
+        .describe('Day to check against as YYYY-MM-DD. Defaults to today')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag, name } = args;
+        const today = args.asOf || getToday();
+
+        logger.info(`Reporting milestone progress as of ${today} in project: ${projectRoot}`);
+
+        const { data } = loadTaskRepository(projectRoot, tag, { readOnly: true });
+        let milestones = [...(data.milestones || [])];
+        if (name) {
+          milestones = milestones.filter(milestone => milestone.name === name);
+          if (milestones.length === 0) {
+            return createErrorResponse(`Milestone "${name}" not found`);
+          }
+        }
+
+        const flagged = {
+          overdue: findOverdueItems(data, today),
+          atRisk: findAtRiskItems(data, today, getConfig(projectRoot).dueDates.atRiskDays)
+        };
+        const progress = milestones
+          .sort((a, b) => a.targetDate.localeCompare(b.targetDate) || a.name.localeCompare(b.name))
+          .map(milestone => summarizeMilestone(data, milestone, today, flagged));
+        const tasksWithoutMilestone = data.tasks
+          .filter(task => !task.milestone && !isClosedStatus(task.status))
+          .length;
+
+        const result = {
+          success: true,
+          asOf: today,
+          milestones: progress,
+          tasksWithoutMilestone,
+          message: progress.length > 0 ?
+            progress.map(entry => `${entry.name}: ${entry.percentComplete}% (${entry.state})`).join(', ') :
+            'No milestones yet; create one with set_milestone'
+        };
+
+        logger.info(`Reported progress for ${progress.length} milestone(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to report milestone progress: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to report milestone progress: ${error.message}`);
+      }
+    }
+  });
+}
@@ -1,20 +1,394 @@
-// Placeholder for move-task tool
-// TODO: Implement task moving functionality
 import { z } from 'zod';
+import fs from 'fs';
 import logger from '../logger.js';
-import { createContentResponse, createErrorResponse } from './utils.js';
+import {
+  createContentResponse,
+  createErrorResponse,
+  findTaskById,
+  readJSON,
+  getTagDirectory,
+  getTaskFilePath,
+  getComplexityReportPath
+} from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import {
+  clearResolvedCycleWarnings,
+  createCycleWarning,
+  formatDependencyPath,
+  getDependencyKey,
+  isSameDependency,
+  normalizeDependencyId
+} from './dependency-utils.js';
 
+/**
+ * Parse a task/subtask ID into its numeric parts
+ * @param {string} id - Task ID ("5") or subtask ID ("5.2")
+ * @returns {Object} { parentId, subtaskId } where subtaskId is null for tasks
+ */
+function parseMoveId(id) {
+  const parts = String(id).trim().split('.');
+  const numbers = parts.map(part => Number(part));
+
+  if (parts.length > 2 || numbers.some(n => !Number.isInteger(n) || n <= 0)) {
+    throw new Error(`Invalid task ID: ${id}`);
+  }
+
+  return { parentId: numbers[0], subtaskId: parts.length === 2 ? numbers[1] : null };
+}
+
+/**
+ * Insert an item into an array keeping it ordered by numeric id
+ * @param {Array} list - Tasks or subtasks
+ * @param {Object} item - Item to insert
+ */
+function insertById(list, item) {
+  const index = list.findIndex(existing => existing.id > item.id);
+  if (index === -1) {
+    list.push(item);
+  } else {
+    list.splice(index, 0, item);
+  }
+}
+
+/**
+ * Move a single task or subtask to a new ID slot
+ * @param {Array} tasks - Array of tasks (mutated)
+ * @param {string} fromId - Source task/subtask ID
+ * @param {string} toId - Destination task/subtask ID (must be free)
+ * @returns {Object} Move description and the old key -> new key mapping
+ */
+function moveItem(tasks, fromId, toId) {
+  const from = parseMoveId(fromId);
+  const to = parseMoveId(toId);
+  const source = findTaskById(tasks, fromId);
+
+  if (!source) {
+    throw new Error(`Task ${fromId} not found`);
+  }
+
+  if (findTaskById(tasks, toId)) {
+    throw new Error(`Destination ${toId} already exists. Choose a free task or subtask ID`);
+  }
+
+  const newParent = to.subtaskId === null ? null : tasks.find(t => t.id === to.parentId);
+  if (to.subtaskId !== null) {
+    if (!newParent) {
+      throw new Error(`Destination parent task ${to.parentId} not found`);
+    }
+    if (from.subtaskId === null && from.parentId === to.parentId) {
+      throw new Error(`Task ${fromId} cannot become a subtask of itself`);
+    }
+    if (from.subtaskId === null && source.task.subtasks && source.task.subtasks.length > 0) {
+      throw new Error(`Task ${fromId} has ${source.task.subtasks.length} subtask(s) and cannot become a subtask. Move or clear its subtasks first`);
+    }
+  }
+
+  const mapping = new Map();
+  const now = new Date().toISOString();
+  let type;
+
+  if (from.subtaskId === null) {
+    const task = source.task;
+    tasks.splice(tasks.indexOf(task), 1);
+
+    if (to.subtaskId === null) {
+      // Task -> new task ID slot
+      type = 'task_to_task';
+      mapping.set(String(from.parentId), String(to.parentId));
+      (task.subtasks || []).forEach(st => {
+        mapping.set(`${from.parentId}.${st.id}`, `${to.parentId}.${st.id}`);
+        st.parentTaskId = to.parentId;
+      });
+      task.id = to.parentId;
+      task.updatedAt = now;
+      insertById(tasks, task);
+    } else {
+      // Task -> subtask of another task
+      type = 'task_to_subtask';
+      mapping.set(String(from.parentId), toId);
+      delete task.subtasks;
+      task.id = to.subtaskId;
+      task.parentTaskId = to.parentId;
+      newParent.subtasks = newParent.subtasks || [];
+      insertById(newParent.subtasks, task);
+      newParent.updatedAt = now;
+    }
+  } else {
+    const subtask = source.task;
+    const oldParent = source.parent;
+    oldParent.subtasks.splice(oldParent.subtasks.indexOf(subtask), 1);
+    oldParent.updatedAt = now;
+    mapping.set(`${from.parentId}.${from.subtaskId}`, to.subtaskId === null ? String(to.parentId) : toId);
+
+    if (to.subtaskId === null) {
+      // Subtask -> standalone task
+      type = 'subtask_to_task';
+      delete subtask.parentTaskId;
+      subtask.id = to.parentId;
+      subtask.updatedAt = now;
+      insertById(tasks, subtask);
+    } else {
+      // Subtask -> subtask of the same or another parent
+      type = 'subtask_to_subtask';
+      subtask.id = to.subtaskId;
+      subtask.parentTaskId = to.parentId;
+      newParent.subtasks = newParent.subtasks || [];
+      insertById(newParent.subtasks, subtask);
+      newParent.updatedAt = now;
+    }
+  }
+
+  return {
+    move: { fromId: String(fromId).trim(), toId: String(toId).trim(), type, title: source.task.title },
+    mapping
+  };
+}
+
+/**
+ * Rewrite dependencies, relevantTasks and circular dependency warnings after
+ * IDs have changed
+ * @param {Array} tasks - Array of tasks (mutated)
+ * @param {Map} mapping - Old key -> new key
+ * @returns {Array} Rewritten references
+ */
+function rewriteReferences(tasks, mapping) {
+  const rewritten = [];
+
+  const rewrite = (item, key) => {
+    (item.dependencies || []).forEach((dep, index) => {
+      const newKey = mapping.get(getDependencyKey(dep));
+      if (newKey) {
+        item.dependencies[index] = normalizeDependencyId(newKey);
+        rewritten.push({ taskId: key, field: 'dependencies', from: dep, to: item.dependencies[index] });
+      }
+    });
+
+    if (Array.isArray(item.relevantTasks)) {
+      item.relevantTasks = item.relevantTasks.filter(id => {
+        const newKey = mapping.get(getDependencyKey(id));
+        if (newKey && newKey.includes('.')) {
+          // relevantTasks only holds top-level task IDs
+          rewritten.push({ taskId: key, field: 'relevantTasks', from: id, to: null });
+          return false;
+        }
+        return true;
+      }).map(id => {
+        const newKey = mapping.get(getDependencyKey(id));
+        if (newKey) {
+          rewritten.push({ taskId: key, field: 'relevantTasks', from: id, to: Number(newKey) });
+          return Number(newKey);
+        }
+        return id;
+      });
+    }
+
+    if (Array.isArray(item.warnings)) {
+      item.warnings = item.warnings.map(warning => {
+        if (warning.type !== 'circular_dependency') {
+          return warning;
+        }
+        const remap = depKey => mapping.get(depKey) || depKey;
+        const cycle = formatDependencyPath(warning.cycle.split(' → ').map(remap));
+        const dependsOn = normalizeDependencyId(remap(getDependencyKey(warning.dependsOn)));
+        if (cycle === warning.cycle && isSameDependency(dependsOn, warning.dependsOn)) {
+          return warning;
+        }
+        rewritten.push({ taskId: key, field: 'warnings', from: warning.cycle, to: cycle });
+        return createCycleWarning(dependsOn, cycle, warning.createdAt);
+      });
+    }
+  };
+
+  tasks.forEach(task => {
+    rewrite(task, String(task.id));
+    (task.subtasks || []).forEach(st => rewrite(st, `${task.id}.${st.id}`));
+  });
+
+  return rewritten;
+}
+
+/**
+ * Renumber the complexity report entries of moved tasks. A task that became a
+ * subtask loses its entry, as only top-level tasks are scored.
+ * @param {Array} entries - complexityAnalysis entries
+ * @param {Map} mapping - Old key -> new key
+ * @returns {Object} { entries, changes } with changes as { from, to } (to is null for dropped entries)
+ */
+function remapComplexityEntries(entries, mapping) {
+  const changes = [];
+  // A stale entry already sitting on a destination ID would be duplicated
+  const destinations = new Set([...mapping.values()]);
+
+  const remapped = entries
+    .filter(entry => mapping.has(String(entry.taskId)) || !destinations.has(String(entry.taskId)))
+    .filter(entry => {
+      const newKey = mapping.get(String(entry.taskId));
+      if (newKey && newKey.includes('.')) {
+        changes.push({ from: entry.taskId, to: null });
+        return false;
+      }
+      return true;
+    })
+    .map(entry => {
+      const newKey = mapping.get(String(entry.taskId));
+      if (!newKey) {
+        return entry;
+      }
+      changes.push({ from: entry.taskId, to: Number(newKey) });
+      return { ...entry, taskId: Number(newKey) };
+    });
+
+  return { entries: remapped, changes };
+}
+
+/**
+ * Find dependencies between a subtask and its own parent task. They can never
+ * be satisfied: a parent is only done once its subtasks are.
+ * @param {Array} tasks - Array of tasks
+ * @param {string} subtaskKey - Subtask ID ("parentId.subtaskId")
+ * @returns {Array} Problem descriptions, empty when there are none
+ */
+function findParentDependencies(tasks, subtaskKey) {
+  const { task: subtask, parent } = findTaskById(tasks, subtaskKey);
+  const parentKey = String(parent.id);
+  const problems = [];
+
+  if ((subtask.dependencies || []).some(dep => getDependencyKey(dep) === parentKey)) {
+    problems.push(`subtask ${subtaskKey} would depend on its own parent task ${parentKey}`);
+  }
+  if ((parent.dependencies || []).some(dep => getDependencyKey(dep) === subtaskKey)) {
+    problems.push(`task ${parentKey} would depend on its own subtask ${subtaskKey}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Register the move-task tool
+ * @param {Object} server - FastMCP server instance
+ */
 export function registerMoveTaskTool(server) {
   server.addTool({
     name: 'move_task',
-    description: 'Move a task or subtask to a new position.',
+    description: 'Move a task or subtask to a new ID slot: renumber a task, turn a task into a subtask of another task, promote a subtask to a task, or move a subtask between parents. All dependencies and relevantTasks references and complexity report entries are renumbered, and the generated files of moved tasks are deleted so that generate_task_files can write them under their new IDs; a move that would make a subtask and its own parent depend on each other is rejected. Supports comma-separated fromId/toId pairs.',
     parameters: z.object({
-      projectRoot: z.string().describe('Project root directory'),
-      fromId: z.string().describe('Source task/subtask ID'),
-      toId: z.string().describe('Destination task/subtask ID')
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      fromId: z
+        .string()
+        .describe('Source task/subtask ID(s), comma-separated for multiple moves (e.g., \"5\" or \"5,6.2\")'),
+      toId: z
+        .string()
+        .describe('Destination task/subtask ID(s), one per fromId (e.g., \"12\" or \"12,7.4\"). Destinations must not exist yet')
     }),
     execute: async (args) => {
-      return createErrorResponse('move_task tool not yet implemented');
+      try {
+        const { projectRoot, tag, fromId, toId } = args;
+
+        logger.info(`Moving tasks: ${fromId} -> ${toId}`);
+
+        const repository = loadTaskRepository(projectRoot, tag);
+        const { data } = repository;
+
+        const fromIds = fromId.split(',').map(id => id.trim()).filter(Boolean);
+        const toIds = toId.split(',').map(id => id.trim()).filter(Boolean);
+
+        if (fromIds.length !== toIds.length) {
+          return createErrorResponse(`Number of source IDs (${fromIds.length}) must match number of destination IDs (${toIds.length})`);
+        }
+
+        const moves = [];
+        const rewrittenReferences = [];
+        const complexityReportPath = getComplexityReportPath(projectRoot, tag);
+        const complexityReport = readJSON(complexityReportPath);
+        let complexityEntries = Array.isArray(complexityReport?.complexityAnalysis) ?
+          complexityReport.complexityAnalysis :
+          null;
+        const complexityChanges = [];
+        const movedTaskIds = [];
+
+        // Moves are applied in order; nothing is written if any of them fails
+        for (let i = 0; i < fromIds.length; i++) {
+          try {
+            const { move, mapping } = moveItem(data.tasks, fromIds[i], toIds[i]);
+            moves.push(move);
+            rewrittenReferences.push(...rewriteReferences(data.tasks, mapping));
+            if (complexityEntries) {
+              const remapped = remapComplexityEntries(complexityEntries, mapping);
+              complexityEntries = remapped.entries;
+              complexityChanges.push(...remapped.changes);
+            }
+            if (!move.fromId.includes('.')) {
+              movedTaskIds.push(Number(move.fromId));
+            }
+
+            const problems = move.toId.includes('.') ? findParentDependencies(data.tasks, move.toId) : [];
+            if (problems.length > 0) {
+              throw new Error(`${problems.join(' and ')}, which can never be satisfied. Remove the dependency with remove_dependency first`);
+            }
+          } catch (error) {
+            return createErrorResponse(`Failed to move ${fromIds[i]} to ${toIds[i]}: ${error.message}. No changes were saved`);
+          }
+        }
+
+        const clearedWarnings = clearResolvedCycleWarnings(data.tasks);
+
+        // The complexity report is saved with the tasks so that undo restores both
+        const files = complexityChanges.length > 0 ?
+          [{ filePath: complexityReportPath, data: { ...complexityReport, complexityAnalysis: complexityEntries } }] :
+          [];
+
+        repository.save({ tool: 'move_task', args, files });
+
+        // Generated files of tasks that moved away are out of date; generate_task_files writes the new ones
+        const errors = [];
+        const taskFilesDeleted = movedTaskIds
+          .filter(id => !data.tasks.some(task => task.id === id))
+          .map(id => getTaskFilePath(getTagDirectory(projectRoot, tag), id))
+          .filter(filePath => {
+            if (!fs.existsSync(filePath)) {
+              return false;
+            }
+            try {
+              fs.unlinkSync(filePath);
+              return true;
+            } catch (error) {
+              errors.push(`Failed to delete ${filePath}: ${error.message}`);
+              return false;
+            }
+          });
+
+        const result = {
+          success: true,
+          moves,
+          rewrittenReferences,
+          clearedWarnings: clearedWarnings.length > 0 ? clearedWarnings : undefined,
+          complexityEntriesMoved: complexityChanges.length > 0 ? complexityChanges : undefined,
+          taskFilesDeleted: taskFilesDeleted.length > 0 ? taskFilesDeleted : undefined,
+          errors: errors.length > 0 ? errors : undefined,
+          summary: `Moved ${moves.length} item(s) and rewrote ${rewrittenReferences.length} reference(s)`,
+          nextSteps: [
+            'Regenerate task files: generate_task_files',
+            'Check the dependency graph: validate_dependencies'
+          ]
+        };
+
+        if (taskFilesDeleted.length > 0) {
+          result.note = 'Undoing this move restores the tasks and their complexity entries but not the deleted task files; run generate_task_files after undo to recreate them';
+        }
+
+        logger.info(`Moved ${moves.length} item(s), rewrote ${rewrittenReferences.length} reference(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to move task: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to move task: ${error.message}`);
+      }
     }
   });
 }
@@ -3,102 +3,140 @@ import logger from '../logger.js';
 import { 
   createContentResponse, 
   createErrorResponse,
-  readJSON,
   getStatusDisplay,
   formatDependencies,
-  getTasksFilePath
+  loadComplexityReport
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { buildDependencyGraph } from './dependency-utils.js';
+import { getOpenDependencies, getOpenSubtasks, isClosedStatus } from './workflow-utils.js';
+import { HELD_STATUSES } from './schedule-utils.js';
+import { scoreTasks } from './scoring-utils.js';
+import { getConfig } from './config-utils.js';
+import { getActiveClaim, isClaimedByOther } from './claim-utils.js';
+import { getEffectiveAssignee, hasWorkFor, isAssignedTo } from './assignee-utils.js';
 
 /**
- * Find the next task to work on based on dependencies and status
+ * Check whether a task or subtask can be picked up: open, not on hold, and
+ * with every dependency (task or "parentId.subtaskId" subtask) done
+ * @param {Object} item - Task or subtask
+ * @param {Object} graph - Dependency graph from buildDependencyGraph
+ * @returns {boolean} Whether the item is workable
+ */
+function isWorkable(item, graph) {
+  if (isClosedStatus(item.status) || HELD_STATUSES.includes(item.status)) {
+    return false;
+  }
+  return getOpenDependencies(graph, item).length === 0;
+}
+
+/**
+ * Check whether a task or subtask passes the caller's filters: not claimed by
+ * someone else, and assigned to the requested person (a task also passes
+ * when one of its subtasks is)
+ * @param {Object} found - { task, parent, isSubtask }
+ * @param {Object} filters - { owner, assignee }
+ * @returns {boolean} Whether the item is available to the caller
+ */
+function isAvailable(found, { owner, assignee }) {
+  if (isClaimedByOther(found, owner)) {
+    return false;
+  }
+  if (!assignee) {
+    return true;
+  }
+  return found.isSubtask ? isAssignedTo(found.task, found.parent, assignee) : hasWorkFor(found.task, assignee);
+}
+
+/**
+ * Count how many tasks and subtasks depend on each task/subtask key
+ * @param {Object} graph - Dependency graph from buildDependencyGraph
+ * @returns {Map} Key -> number of dependents
+ */
+function countDependents(graph) {
+  const dependentCounts = new Map();
+  graph.edges.forEach(depKeys => {
+    depKeys.forEach(depKey => {
+      dependentCounts.set(depKey, (dependentCounts.get(depKey) || 0) + 1);
+    });
+  });
+  return dependentCounts;
+}
+
+/**
+ * Rank the tasks that can be worked on, best first
  * @param {Array} tasks - Array of all tasks
- * @returns {Object|null} Next task to work on or null if none available
+ * @param {Object} graph - Dependency graph from buildDependencyGraph
+ * @param {Object} scoring - Scoring context for scoreTasks (complexity report, config, focus)
+ * @param {Object} filters - { owner, assignee } for isAvailable
+ * @returns {Array} Eligible tasks as { task, score, breakdown } in order of preference
  */
-function findNextTask(tasks) {
-  // Get completed task IDs
-  const completedTaskIds = new Set(
-    tasks
-      .filter(t => t.status === 'done' || t.status === 'completed')
-      .map(t => t.id)
-  );
-  
+function rankEligibleTasks(tasks, graph, scoring, filters) {
   // Find tasks that are:
-  // 1. Not completed
-  // 2. Have all dependencies satisfied OR no dependencies
-  // 3. Are not blocked or deferred
-  const eligibleTasks = tasks.filter(task => {
-    // Skip completed tasks
-    if (task.status === 'done' || task.status === 'completed') {
-      return false;
-    }
-    
-    // Skip blocked or deferred tasks
-    if (task.status === 'blocked' || task.status === 'deferred' || task.status === 'cancelled') {
-      return false;
-    }
-    
-    // Check if all dependencies are satisfied
-    if (task.dependencies && task.dependencies.length > 0) {
-      return task.dependencies.every(depId => completedTaskIds.has(depId));
-    }
-    
-    return true; // No dependencies, so eligible
-  });
-  
-  if (eligibleTasks.length === 0) {
-    return null;
-  }
+  // 1. Not completed or cancelled
+  // 2. Not blocked or deferred
+  // 3. Have all dependencies satisfied OR no dependencies
+  // 4. Not claimed by another agent, and assigned to the requested person
+  const eligibleTasks = tasks.filter(task =>
+    isWorkable(task, graph) && isAvailable({ task, parent: null, isSubtask: false }, filters)
+  );
   
-  // Prioritize by:
-  // 1. In-progress tasks first
-  // 2. High priority tasks
-  // 3. Tasks with more dependent tasks
-  // 4. Lower ID (older tasks)
+  // Prioritize by the weighted score (nextTask.weights in config), then lower ID
+  return scoreTasks(eligibleTasks, { ...scoring, graph });
+}
+
+/**
+ * Find the subtask of a task to work on next
+ * @param {Object} task - Parent task
+ * @param {Object} graph - Dependency graph from buildDependencyGraph
+ * @param {Object} filters - { owner, assignee } for isAvailable
+ * @returns {Object|null} Workable subtask, or null when every open subtask is waiting, claimed or someone else's
+ */
+function findNextSubtask(task, graph, filters) {
+  const dependentCounts = countDependents(graph);
+  const key = subtask => `${task.id}.${subtask.id}`;
   
-  // Count dependents for each task
-  const dependentCounts = new Map();
+  // In-progress subtasks first, then the ones other work waits on, then lower ID
+  const [nextSubtask] = (task.subtasks || [])
+    .filter(subtask =>
+      isWorkable(subtask, graph) && isAvailable({ task: subtask, parent: task, isSubtask: true }, filters)
+    )
+    .sort((a, b) =>
+      (b.status === 'in-progress') - (a.status === 'in-progress') ||
+      (dependentCounts.get(key(b)) || 0) - (dependentCounts.get(key(a)) || 0) ||
+      a.id - b.id
+    );
   
-  tasks.forEach(task => {
-    if (task.dependencies) {
-      task.dependencies.forEach(depId => {
-        dependentCounts.set(depId, (dependentCounts.get(depId) || 0) + 1);
-      });
-    }
-    
-    // Check subtask dependencies too
-    if (task.subtasks) {
-      task.subtasks.forEach(subtask => {
-        if (subtask.dependencies) {
-          subtask.dependencies.forEach(depId => {
-            dependentCounts.set(depId, (dependentCounts.get(depId) || 0) + 1);
-          });
-        }
-      });
-    }
-  });
+  return nextSubtask || null;
+}
+
+/**
+ * Find the next task to work on based on dependencies and status, and for a
+ * task with subtasks the subtask to start. A task whose open subtasks are all
+ * waiting is passed over for the next one; in-progress tasks are searched
+ * for workable subtasks even when the task itself still waits on something.
+ * @param {Array} tasks - Array of all tasks
+ * @param {Object} graph - Dependency graph from buildDependencyGraph
+ * @param {Object} scoring - Scoring context for scoreTasks
+ * @param {Object} [filters] - { owner, assignee } skips work claimed by anyone but owner, and work not assigned to assignee
+ * @returns {Object|null} { task, subtask, score, breakdown, ranking } (subtask null when the task is worked on as a whole), or null if none available
+ */
+function findNextTask(tasks, graph, scoring, filters = {}) {
+  const ranking = rankEligibleTasks(tasks, graph, scoring, filters);
+  const eligibleTasks = ranking.map(candidate => candidate.task);
+  const inProgressTasks = tasks.filter(task =>
+    task.status === 'in-progress' && !eligibleTasks.includes(task) &&
+    isAvailable({ task, parent: null, isSubtask: false }, filters)
+  );
   
-  // Sort by priority criteria
-  eligibleTasks.sort((a, b) => {
-    // 1. In-progress tasks first
-    if (a.status === 'in-progress' && b.status !== 'in-progress') return -1;
-    if (b.status === 'in-progress' && a.status !== 'in-progress') return 1;
-    
-    // 2. Priority (high > medium > low)
-    const priorityOrder = { high: 3, medium: 2, low: 1 };
-    const aPriority = priorityOrder[a.priority] || 2;
-    const bPriority = priorityOrder[b.priority] || 2;
-    if (aPriority !== bPriority) return bPriority - aPriority;
-    
-    // 3. More dependents first (more blocking)
-    const aDependents = dependentCounts.get(a.id) || 0;
-    const bDependents = dependentCounts.get(b.id) || 0;
-    if (aDependents !== bDependents) return bDependents - aDependents;
-    
-    // 4. Lower ID (older tasks)
-    return a.id - b.id;
-  });
+  const choice = [...ranking, ...scoreTasks(inProgressTasks, { ...scoring, graph })]
+    .map(candidate => ({ ...candidate, subtask: findNextSubtask(candidate.task, graph, filters) }))
+    .find(candidate => candidate.subtask || getOpenSubtasks(candidate.task).length === 0);
   
-  return eligibleTasks[0];
+  if (choice) {
+    return { ...choice, ranking };
+  }
+  return ranking.length > 0 ? { ...ranking[0], subtask: null, ranking } : null;
 }
 
 /**
@@ -108,24 +146,46 @@ function findNextTask(tasks) {
 export function registerNextTaskTool(server) {
   server.addTool({
     name: 'next_task',
-    description: 'Find the next task to work on based on dependencies, status, and priority. Returns the most suitable task to start working on.',
+    description: 'Find the next task to work on based on dependencies, status, and priority. Returns the most suitable task to start working on and, when it has subtasks, the specific subtask to start whose dependencies (including subtasks of other tasks, e.g. "4.2") are done. Workable tasks are ranked by a weighted score (in-progress, priority, transitive dependents, complexity, age, flow and keyword focus; weights in the nextTask config section) and the response explains the score of the chosen task and the runners-up.',
     parameters: z.object({
       projectRoot: z
         .string()
-        .describe('The root directory of the project containing .taskmaster folder')
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      focusFlows: z
+        .array(z.string())
+        .optional()
+        .describe('Flow names to favour. Defaults to nextTask.focusFlows in config'),
+      focusKeywords: z
+        .array(z.string())
+        .optional()
+        .describe('Keywords to favour. Defaults to nextTask.focusKeywords in config'),
+      alternatives: z
+        .number()
+        .int()
+        .min(0)
+        .max(20)
+        .optional()
+        .describe('Number of runner-up tasks to show with their scores. Defaults to nextTask.alternatives in config'),
+      owner: z
+        .string()
+        .optional()
+        .describe('Your identity as used with claim_task. Tasks and subtasks claimed by anyone else are skipped; without an owner every claimed item is skipped'),
+      assignee: z
+        .string()
+        .optional()
+        .describe('Only consider work assigned to this person ("next task for alice"). Use "unassigned" for work nobody is assigned to')
     }),
     execute: async (args) => {
       try {
-        const { projectRoot } = args;
+        const { projectRoot, tag, focusFlows, focusKeywords, owner, assignee } = args;
         
         logger.info(`Finding next task to work on in project: ${projectRoot}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        const data = readJSON(tasksPath);
-        
-        if (!data || !data.tasks) {
-          return createErrorResponse(`No tasks found in ${tasksPath}. Run init first to create the project structure.`);
-        }
+        const { data, tag: resolvedTag } = loadTaskRepository(projectRoot, tag, { readOnly: true });
         
         if (data.tasks.length === 0) {
           return createContentResponse({
@@ -136,9 +196,29 @@ export function registerNextTaskTool(server) {
           });
         }
         
-        const nextTask = findNextTask(data.tasks);
+        const graph = buildDependencyGraph(data.tasks);
+        const config = getConfig(projectRoot);
+        const next = findNextTask(data.tasks, graph, {
+          complexityReport: loadComplexityReport(projectRoot, resolvedTag),
+          config,
+          focusFlows,
+          focusKeywords
+        }, { owner, assignee });
+        
+        // Active claims held by others, which next_task skipped
+        const claimedByOthers = [];
+        const addClaim = (item, id) => {
+          const claim = getActiveClaim(item);
+          if (claim && claim.owner !== owner && !isClosedStatus(item.status)) {
+            claimedByOthers.push({ id, owner: claim.owner, expiresAt: claim.expiresAt });
+          }
+        };
+        data.tasks.forEach(task => {
+          addClaim(task, `${task.id}`);
+          (task.subtasks || []).forEach(subtask => addClaim(subtask, `${task.id}.${subtask.id}`));
+        });
         
-        if (!nextTask) {
+        if (!next) {
           // Check why no task is available
           const totalTasks = data.tasks.length;
           const completedTasks = data.tasks.filter(t => 
@@ -151,46 +231,37 @@ export function registerNextTaskTool(server) {
             t.status === 'in-progress'
           ).length;
           
-          const tasksWithUnsatisfiedDeps = data.tasks.filter(t => {
-            if (t.status === 'done' || t.status === 'completed' || 
-                t.status === 'blocked' || t.status === 'deferred' || 
-                t.status === 'cancelled') {
-              return false;
-            }
-            
-            if (!t.dependencies || t.dependencies.length === 0) {
-              return false;
-            }
-            
-            const completedIds = new Set(
-              data.tasks
-                .filter(task => task.status === 'done' || task.status === 'completed')
-                .map(task => task.id)
-            );
-            
-            return !t.dependencies.every(depId => completedIds.has(depId));
-          }).length;
+          const tasksWithUnsatisfiedDeps = data.tasks.filter(t => 
+            !isClosedStatus(t.status) && !HELD_STATUSES.includes(t.status) &&
+            getOpenDependencies(graph, t).length > 0
+          ).length;
           
           return createContentResponse({
             success: true,
             nextTask: null,
-            message: 'No eligible tasks available to work on.',
+            message: `No eligible tasks available to work on${assignee ? ` for ${assignee}` : ''}.`,
             analysis: {
               totalTasks,
               completedTasks,
               inProgressTasks,
               blockedTasks,
-              tasksWithUnsatisfiedDependencies: tasksWithUnsatisfiedDeps
+              tasksWithUnsatisfiedDependencies: tasksWithUnsatisfiedDeps,
+              claimedByOthers: claimedByOthers.length
             },
+            claimedByOthers: claimedByOthers.length > 0 ? claimedByOthers : undefined,
             suggestions: [
               completedTasks === totalTasks ? 'All tasks are completed! 🎉' : null,
               tasksWithUnsatisfiedDeps > 0 ? 'Some tasks are waiting for dependencies to be completed.' : null,
               blockedTasks > 0 ? 'Some tasks are blocked or deferred - consider reviewing their status.' : null,
-              inProgressTasks > 0 ? 'Focus on completing the in-progress tasks first.' : null
+              inProgressTasks > 0 ? 'Focus on completing the in-progress tasks first.' : null,
+              claimedByOthers.length > 0 ? 'Some tasks are claimed by other agents - wait for them to be released or to expire.' : null,
+              assignee ? `Check ${assignee}'s assigned work with list_tasks, or pick up unassigned work with assignee "unassigned".` : null
             ].filter(Boolean)
           });
         }
         
+        const { task: nextTask, subtask: nextSubtask } = next;
+        
         // Get additional details about the next task
         const taskDetails = {
           id: nextTask.id,
@@ -198,6 +269,7 @@ export function registerNextTaskTool(server) {
           description: nextTask.description || 'No description',
           status: getStatusDisplay(nextTask.status),
           priority: nextTask.priority || 'medium',
+          assignee: getEffectiveAssignee(nextTask) || undefined,
           dependencies: formatDependencies(nextTask.dependencies, data.tasks)
         };
         
@@ -226,19 +298,52 @@ export function registerNextTaskTool(server) {
           };
         }
         
+        const nextId = nextSubtask ? `${nextTask.id}.${nextSubtask.id}` : `${nextTask.id}`;
+        const nextItem = nextSubtask || nextTask;
+        
         const result = {
           success: true,
           nextTask: taskDetails,
+          nextSubtask: nextSubtask ? {
+            id: nextId,
+            title: nextSubtask.title,
+            description: nextSubtask.description || 'No description',
+            status: getStatusDisplay(nextSubtask.status),
+            assignee: getEffectiveAssignee(nextSubtask, nextTask) || undefined,
+            dependencies: formatDependencies(nextSubtask.dependencies, data.tasks)
+          } : undefined,
           recommendation: {
-            action: nextTask.status === 'in-progress' ? 
-              'Continue working on this in-progress task' : 
-              'Start working on this task',
-            setStatusCommand: `set_task_status with taskIds: \"${nextTask.id}\" and status: \"in-progress\"`,
-            viewDetailsCommand: `show_task with taskId: \"${nextTask.id}\"`
+            action: `${nextItem.status === 'in-progress' ? 'Continue working on' : 'Start working on'} ${nextSubtask ? `subtask ${nextId}` : `task ${nextId}`}`,
+            claimCommand: `claim_task with taskId: \"${nextId}\" and owner: \"${owner || '<your identity>'}\"`,
+            setStatusCommand: `set_task_status with taskIds: \"${nextId}\" and status: \"in-progress\"`,
+            viewDetailsCommand: `show_task with taskId: \"${nextId}\"`
           }
         };
         
-        logger.info(`Found next task: ${nextTask.id} - ${nextTask.title}`);
+        if (claimedByOthers.length > 0) {
+          result.claimedByOthers = claimedByOthers;
+        }
+        
+        const alternativeCount = args.alternatives ?? config.nextTask.alternatives;
+        result.scoring = {
+          weights: config.nextTask.weights,
+          chosen: { id: nextTask.id, score: next.score, breakdown: next.breakdown },
+          alternatives: next.ranking
+            .filter(candidate => candidate.task !== nextTask)
+            .slice(0, alternativeCount)
+            .map(candidate => ({
+              id: candidate.task.id,
+              title: candidate.task.title,
+              score: candidate.score,
+              breakdown: candidate.breakdown
+            }))
+        };
+        
+        if (!nextSubtask && getOpenSubtasks(nextTask).length > 0) {
+          result.recommendation.note = `Every open subtask of task ${nextTask.id} is waiting on dependencies or on hold; check them with show_task`;
+        }
+        
+        logger.info(`Found next task: ${nextId} - ${nextItem.title}`);
         
         return createContentResponse(result);
       } catch (error) {
@@ -0,0 +1,106 @@
+import { z } from 'zod';
+import logger from '../logger.js';
+import {
+  createContentResponse,
+  createErrorResponse
+} from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { buildScheduleGraph, planWaves, HELD_STATUSES } from './schedule-utils.js';
+
+/**
+ * Register the parallel-waves tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerParallelWavesTool(server) {
+  server.addTool({
+    name: 'parallel_waves',
+    description: 'Plan concurrent work: groups the remaining tasks and subtasks into waves, where the first wave can be worked on in parallel right now and each later wave becomes workable once the earlier waves are done. Use this instead of next_task when several agents work at once. Respects task and subtask dependencies and leaves out blocked, deferred and cancelled items and the work waiting on them; only done work satisfies a dependency, so work depending on cancelled items is held.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      maxParallelism: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe('Most items per wave, e.g. the number of agents. Lower-ranked items (by in-progress, priority, then dependents) move to later waves')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag, maxParallelism } = args;
+
+        logger.info(`Planning parallel waves in project: ${projectRoot}${maxParallelism ? ` (max ${maxParallelism} per wave)` : ''}`);
+
+        const { data } = loadTaskRepository(projectRoot, tag, { readOnly: true });
+        const graph = buildScheduleGraph(data.tasks);
+        const { waves, held, cyclic } = planWaves(graph, { maxParallelism });
+
+        if (cyclic.length > 0) {
+          return createErrorResponse(`Circular dependencies leave ${cyclic.join(', ')} without a possible start. Run validate_dependencies to find the cycles and fix_dependencies to break them.`);
+        }
+
+        const describe = key => {
+          const node = graph.nodes.get(key);
+          return {
+            id: key,
+            title: node.task.title,
+            status: node.task.status,
+            priority: (node.isSubtask ? node.parent : node.task).priority || 'medium',
+            dependencies: node.dependencies
+          };
+        };
+
+        const describeHold = (id, heldBy) => {
+          const root = graph.nodes.get(heldBy);
+          const hasUnmet = root.unmetDependencies.length > 0;
+          if (id !== heldBy) {
+            return hasUnmet ?
+              `waits on ${heldBy}, which depends on cancelled or missing work` :
+              `waits on ${heldBy} (${root.task.status})`;
+          }
+          if (HELD_STATUSES.includes(root.task.status)) {
+            return root.task.status;
+          }
+          return hasUnmet ?
+            `depends on ${root.unmetDependencies.join(', ')}, which will never be done (cancelled or missing)` :
+            `parent task ${root.parent.id} is ${root.parent.status}`;
+        };
+
+        const result = {
+          success: true,
+          maxParallelism,
+          waves: waves.map((wave, index) => ({
+            wave: index + 1,
+            items: wave.items.map(describe),
+            completesTasks: wave.completesTasks.length > 0 ? wave.completesTasks : undefined
+          })),
+          held: held.length > 0 ?
+            held.map(({ id, heldBy }) => ({
+              ...describe(id),
+              reason: describeHold(id, heldBy)
+            })) :
+            undefined,
+          message: waves.length === 0 ?
+            'No workable tasks: everything remaining is done, cancelled or on hold' :
+            `${waves.length} wave(s); ${waves[0].items.length} item(s) can be worked on in parallel now: ${waves[0].items.join(', ')}`
+        };
+
+        if (held.length > 0) {
+          result.message += `. ${held.length} item(s) on hold because they are blocked or deferred, depend on cancelled or missing work, or wait on such work`;
+        }
+
+        logger.info(`Parallel waves planned: ${waves.length} wave(s), ${held.length} held item(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to plan parallel waves: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to plan parallel waves: ${error.message}`);
+      }
+    }
+  });
+}
@@ -3,9 +3,9 @@ import fs from 'fs';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
-  createErrorResponse,
-  getTasksFilePath
+  createErrorResponse
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
 
 /**
  * Register the enhanced parse-prd tool with keywords, flowNames and relevantTasks support
@@ -19,6 +19,10 @@ export function registerEnhancedParsePRDTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       prdFilePath: z
         .string()
         .describe('Path to the PRD file to parse'),
@@ -35,7 +39,7 @@ export function registerEnhancedParsePRDTool(server) {
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, prdFilePath, numTasks, research } = args;
+        const { projectRoot, tag, prdFilePath, numTasks, research } = args;
         
         logger.info(`Preparing enhanced PRD parsing instructions for: ${prdFilePath}`);
         
@@ -50,20 +54,9 @@ export function registerEnhancedParsePRDTool(server) {
           return createErrorResponse(`PRD file is empty: ${prdFilePath}`);
         }
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        
-        // Determine next ID by checking existing tasks
-        let nextId = 1;
-        if (fs.existsSync(tasksPath)) {
-          try {
-            const existingData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-            if (existingData && Array.isArray(existingData.tasks) && existingData.tasks.length > 0) {
-              nextId = Math.max(...existingData.tasks.map(t => t.id || 0)) + 1;
-            }
-          } catch (error) {
-            logger.warn(`Could not read existing tasks, starting from ID 1: ${error.message}`);
-          }
-        }
+        // Continue numbering after any existing tasks
+        const repository = loadTaskRepository(projectRoot, tag, { allowMissing: true });
+        const nextId = repository.nextTaskId();
         
         const researchPromptAddition = research
           ? `\
@@ -175,12 +168,13 @@ ${systemPrompt}
 ${userPrompt}
 
 **YOUR NEXT ACTION:**
-Please now analyze the PRD content provided above and generate the enhanced tasks JSON according to the specifications. Once you create the JSON response, save it to the file: ${tasksPath}
+Please now analyze the PRD content provided above and generate the enhanced tasks JSON according to the specifications. Once you create the JSON response, save it with the apply_ai_result tool rather than writing ${repository.location} directly.
 
 **ADDITIONAL STEPS AFTER GENERATING TASKS:**
-1. Save the generated JSON to ${tasksPath}
-2. Use the generate_task_files tool to create individual task files
-3. Confirm the tasks were created successfully
+1. Call apply_ai_result with projectRoot "${projectRoot}"${tag ? `, tag "${tag}"` : ''}, action "parse_prd" and result set to the generated JSON exactly as you produced it. It checks the IDs start at ${nextId}, validates dependencies and appends the tasks to ${repository.location}
+2. If apply_ai_result reports violations, correct the JSON and call it again
+3. Use the generate_task_files tool to create individual task files
+4. Confirm the tasks were created successfully
 
 **FIELD GUIDANCE:**
 
@@ -206,7 +200,7 @@ Please proceed with generating the enhanced tasks now based on the PRD content a
           success: true,
           action: 'parse_prd_enhanced_guidance',
           prdFile: prdFilePath,
-          targetFile: tasksPath,
+          targetFile: repository.location,
           parameters: {
             numTasks,
             nextId,
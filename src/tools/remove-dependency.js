@@ -1,20 +1,131 @@
-// Placeholder for remove-dependency tool
-// TODO: Implement remove dependency functionality
 import { z } from 'zod';
 import logger from '../logger.js';
-import { createContentResponse, createErrorResponse } from './utils.js';
+import {
+  createContentResponse,
+  createErrorResponse
+} from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { clearResolvedCycleWarnings, getDependencyKey, isSameDependency } from './dependency-utils.js';
 
+/**
+ * Register the remove-dependency tool
+ * @param {Object} server - FastMCP server instance
+ */
 export function registerRemoveDependencyTool(server) {
   server.addTool({
     name: 'remove_dependency',
-    description: 'Remove a dependency relationship between tasks.',
+    description: 'Remove a dependency relationship between tasks. Works on tasks and subtasks, matches both numeric and string dependency IDs, and can remove the dependency from several tasks at once or from every task that depends on it.',
     parameters: z.object({
-      projectRoot: z.string().describe('Project root directory'),
-      taskId: z.string().describe('Task ID to remove dependency from'),
-      dependsOn: z.string().describe('Dependency ID to remove')
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      taskId: z
+        .string()
+        .optional()
+        .describe('ID(s) of the task(s) to remove the dependency from, comma-separated for multiple (e.g., \"5\" or \"5,6.2\")'),
+      dependsOn: z
+        .string()
+        .describe('ID of the dependency to remove (can be task or subtask ID like \"3\" or \"3.1\")'),
+      all: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('Remove the dependency from every task and subtask that depends on it (overrides taskId)')
     }),
     execute: async (args) => {
-      return createErrorResponse('remove_dependency tool not yet implemented');
+      try {
+        const { projectRoot, tag, taskId, dependsOn, all } = args;
+
+        logger.info(`Removing dependency on ${dependsOn}${all ? ' from all tasks' : ` from ${taskId}`}`);
+
+        if (!all && !taskId) {
+          return createErrorResponse('Either provide taskId or set all=true to remove the dependency everywhere');
+        }
+
+        const repository = loadTaskRepository(projectRoot, tag);
+        const { data } = repository;
+
+        // Resolve the tasks/subtasks to update
+        const targets = [];
+        const errors = [];
+
+        if (all) {
+          data.tasks.forEach(task => {
+            targets.push({ id: String(task.id), task, parent: null, isSubtask: false });
+            (task.subtasks || []).forEach(st => {
+              targets.push({ id: `${task.id}.${st.id}`, task: st, parent: task, isSubtask: true });
+            });
+          });
+        } else {
+          taskId.split(',').map(id => id.trim()).filter(Boolean).forEach(id => {
+            const result = repository.find(id);
+            if (!result) {
+              errors.push(`Task ${id} not found`);
+              return;
+            }
+            targets.push({ id, ...result });
+          });
+        }
+
+        const updatedTasks = [];
+        const now = new Date().toISOString();
+
+        targets.forEach(target => {
+          const dependencies = target.task.dependencies || [];
+          const remaining = dependencies.filter(dep => !isSameDependency(dep, dependsOn));
+
+          if (remaining.length === dependencies.length) {
+            if (!all) {
+              errors.push(`Task ${target.id} does not depend on ${dependsOn}`);
+            }
+            return;
+          }
+
+          target.task.dependencies = remaining;
+
+          // Update timestamp
+          repository.touch(target.id, now);
+
+          updatedTasks.push({
+            id: target.id,
+            title: target.task.title,
+            type: target.isSubtask ? 'subtask' : 'task',
+            remainingDependencies: remaining
+          });
+        });
+
+        if (updatedTasks.length === 0) {
+          return createErrorResponse(errors.length > 0 ?
+            errors.join('; ') :
+            `No task depends on ${getDependencyKey(dependsOn)}`);
+        }
+
+        // Forced circular dependencies that are gone no longer need their warning
+        const clearedWarnings = clearResolvedCycleWarnings(repository.tasks);
+
+        // Save updated data
+        repository.save({ tool: 'remove_dependency', args });
+
+        const result = {
+          success: true,
+          dependsOn: getDependencyKey(dependsOn),
+          updatedTasks,
+          clearedWarnings: clearedWarnings.length > 0 ? clearedWarnings : undefined,
+          errors: errors.length > 0 ? errors : undefined,
+          message: `Successfully removed dependency on ${getDependencyKey(dependsOn)} from ${updatedTasks.length} task(s)`
+        };
+
+        logger.info(`Removed dependency on ${dependsOn} from ${updatedTasks.length} task(s), ${errors.length} errors`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to remove dependency: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to remove dependency: ${error.message}`);
+      }
     }
   });
 }
@@ -2,13 +2,9 @@ import { z } from 'zod';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
-  createErrorResponse,
-  readJSON,
-  writeJSON,
-  findTaskById,
-  getNextTaskId,
-  getTasksFilePath
+  createErrorResponse
 } from './utils.js';
+import { loadTaskRepository, parseTaskId } from './task-repository.js';
 
 /**
  * Register the remove-subtask tool
@@ -22,6 +18,10 @@ export function registerRemoveSubtaskTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       subtaskIds: z
         .string()
         .describe('Subtask ID(s) to remove in format \"parentId.subtaskId\" (comma-separated for multiple)'),
@@ -33,16 +33,12 @@ export function registerRemoveSubtaskTool(server) {
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, subtaskIds, convertToTask } = args;
+        const { projectRoot, tag, subtaskIds, convertToTask } = args;
         
         logger.info(`Removing subtasks: ${subtaskIds}${convertToTask ? ' (converting to tasks)' : ''}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        const data = readJSON(tasksPath);
-        
-        if (!data || !data.tasks) {
-          return createErrorResponse(`No tasks found in ${tasksPath}. Run init first to create the project structure.`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag);
+        const { data } = repository;
         
         const subtaskIdList = subtaskIds.split(',').map(id => id.trim());
         const removedSubtasks = [];
@@ -52,39 +48,23 @@ export function registerRemoveSubtaskTool(server) {
         for (const subtaskId of subtaskIdList) {
           try {
             // Validate subtask ID format
-            if (!subtaskId.includes('.')) {
+            if (!parseTaskId(subtaskId).isSubtask) {
               errors.push(`Invalid subtask ID format: ${subtaskId}. Must be in format \"parentId.subtaskId\"`);
               continue;
             }
             
-            const [parentIdStr, subtaskIdStr] = subtaskId.split('.');
-            const parentId = parseInt(parentIdStr, 10);
-            const subtaskIdNum = parseInt(subtaskIdStr, 10);
-            
-            // Find parent task
-            const parentTask = data.tasks.find(t => t.id === parentId);
-            if (!parentTask) {
-              errors.push(`Parent task ${parentId} not found`);
-              continue;
-            }
-            
-            if (!parentTask.subtasks || parentTask.subtasks.length === 0) {
-              errors.push(`No subtasks found in parent task ${parentId}`);
-              continue;
-            }
-            
-            // Find subtask
-            const subtaskIndex = parentTask.subtasks.findIndex(st => st.id === subtaskIdNum);
-            if (subtaskIndex === -1) {
+            const result = repository.find(subtaskId);
+            if (!result) {
               errors.push(`Subtask ${subtaskId} not found`);
               continue;
             }
             
-            const subtask = parentTask.subtasks[subtaskIndex];
+            const { task: subtask, parent: parentTask } = result;
+            const subtaskIndex = parentTask.subtasks.indexOf(subtask);
             
             if (convertToTask) {
               // Convert to standalone task
-              const newTaskId = getNextTaskId(data.tasks);
+              const newTaskId = repository.nextTaskId();
               
               const newTask = {
                 ...subtask,
@@ -125,9 +105,7 @@ export function registerRemoveSubtaskTool(server) {
         
         // Save updated data if any changes were made
         if (removedSubtasks.length > 0 || convertedTasks.length > 0) {
-          if (!writeJSON(tasksPath, data)) {
-            return createErrorResponse('Failed to save updated tasks');
-          }
+          repository.save({ tool: 'remove_subtask', args });
         }
         
         const result = {
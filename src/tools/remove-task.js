@@ -1,19 +1,223 @@
-// Placeholder for remove-task tool
-// TODO: Implement task removal functionality
 import { z } from 'zod';
+import fs from 'fs';
 import logger from '../logger.js';
-import { createContentResponse, createErrorResponse } from './utils.js';
+import {
+  createContentResponse,
+  createErrorResponse,
+  readJSON,
+  getTagDirectory,
+  getTaskFilePath,
+  getComplexityReportPath
+} from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { clearResolvedCycleWarnings, getDependencyKey } from './dependency-utils.js';
 
+/**
+ * Find every reference to the removed IDs in the remaining tasks
+ * @param {Array} tasks - Array of tasks
+ * @param {Set} removedKeys - Removed task/subtask keys ("5", "5.2")
+ * @param {Set} removedTaskIds - Removed top-level task IDs
+ * @returns {Array} Affected tasks with the references that will be scrubbed
+ */
+function findAffectedTasks(tasks, removedKeys, removedTaskIds) {
+  const affected = [];
+
+  const inspect = (item, key) => {
+    if (removedKeys.has(key)) {
+      return;
+    }
+
+    const removedDependencies = (item.dependencies || [])
+      .filter(dep => removedKeys.has(getDependencyKey(dep)));
+    const removedRelevantTasks = (item.relevantTasks || [])
+      .filter(id => removedTaskIds.has(parseInt(id, 10)));
+
+    if (removedDependencies.length > 0 || removedRelevantTasks.length > 0) {
+      affected.push({
+        taskId: key,
+        title: item.title,
+        removedDependencies,
+        removedRelevantTasks: removedRelevantTasks.length > 0 ? removedRelevantTasks : undefined
+      });
+    }
+  };
+
+  tasks.forEach(task => {
+    inspect(task, String(task.id));
+    (task.subtasks || []).forEach(subtask => inspect(subtask, `${task.id}.${subtask.id}`));
+  });
+
+  return affected;
+}
+
+/**
+ * Register the remove-task tool
+ * @param {Object} server - FastMCP server instance
+ */
 export function registerRemoveTaskTool(server) {
   server.addTool({
     name: 'remove_task',
-    description: 'Remove one or more tasks permanently.',
+    description: 'Remove one or more tasks or subtasks permanently. Also removes references to them from other tasks\' dependencies and relevantTasks, their complexity report entries and their generated task files. undo restores the tasks and their complexity entries but not the deleted task files; recreate those with generate_task_files. Use dryRun to preview every affected task first.',
     parameters: z.object({
-      projectRoot: z.string().describe('Project root directory'),
-      taskIds: z.string().describe('Comma-separated task IDs to remove')
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      taskIds: z
+        .string()
+        .describe('Task ID(s) to remove. Can be comma-separated and include subtasks (e.g., "5" or "5,7.2")'),
+      dryRun: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('Preview the removal and every affected task without writing any changes')
     }),
     execute: async (args) => {
-      return createErrorResponse('remove_task tool not yet implemented');
+      try {
+        const { projectRoot, tag, taskIds, dryRun } = args;
+
+        logger.info(`Removing tasks: ${taskIds}${dryRun ? ' (dry run)' : ''}`);
+
+        const repository = loadTaskRepository(projectRoot, tag);
+        const { data } = repository;
+
+        const taskIdList = taskIds.split(',').map(id => id.trim()).filter(Boolean);
+        const removedTaskIds = new Set();
+        const removedKeys = new Set();
+        const removedItems = [];
+        const errors = [];
+
+        for (const taskId of taskIdList) {
+          const result = repository.find(taskId);
+
+          if (!result) {
+            errors.push(`Task ${taskId} not found`);
+            continue;
+          }
+
+          const key = result.isSubtask ? `${result.parent.id}.${result.task.id}` : String(result.task.id);
+          if (removedKeys.has(key)) {
+            continue;
+          }
+
+          if (result.isSubtask) {
+            removedKeys.add(key);
+          } else {
+            removedTaskIds.add(result.task.id);
+            removedKeys.add(key);
+            (result.task.subtasks || []).forEach(st => removedKeys.add(`${result.task.id}.${st.id}`));
+          }
+
+          removedItems.push({
+            id: key,
+            title: result.task.title,
+            status: result.task.status,
+            type: result.isSubtask ? 'subtask' : 'task',
+            subtasksRemoved: result.isSubtask ? undefined : (result.task.subtasks || []).length
+          });
+        }
+
+        // Subtasks of a removed task go with it and need no separate entry
+        const items = removedItems.filter(item =>
+          item.type === 'task' || !removedTaskIds.has(parseInt(item.id.split('.')[0], 10))
+        );
+
+        if (items.length === 0) {
+          return createErrorResponse(`No tasks removed. ${errors.join('; ')}`);
+        }
+
+        const affectedTasks = findAffectedTasks(data.tasks, removedKeys, removedTaskIds);
+
+        // Complexity report entries and generated files of removed top-level tasks
+        const complexityReportPath = getComplexityReportPath(projectRoot, tag);
+        const complexityReport = readJSON(complexityReportPath);
+        const complexityEntries = Array.isArray(complexityReport?.complexityAnalysis) ?
+          complexityReport.complexityAnalysis.filter(entry => removedTaskIds.has(entry.taskId)) :
+          [];
+        const taskFiles = [...removedTaskIds]
+          .map(id => getTaskFilePath(getTagDirectory(projectRoot, tag), id))
+          .filter(filePath => fs.existsSync(filePath));
+
+        let clearedWarnings = [];
+        if (!dryRun) {
+          const now = new Date().toISOString();
+
+          data.tasks = data.tasks.filter(task => !removedTaskIds.has(task.id));
+          data.tasks.forEach(task => {
+            if (task.subtasks) {
+              const remaining = task.subtasks.filter(st => !removedKeys.has(`${task.id}.${st.id}`));
+              if (remaining.length !== task.subtasks.length) {
+                task.subtasks = remaining;
+                task.updatedAt = now;
+              }
+            }
+          });
+
+          affectedTasks.forEach(affected => {
+            const { task, parent } = repository.get(affected.taskId);
+            task.dependencies = (task.dependencies || []).filter(dep => !removedKeys.has(getDependencyKey(dep)));
+            if (task.relevantTasks) {
+              task.relevantTasks = task.relevantTasks.filter(id => !removedTaskIds.has(parseInt(id, 10)));
+            }
+            (parent || task).updatedAt = now;
+          });
+          clearedWarnings = clearResolvedCycleWarnings(data.tasks);
+
+          // The complexity report is saved with the tasks so that undo restores both
+          const files = complexityEntries.length > 0 ? [{
+            filePath: complexityReportPath,
+            data: {
+              ...complexityReport,
+              complexityAnalysis: complexityReport.complexityAnalysis.filter(entry => !removedTaskIds.has(entry.taskId))
+            }
+          }] : [];
+
+          repository.save({ tool: 'remove_task', args, files });
+
+          taskFiles.forEach(filePath => {
+            try {
+              fs.unlinkSync(filePath);
+            } catch (error) {
+              errors.push(`Failed to delete ${filePath}: ${error.message}`);
+            }
+          });
+        }
+
+        const result = {
+          success: true,
+          dryRun,
+          removed: items,
+          affectedTasks,
+          complexityEntriesRemoved: complexityEntries.map(entry => entry.taskId),
+          taskFilesDeleted: taskFiles,
+          clearedWarnings: clearedWarnings.length > 0 ? clearedWarnings : undefined,
+          errors: errors.length > 0 ? errors : undefined,
+          summary: dryRun ?
+            `Dry run: would remove ${items.length} item(s) and update ${affectedTasks.length} dependent task(s)` :
+            `Removed ${items.length} item(s) and updated ${affectedTasks.length} dependent task(s)`
+        };
+
+        if (dryRun) {
+          result.nextSteps = [`Apply the removal: remove_task with taskIds "${taskIds}" and dryRun false`];
+        } else {
+          if (taskFiles.length > 0) {
+            result.note = 'Undoing this removal restores the tasks and their complexity entries but not the deleted task files; run generate_task_files after undo to recreate them';
+          }
+          if (items.some(item => item.type === 'subtask')) {
+            result.nextSteps = ['Regenerate task files: generate_task_files'];
+          }
+        }
+
+        logger.info(`Task removal ${dryRun ? 'previewed' : 'completed'}: ${items.length} removed, ${affectedTasks.length} affected, ${errors.length} errors`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to remove task: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to remove task: ${error.message}`);
+      }
     }
   });
 }
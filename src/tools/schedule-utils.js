@@ -0,0 +1,319 @@
+/**
+ * Schedule Utilities
+ * Builds the graph of remaining work used for schedule analysis. Done and
+ * cancelled items are left out. As in next_task and set_task_status, only
+ * done work satisfies a dependency: items that depend on cancelled or missing
+ * work are kept but marked as stuck, since they can never start. A task with subtasks is broken down into them: each subtask also
+ * waits on its parent's dependencies, and the parent finishes with its last
+ * subtask. Dependents of the parent therefore wait for all of its subtasks.
+ */
+
+import {
+  buildDependencyGraph,
+  compareTaskKeys,
+  getDependencyKey,
+  isCompletedStatus
+} from './dependency-utils.js';
+import { isClosedStatus } from './workflow-utils.js';
+
+// Open statuses that mean the work cannot be picked up for now
+export const HELD_STATUSES = ['blocked', 'deferred'];
+
+/**
+ * Build the graph of remaining work
+ * @param {Array} tasks - Array of tasks
+ * @param {Object} [options] - { includeSubtasks, weightOf(node) } weightOf returns { weight, source } for a task or subtask node
+ * @returns {Object} { nodes: Map key -> { id, task, parent, isSubtask, weight, weightSource, dependencies, unmetDependencies } }
+ *   unmetDependencies lists cancelled or missing items the node depends on
+ */
+export function buildScheduleGraph(tasks, { includeSubtasks = true, weightOf = () => ({ weight: 1, source: 'default' }) } = {}) {
+  const { nodes: dependencyNodes } = buildDependencyGraph(tasks);
+  const nodes = new Map();
+
+  // Open dependencies are edges of the graph; dependencies on cancelled
+  // items or on items that do not exist can never be met
+  const openDependencies = item => (item.dependencies || [])
+    .map(getDependencyKey)
+    .filter(key => dependencyNodes.has(key) && !isClosedStatus(dependencyNodes.get(key).task.status));
+  const unmetDependencies = item => (item.dependencies || [])
+    .map(getDependencyKey)
+    .filter(key => {
+      const dependency = dependencyNodes.get(key);
+      return !dependency || (isClosedStatus(dependency.task.status) && !isCompletedStatus(dependency.task.status));
+    });
+
+  dependencyNodes.forEach((node, key) => {
+    if (isClosedStatus(node.task.status) || (node.isSubtask && !includeSubtasks)) {
+      return;
+    }
+
+    const hasOpenSubtasks = !node.isSubtask && includeSubtasks &&
+      (node.task.subtasks || []).some(subtask => !isClosedStatus(subtask.status));
+    const dependencies = new Set(openDependencies(node.task));
+    const unmet = new Set(unmetDependencies(node.task));
+
+    if (node.isSubtask) {
+      // A subtask cannot start before its parent could
+      const parentKey = String(node.parent.id);
+      openDependencies(node.parent).forEach(depKey => dependencies.add(depKey));
+      unmetDependencies(node.parent).forEach(depKey => unmet.add(depKey));
+      dependencies.delete(parentKey);
+    } else if (hasOpenSubtasks) {
+      node.task.subtasks
+        .filter(subtask => !isClosedStatus(subtask.status))
+        .forEach(subtask => dependencies.add(`${key}.${subtask.id}`));
+    }
+    dependencies.delete(key);
+
+    const { weight, source } = hasOpenSubtasks ?
+      { weight: 0, source: 'subtasks' } :
+      weightOf(node);
+
+    nodes.set(key, {
+      id: key,
+      task: node.task,
+      parent: node.parent,
+      isSubtask: node.isSubtask,
+      weight,
+      weightSource: source,
+      dependencies: [...dependencies].sort(compareTaskKeys),
+      unmetDependencies: [...unmet].sort(compareTaskKeys)
+    });
+  });
+
+  // Subtasks inherit their parent's dependencies, which can name subtasks
+  // left out of the graph; keep only edges between remaining items
+  nodes.forEach(node => {
+    node.dependencies = node.dependencies.filter(depKey => nodes.has(depKey));
+  });
+
+  return { nodes };
+}
+
+/**
+ * Find the items that can never start: those with unmet dependencies and
+ * everything that waits on them, directly or not
+ * @param {Object} graph - Graph from buildScheduleGraph
+ * @returns {Map} key -> key of the item with the unmet dependencies it waits on
+ */
+export function findStuckItems(graph) {
+  const { nodes } = graph;
+  const dependents = new Map([...nodes.keys()].map(key => [key, []]));
+  nodes.forEach((node, key) => {
+    node.dependencies.forEach(depKey => dependents.get(depKey).push(key));
+  });
+
+  const stuck = new Map();
+  const mark = (key, root) => {
+    stuck.set(key, root);
+    dependents.get(key).forEach(dependentKey => {
+      if (!stuck.has(dependentKey)) {
+        mark(dependentKey, root);
+      }
+    });
+  };
+  [...nodes.keys()].sort(compareTaskKeys).forEach(key => {
+    if (nodes.get(key).unmetDependencies.length > 0 && !stuck.has(key)) {
+      mark(key, key);
+    }
+  });
+
+  return stuck;
+}
+
+/**
+ * Leave stuck items (see findStuckItems) out of a graph
+ * @param {Object} graph - Graph from buildScheduleGraph
+ * @param {Map} stuck - Result of findStuckItems
+ * @returns {Object} Graph of the items that can still be scheduled
+ */
+export function withoutStuckItems(graph, stuck) {
+  return { nodes: new Map([...graph.nodes].filter(([key]) => !stuck.has(key))) };
+}
+
+/**
+ * Order the graph so that every item comes after its dependencies.
+ * Among items that are ready at the same time, lower IDs come first.
+ * @param {Object} graph - Graph from buildScheduleGraph
+ * @returns {Object} { order: [key], cyclic: [key] } cyclic lists the items left over because of circular dependencies
+ */
+export function sortTopologically(graph) {
+  const { nodes } = graph;
+  const remaining = new Map([...nodes].map(([key, node]) => [key, node.dependencies.length]));
+  const dependents = new Map([...nodes.keys()].map(key => [key, []]));
+  nodes.forEach((node, key) => {
+    node.dependencies.forEach(depKey => dependents.get(depKey).push(key));
+  });
+
+  let ready = [...remaining].filter(([, count]) => count === 0).map(([key]) => key);
+  const order = [];
+
+  while (ready.length > 0) {
+    ready.sort(compareTaskKeys);
+    const key = ready.shift();
+    order.push(key);
+    remaining.delete(key);
+
+    dependents.get(key).forEach(dependentKey => {
+      const count = remaining.get(dependentKey) - 1;
+      remaining.set(dependentKey, count);
+      if (count === 0) {
+        ready.push(dependentKey);
+      }
+    });
+  }
+
+  return { order, cyclic: [...remaining.keys()].sort(compareTaskKeys) };
+}
+
+/**
+ * Critical path analysis: earliest and latest start/finish and slack for every item
+ * @param {Object} graph - Graph from buildScheduleGraph
+ * @param {Array} order - Topological order from sortTopologically
+ * @returns {Object} { duration, timings: Map key -> { earliestStart, earliestFinish, latestStart, latestFinish, slack, critical }, criticalPath: [key] }
+ */
+export function analyzeCriticalPath(graph, order) {
+  const { nodes } = graph;
+  const timings = new Map();
+
+  order.forEach(key => {
+    const node = nodes.get(key);
+    const earliestStart = Math.max(0, ...node.dependencies.map(depKey => timings.get(depKey).earliestFinish));
+    timings.set(key, { earliestStart, earliestFinish: earliestStart + node.weight });
+  });
+
+  const duration = Math.max(0, ...[...timings.values()].map(timing => timing.earliestFinish));
+
+  const dependents = new Map(order.map(key => [key, []]));
+  order.forEach(key => {
+    nodes.get(key).dependencies.forEach(depKey => dependents.get(depKey).push(key));
+  });
+
+  [...order].reverse().forEach(key => {
+    const timing = timings.get(key);
+    timing.latestFinish = Math.min(duration, ...dependents.get(key).map(dependentKey => timings.get(dependentKey).latestStart));
+    timing.latestStart = timing.latestFinish - nodes.get(key).weight;
+    timing.slack = roundWeight(timing.latestStart - timing.earliestStart);
+    timing.critical = timing.slack === 0;
+  });
+
+  // Walk back from the item that finishes last through dependencies that
+  // finish exactly when it can start
+  const criticalPath = [];
+  let current = order
+    .filter(key => timings.get(key).critical && roundWeight(timings.get(key).earliestFinish - duration) === 0)
+    .sort(compareTaskKeys)[0];
+  while (current) {
+    criticalPath.unshift(current);
+    const { earliestStart } = timings.get(current);
+    current = nodes.get(current).dependencies.find(depKey =>
+      timings.get(depKey).critical && roundWeight(timings.get(depKey).earliestFinish - earliestStart) === 0
+    );
+  }
+
+  return { duration, timings, criticalPath };
+}
+
+/**
+ * Group the remaining work into waves: every item in a wave only depends on
+ * items in earlier waves, so a wave can be worked on concurrently. Held items
+ * (blocked or deferred, subtasks of a held task, or items with unmet
+ * dependencies) and everything that depends on them are left out. A task broken down into subtasks is not a
+ * work item itself; it completes with the wave that finishes its last subtask.
+ * @param {Object} graph - Graph from buildScheduleGraph
+ * @param {Object} [options] - { heldStatuses, maxParallelism } maxParallelism caps the size of each wave, pushing lower-ranked items to later waves
+ * @returns {Object} { waves: [{ items: [key], completesTasks: [key] }], held: [{ id, heldBy }], cyclic: [key] }
+ */
+export function planWaves(graph, { heldStatuses = HELD_STATUSES, maxParallelism } = {}) {
+  const { nodes } = graph;
+  const isHeldStatus = node => heldStatuses.includes(node.task.status) ||
+    (node.isSubtask && heldStatuses.includes(node.parent.status));
+
+  const dependents = new Map([...nodes.keys()].map(key => [key, []]));
+  nodes.forEach((node, key) => {
+    node.dependencies.forEach(depKey => dependents.get(depKey).push(key));
+  });
+
+  // Hold items that wait, directly or not, on a held item
+  const heldBy = new Map();
+  const holdDependents = (key, root) => {
+    dependents.get(key).forEach(dependentKey => {
+      if (!heldBy.has(dependentKey)) {
+        heldBy.set(dependentKey, root);
+        holdDependents(dependentKey, root);
+      }
+    });
+  };
+  [...nodes.keys()].sort(compareTaskKeys).forEach(key => {
+    const node = nodes.get(key);
+    if ((isHeldStatus(node) || node.unmetDependencies.length > 0) && !heldBy.has(key)) {
+      heldBy.set(key, key);
+      holdDependents(key, key);
+    }
+  });
+
+  // A task broken down into subtasks is finished by them, not worked on itself
+  const isSummaryTask = node => node.weightSource === 'subtasks';
+  const priorityOrder = { high: 3, medium: 2, low: 1 };
+  const rankOf = node => ({
+    started: node.task.status === 'in-progress' ? 1 : 0,
+    priority: priorityOrder[(node.isSubtask ? node.parent : node.task).priority] || 2,
+    dependents: dependents.get(node.id).length
+  });
+  // In-progress first, then priority, then items that more work waits on, then ID
+  const compareRank = (a, b) => {
+    const rankA = rankOf(nodes.get(a));
+    const rankB = rankOf(nodes.get(b));
+    return rankB.started - rankA.started ||
+      rankB.priority - rankA.priority ||
+      rankB.dependents - rankA.dependents ||
+      compareTaskKeys(a, b);
+  };
+
+  const pending = new Set([...nodes.keys()].filter(key => !heldBy.has(key)));
+  const finished = new Set();
+  const isReady = key => nodes.get(key).dependencies.every(depKey => finished.has(depKey));
+  const waves = [];
+
+  while (pending.size > 0) {
+    const ready = [...pending].filter(key => !isSummaryTask(nodes.get(key)) && isReady(key)).sort(compareRank);
+    if (ready.length === 0) {
+      break;
+    }
+
+    const items = maxParallelism ? ready.slice(0, maxParallelism) : ready;
+    items.forEach(key => {
+      pending.delete(key);
+      finished.add(key);
+    });
+
+    // Tasks whose subtasks are now all finished complete with this wave
+    const completesTasks = [];
+    let completed;
+    do {
+      completed = [...pending].filter(key => isSummaryTask(nodes.get(key)) && isReady(key));
+      completed.forEach(key => {
+        pending.delete(key);
+        finished.add(key);
+        completesTasks.push(key);
+      });
+    } while (completed.length > 0);
+
+    waves.push({ items: items.sort(compareTaskKeys), completesTasks: completesTasks.sort(compareTaskKeys) });
+  }
+
+  return {
+    waves,
+    held: [...heldBy].map(([id, root]) => ({ id, heldBy: root })).sort((a, b) => compareTaskKeys(a.id, b.id)),
+    cyclic: [...pending].sort(compareTaskKeys)
+  };
+}
+
+/**
+ * Round a weight to avoid floating point noise from fractional weights
+ * @param {number} value - Weight
+ * @returns {number} Value rounded to 2 decimals
+ */
+export function roundWeight(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,341 @@
+/**
+ * Tasks File Schema Utilities
+ * Zod schema for tasks.json, JSON-path violation reporting and the
+ * schemaVersion-keyed migrations applied when tasks are loaded
+ */
+
+import { z } from 'zod';
+import { isValidTaskStatus } from './utils.js';
+import { DEFAULT_TASK_STATUSES, TASK_PRIORITIES } from './config-utils.js';
+import { isValidDate } from './due-date-utils.js';
+
+export const CURRENT_SCHEMA_VERSION = 1;
+
+const idSchema = z.number().int().positive();
+
+const dependencySchema = z.union([
+  idSchema,
+  z.string().regex(/^\d+(\.\d+)?$/, 'Expected a task ID number or a "parentId.subtaskId" string')
+]);
+
+// Whether a status is allowed depends on the project's workflow.statuses
+// setting, so it is checked by findUnknownStatuses rather than the schema
+const statusSchema = z.string().min(1);
+
+const stringListSchema = z.array(z.string());
+
+const claimSchema = z.object({
+  owner: z.string().min(1),
+  claimedAt: z.string(),
+  expiresAt: z.string()
+}).passthrough();
+
+const dateSchema = z.string().refine(isValidDate, 'Expected a calendar date as YYYY-MM-DD');
+
+const milestoneSchema = z.object({
+  name: z.string().min(1),
+  targetDate: dateSchema,
+  description: z.string().optional()
+}).passthrough();
+
+export const subtaskSchema = z.object({
+  id: idSchema,
+  title: z.string().min(1),
+  description: z.string().optional(),
+  details: z.string().optional(),
+  status: statusSchema,
+  dependencies: z.array(dependencySchema),
+  parentTaskId: idSchema.optional(),
+  testStrategy: z.string().optional(),
+  estimate: z.number().positive().optional(),
+  claim: claimSchema.optional(),
+  assignee: z.string().min(1).optional(),
+  reviewers: stringListSchema.optional(),
+  dueDate: dateSchema.optional(),
+  createdAt: z.string().optional(),
+  updatedAt: z.string().optional()
+}).passthrough();
+
+export const taskSchema = z.object({
+  id: idSchema,
+  title: z.string().min(1),
+  description: z.string().optional(),
+  status: statusSchema,
+  dependencies: z.array(dependencySchema),
+  priority: z.enum(TASK_PRIORITIES).optional(),
+  details: z.string().optional(),
+  testStrategy: z.string().optional(),
+  relevantTasks: z.array(idSchema).optional(),
+  keywords: stringListSchema.optional(),
+  flowNames: stringListSchema.optional(),
+  subtasks: z.array(subtaskSchema).optional(),
+  estimate: z.number().positive().optional(),
+  claim: claimSchema.optional(),
+  assignee: z.string().min(1).optional(),
+  reviewers: stringListSchema.optional(),
+  dueDate: dateSchema.optional(),
+  milestone: z.string().min(1).optional(),
+  createdAt: z.string().optional(),
+  updatedAt: z.string().optional()
+}).passthrough();
+
+export const tasksFileSchema = z.object({
+  schemaVersion: z.number().int().nonnegative().optional(),
+  revision: z.number().int().nonnegative().optional(),
+  tasks: z.array(taskSchema),
+  milestones: z.array(milestoneSchema).optional(),
+  metadata: z.object({}).passthrough().optional()
+}).passthrough();
+
+/**
+ * Find duplicate task IDs and duplicate subtask IDs within a parent.
+ * Checked separately from the schema so they are reported alongside
+ * field violations rather than only once every field is valid.
+ * @param {Array} tasks - Array of tasks
+ * @returns {Array} Violations as { path, message, code }
+ */
+function findDuplicateIds(tasks) {
+  const violations = [];
+  const seenTaskIds = new Set();
+
+  tasks.forEach((task, taskIndex) => {
+    if (task === null || typeof task !== 'object') {
+      return;
+    }
+
+    if (seenTaskIds.has(task.id)) {
+      violations.push({ path: formatJSONPath(['tasks', taskIndex, 'id']), message: `Duplicate task ID ${task.id}`, code: 'duplicate_id' });
+    }
+    seenTaskIds.add(task.id);
+
+    const seenSubtaskIds = new Set();
+    (Array.isArray(task.subtasks) ? task.subtasks : []).forEach((subtask, subtaskIndex) => {
+      if (subtask === null || typeof subtask !== 'object') {
+        return;
+      }
+      if (seenSubtaskIds.has(subtask.id)) {
+        violations.push({
+          path: formatJSONPath(['tasks', taskIndex, 'subtasks', subtaskIndex, 'id']),
+          message: `Duplicate subtask ID ${task.id}.${subtask.id}`,
+          code: 'duplicate_id'
+        });
+      }
+      seenSubtaskIds.add(subtask.id);
+    });
+  });
+
+  return violations;
+}
+
+/**
+ * Find tasks and subtasks whose status is not one of the allowed statuses
+ * @param {Array} tasks - Array of tasks
+ * @param {Array} [statuses] - Allowed statuses
+ * @returns {Array} Violations as { path, message, code }
+ */
+export function findUnknownStatuses(tasks, statuses = DEFAULT_TASK_STATUSES) {
+  const violations = [];
+  const check = (item, pathSegments) => {
+    if (item !== null && typeof item === 'object' && typeof item.status === 'string' && item.status &&
+      !isValidTaskStatus(item.status, statuses)) {
+      violations.push({
+        path: formatJSONPath([...pathSegments, 'status']),
+        message: `Unknown status "${item.status}" (expected ${statuses.join(', ')})`,
+        code: 'unknown_status'
+      });
+    }
+  };
+
+  tasks.forEach((task, taskIndex) => {
+    check(task, ['tasks', taskIndex]);
+    if (task && Array.isArray(task.subtasks)) {
+      task.subtasks.forEach((subtask, subtaskIndex) => check(subtask, ['tasks', taskIndex, 'subtasks', subtaskIndex]));
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Find duplicate milestone names and tasks that name a milestone missing
+ * from the milestones list
+ * @param {Object} data - Parsed tasks.json content
+ * @returns {Array} Violations as { path, message, code }
+ */
+function findMilestoneProblems(data) {
+  const violations = [];
+  const milestones = Array.isArray(data.milestones) ? data.milestones : [];
+  const names = new Set();
+
+  milestones.forEach((milestone, index) => {
+    if (milestone === null || typeof milestone !== 'object') {
+      return;
+    }
+    if (names.has(milestone.name)) {
+      violations.push({ path: formatJSONPath(['milestones', index, 'name']), message: `Duplicate milestone "${milestone.name}"`, code: 'duplicate_milestone' });
+    }
+    names.add(milestone.name);
+  });
+
+  data.tasks.forEach((task, taskIndex) => {
+    if (task !== null && typeof task === 'object' && typeof task.milestone === 'string' && !names.has(task.milestone)) {
+      violations.push({
+        path: formatJSONPath(['tasks', taskIndex, 'milestone']),
+        message: `Unknown milestone "${task.milestone}" (add it with set_milestone)`,
+        code: 'unknown_milestone'
+      });
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Format a zod issue path as a JSON path ("$.tasks[2].keywords")
+ * @param {Array} segments - Path segments
+ * @returns {string} JSON path
+ */
+export function formatJSONPath(segments) {
+  return segments.reduce((jsonPath, segment) =>
+    typeof segment === 'number' ? `${jsonPath}[${segment}]` : `${jsonPath}.${segment}`, '$');
+}
+
+/**
+ * Validate a parsed tasks.json document against the schema
+ * @param {*} data - Parsed tasks.json content
+ * @param {Object} [options] - { statuses } allowed statuses (the project's workflow.statuses)
+ * @returns {Object} { valid, violations: [{ path, message, code }] }
+ */
+export function validateTasksData(data, { statuses = DEFAULT_TASK_STATUSES } = {}) {
+  const result = tasksFileSchema.safeParse(data);
+  const violations = result.success ? [] : result.error.issues.map(issue => ({
+    path: formatJSONPath(issue.path),
+    message: issue.message,
+    code: issue.code
+  }));
+
+  if (data && Array.isArray(data.tasks)) {
+    violations.push(
+      ...findDuplicateIds(data.tasks),
+      ...findUnknownStatuses(data.tasks, statuses),
+      ...findMilestoneProblems(data)
+    );
+  }
+
+  return { valid: violations.length === 0, violations };
+}
+
+/**
+ * Split a comma-separated string into a trimmed list; arrays pass through
+ * @param {*} value - Field value
+ * @returns {*} Array when the value was a string, otherwise unchanged
+ */
+function toList(value) {
+  if (typeof value === 'string') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+}
+
+/**
+ * Convert a numeric string to a number; anything else is returned unchanged
+ * @param {*} value - Value to convert
+ * @returns {*} Number or the original value
+ */
+function toNumber(value) {
+  return typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+}
+
+/**
+ * Ordered migrations. Each one upgrades a document from version - 1 to version.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Convert comma-separated keywords, flowNames, relevantTasks and dependencies strings to arrays, numeric string IDs (task IDs, relevantTasks and dependencies other than "parent.sub" keys) to numbers and missing dependency lists to []',
+    migrate(data) {
+      const upgradeItem = item => {
+        item.id = toNumber(item.id);
+
+        // Numeric IDs become numbers, dropping duplicates such as 3 and "3";
+        // "parent.sub" subtask keys stay strings
+        const dependencies = item.dependencies === undefined || item.dependencies === null ?
+          [] :
+          toList(item.dependencies);
+        item.dependencies = Array.isArray(dependencies) ? [...new Set(dependencies.map(toNumber))] : dependencies;
+
+        ['keywords', 'flowNames'].forEach(field => {
+          if (item[field] !== undefined) {
+            item[field] = toList(item[field]);
+          }
+        });
+
+        if (item.relevantTasks !== undefined) {
+          const relevantTasks = toList(item.relevantTasks);
+          item.relevantTasks = Array.isArray(relevantTasks) ? relevantTasks.map(toNumber) : relevantTasks;
+        }
+      };
+
+      data.tasks.forEach(task => {
+        if (task === null || typeof task !== 'object') {
+          return;
+        }
+        upgradeItem(task);
+
+        if (task.subtasks === null) {
+          task.subtasks = [];
+        }
+        if (Array.isArray(task.subtasks)) {
+          task.subtasks
+            .filter(subtask => subtask !== null && typeof subtask === 'object')
+            .forEach(upgradeItem);
+        }
+      });
+    }
+  }
+];
+
+/**
+ * Get the schema version of a document (files written before versioning are version 0)
+ * @param {Object} data - Parsed tasks.json content
+ * @returns {number} Schema version
+ */
+export function getSchemaVersion(data) {
+  return data && typeof data.schemaVersion === 'number' ? data.schemaVersion : 0;
+}
+
+/**
+ * List the migrations a document still needs
+ * @param {Object} data - Parsed tasks.json content
+ * @returns {Array} Pending migrations as { version, description }
+ */
+export function getPendingMigrations(data) {
+  const version = getSchemaVersion(data);
+  return MIGRATIONS
+    .filter(migration => migration.version > version)
+    .map(({ version: migrationVersion, description }) => ({ version: migrationVersion, description }));
+}
+
+/**
+ * Upgrade a tasks.json document in place to the current schema version
+ * @param {Object} data - Parsed tasks.json content (mutated)
+ * @returns {Object} { data, migrated, fromVersion, toVersion, applied }
+ */
+export function migrateTasksData(data) {
+  const fromVersion = getSchemaVersion(data);
+
+  if (!data || !Array.isArray(data.tasks) || fromVersion >= CURRENT_SCHEMA_VERSION) {
+    return { data, migrated: false, fromVersion, toVersion: fromVersion, applied: [] };
+  }
+
+  const applied = [];
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      migration.migrate(data);
+      data.schemaVersion = migration.version;
+      applied.push({ version: migration.version, description: migration.description });
+    });
+
+  return { data, migrated: true, fromVersion, toVersion: data.schemaVersion, applied };
+}
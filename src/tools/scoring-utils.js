@@ -0,0 +1,125 @@
+/**
+ * Scoring Utilities
+ * Weighted scoring of candidate tasks for next_task. Every factor rates a
+ * task from 0 to 1 and is multiplied by its weight from the nextTask.weights
+ * setting; the breakdown is returned so a choice can be explained and the
+ * weights tuned.
+ */
+
+import { fuzzyMatchFlows, fuzzyMatchKeywords } from './fuzzy-matching-utils.js';
+import { isClosedStatus } from './workflow-utils.js';
+
+export const SCORING_FACTORS = ['inProgress', 'priority', 'dependents', 'complexity', 'age', 'flowFocus', 'keywordFocus'];
+
+const PRIORITY_VALUES = { high: 1, medium: 0.5, low: 0 };
+
+// Tasks without a complexity score sit in the middle of the 1-10 scale
+const UNSCORED_COMPLEXITY = 0.5;
+
+/**
+ * Count the open tasks and subtasks that wait on each item, directly or through other items
+ * @param {Object} graph - Dependency graph from buildDependencyGraph
+ * @returns {Function} countDependents(key)
+ */
+function createDependentCounter(graph) {
+  const dependents = new Map();
+  graph.edges.forEach((depKeys, key) => {
+    if (isClosedStatus(graph.nodes.get(key).task.status)) {
+      return;
+    }
+    depKeys.forEach(depKey => {
+      if (!dependents.has(depKey)) {
+        dependents.set(depKey, []);
+      }
+      dependents.get(depKey).push(key);
+    });
+  });
+
+  return key => {
+    const seen = new Set();
+    const queue = [key];
+    while (queue.length > 0) {
+      (dependents.get(queue.shift()) || []).forEach(dependentKey => {
+        if (!seen.has(dependentKey) && dependentKey !== key) {
+          seen.add(dependentKey);
+          queue.push(dependentKey);
+        }
+      });
+    }
+    return seen.size;
+  };
+}
+
+/**
+ * Rate how old each candidate is: 1 for the oldest, 0 for the newest.
+ * Uses createdAt when every candidate has one, task IDs otherwise.
+ * @param {Array} tasks - Candidate tasks
+ * @returns {Map} Task -> age value
+ */
+function rateAges(tasks) {
+  const times = tasks.map(task => Date.parse(task.createdAt));
+  const keys = times.every(time => !isNaN(time)) ? times : tasks.map(task => task.id);
+  const oldest = Math.min(...keys);
+  const newest = Math.max(...keys);
+  return new Map(tasks.map((task, index) => [
+    task,
+    newest === oldest ? 1 : (newest - keys[index]) / (newest - oldest)
+  ]));
+}
+
+/**
+ * Round a score for display
+ * @param {number} value - Score
+ * @returns {number} Score rounded to 2 decimals
+ */
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Score and rank candidate tasks
+ * @param {Array} tasks - Candidate tasks
+ * @param {Object} context - { graph, complexityReport, config, focusFlows, focusKeywords } config is the project config; focus lists default to nextTask.focusFlows/focusKeywords
+ * @returns {Array} [{ task, score, breakdown: { factor: { value, points } } }], best first (lower ID wins ties)
+ */
+export function scoreTasks(tasks, { graph, complexityReport, config, focusFlows, focusKeywords }) {
+  const { weights } = config.nextTask;
+  const flows = focusFlows ?? config.nextTask.focusFlows;
+  const keywords = focusKeywords ?? config.nextTask.focusKeywords;
+
+  const complexityScores = new Map(
+    (complexityReport?.complexityAnalysis || [])
+      .filter(analysis => typeof analysis.complexityScore === 'number')
+      .map(analysis => [analysis.taskId, analysis.complexityScore])
+  );
+  const countDependents = createDependentCounter(graph);
+  const dependentCounts = new Map(tasks.map(task => [task, countDependents(String(task.id))]));
+  const mostDependents = Math.max(0, ...dependentCounts.values());
+  const ages = rateAges(tasks);
+
+  return tasks
+    .map(task => {
+      const values = {
+        inProgress: task.status === 'in-progress' ? 1 : 0,
+        priority: PRIORITY_VALUES[task.priority] ?? PRIORITY_VALUES.medium,
+        dependents: mostDependents > 0 ? dependentCounts.get(task) / mostDependents : 0,
+        complexity: complexityScores.has(task.id) ?
+          Math.min(complexityScores.get(task.id), 10) / 10 :
+          UNSCORED_COMPLEXITY,
+        age: ages.get(task),
+        flowFocus: fuzzyMatchFlows(flows, task.flowNames, config.fuzzy.flowSimilarity),
+        keywordFocus: fuzzyMatchKeywords(keywords, task.keywords, config.fuzzy.keywordSimilarity)
+      };
+
+      const breakdown = Object.fromEntries(SCORING_FACTORS.map(factor => [factor, {
+        value: roundScore(values[factor]),
+        points: roundScore(values[factor] * weights[factor])
+      }]));
+      breakdown.dependents.count = dependentCounts.get(task);
+
+      const score = roundScore(SCORING_FACTORS.reduce((sum, factor) => sum + values[factor] * weights[factor], 0));
+
+      return { task, score, breakdown };
+    })
+    .sort((a, b) => b.score - a.score || a.task.id - b.task.id);
+}
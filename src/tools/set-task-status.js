@@ -3,12 +3,20 @@ import logger from '../logger.js';
 import { 
   createContentResponse, 
   createErrorResponse,
-  readJSON,
-  writeJSON,
-  findTaskById,
-  isValidTaskStatus,
-  getTasksFilePath
+  isValidTaskStatus
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { getConfig } from './config-utils.js';
+import { buildDependencyGraph, compareTaskKeys } from './dependency-utils.js';
+import {
+  checkStatusChange,
+  checkTransition,
+  findWaitingItems,
+  getOpenDependencies,
+  getOpenSubtasks,
+  getParentRollUpStatus,
+  isClosedStatus
+} from './workflow-utils.js';
 
 /**
  * Register the set-task-status tool
@@ -17,45 +25,68 @@ import {
 export function registerSetTaskStatusTool(server) {
   server.addTool({
     name: 'set_task_status',
-    description: 'Set the status of one or more tasks/subtasks. Supports comma-separated task IDs.',
+    description: 'Set the status of one or more tasks/subtasks. Supports comma-separated task IDs. Changes that break the project\'s workflow rules (allowed transitions, dependencies or subtasks that must be done first; see get_config) are rejected with the reason unless force is set. Depending on workflow.rollUp, a parent moves to in-progress when a subtask starts and to done when all its subtasks are done, and a parent set to done or cancelled can cascade to its open subtasks; every cascaded change is listed in the response. The response also lists the tasks and subtasks whose dependencies are all done as a result of the change.',
     parameters: z.object({
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       taskIds: z
         .string()
         .describe('Task ID(s) to update. Can be comma-separated for multiple tasks (e.g., \"1,2,3\" or \"1,2.1,3\")'),
       status: z
         .string()
-        .describe('New status: pending, in-progress, done, completed, blocked, deferred, or cancelled')
+        .describe('New status: pending, in-progress, done, completed, blocked, deferred, cancelled, or another status listed in workflow.statuses (see get_config)'),
+      force: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('Apply the change even when workflow rules reject it. The overridden rules are recorded in the operation history'),
+      cascade: z
+        .boolean()
+        .optional()
+        .describe('When a task is set to done or cancelled, give its open subtasks the same status. Defaults to workflow.rollUp.cascadeToSubtasks'),
+      warnOpenDependencies: z
+        .boolean()
+        .optional()
+        .default(true)
+        .describe('Warn when a task or subtask is started (in-progress) while some of its dependencies are not done yet')
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, taskIds, status } = args;
+        const { projectRoot, tag, taskIds, status, force, warnOpenDependencies } = args;
         
         logger.info(`Setting status of tasks ${taskIds} to ${status}`);
         
         // Validate status
-        if (!isValidTaskStatus(status)) {
-          return createErrorResponse(`Invalid status: ${status}. Valid statuses are: pending, in-progress, done, completed, blocked, deferred, cancelled`);
+        const { workflow } = getConfig(projectRoot);
+        if (!isValidTaskStatus(status, workflow.statuses)) {
+          return createErrorResponse(`Invalid status: ${status}. Valid statuses are: ${workflow.statuses.join(', ')}`);
         }
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        const data = readJSON(tasksPath);
-        
-        if (!data || !data.tasks) {
-          return createErrorResponse(`No tasks found in ${tasksPath}. Run init first to create the project structure.`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag);
+        const { data } = repository;
+        const graph = buildDependencyGraph(data.tasks);
+        const cascade = args.cascade ?? workflow.rollUp.cascadeToSubtasks;
+        const waitingBefore = findWaitingItems(graph);
         
         // Parse task IDs
         const taskIdList = taskIds.split(',').map(id => id.trim());
         const updatedTasks = [];
+        const rejected = [];
+        const overrides = [];
+        const cascadedChanges = [];
+        const skippedRollUps = [];
+        const warnings = [];
         const errors = [];
         
         // Update each task
         for (const taskId of taskIdList) {
           try {
-            const result = findTaskById(data.tasks, taskId);
+            const result = repository.find(taskId);
             
             if (!result) {
               errors.push(`Task ${taskId} not found`);
@@ -63,6 +94,33 @@ export function registerSetTaskStatusTool(server) {
             }
             
             const oldStatus = result.task.status;
+            const cascadedSubtasks = cascade && !result.isSubtask && isClosedStatus(status) ?
+              getOpenSubtasks(result.task) :
+              [];
+            const reasons = checkStatusChange(workflow, result, status, graph, { closingSubtasks: cascadedSubtasks.length > 0 });
+            cascadedSubtasks.forEach(subtask => {
+              const reason = checkTransition(workflow, subtask.status, status);
+              if (reason) {
+                reasons.push(`subtask ${result.task.id}.${subtask.id} ${reason}`);
+              }
+            });
+            
+            if (reasons.length > 0 && !force) {
+              rejected.push({ id: taskId, status: oldStatus, reasons });
+              continue;
+            }
+            if (reasons.length > 0) {
+              overrides.push({ id: taskId, oldStatus, newStatus: status, reasons });
+              logger.warn(`Workflow rules overridden for task ${taskId}: ${reasons.join('; ')}`);
+            }
+            
+            const openDependencies = warnOpenDependencies && status === 'in-progress' && oldStatus !== status ?
+              getOpenDependencies(graph, result.task) :
+              [];
+            if (openDependencies.length > 0) {
+              warnings.push(`Task ${taskId} was started while dependencies are not done: ${openDependencies.join(', ')}`);
+            }
+            
             result.task.status = status;
             
             updatedTasks.push({
@@ -74,25 +132,87 @@ export function registerSetTaskStatusTool(server) {
             });
             
             logger.info(`Updated task ${taskId} status from ${oldStatus} to ${status}`);
+            
+            // Cascade a closed parent down to its open subtasks
+            cascadedSubtasks.forEach(subtask => {
+              cascadedChanges.push({
+                id: `${result.task.id}.${subtask.id}`,
+                title: subtask.title,
+                oldStatus: subtask.status,
+                newStatus: status,
+                reason: `parent task ${taskId} set to ${status}`
+              });
+              subtask.status = status;
+            });
+            
+            // Roll the subtask's change up to its parent
+            const parentStatus = result.isSubtask ? getParentRollUpStatus(workflow, result.parent) : null;
+            if (parentStatus) {
+              const parentId = String(result.parent.id);
+              const parentReasons = checkStatusChange(workflow, { task: result.parent, parent: null, isSubtask: false }, parentStatus, graph);
+              if (parentReasons.length > 0) {
+                skippedRollUps.push({ id: parentId, status: parentStatus, reasons: parentReasons });
+              } else {
+                cascadedChanges.push({
+                  id: parentId,
+                  title: result.parent.title,
+                  oldStatus: result.parent.status,
+                  newStatus: parentStatus,
+                  reason: parentStatus === 'done' ? 'all subtasks are done' : `subtask ${taskId} started`
+                });
+                result.parent.status = parentStatus;
+              }
+            }
           } catch (error) {
             errors.push(`Error updating task ${taskId}: ${error.message}`);
           }
         }
         
+        // Items that were waiting on dependencies and no longer are
+        const unblocked = waitingBefore
+          .filter(key => {
+            const { task } = graph.nodes.get(key);
+            return !isClosedStatus(task.status) && getOpenDependencies(graph, task).length === 0;
+          })
+          .sort(compareTaskKeys)
+          .map(key => {
+            const { task } = graph.nodes.get(key);
+            return { id: key, title: task.title, status: task.status };
+          });
+        
         // Save updated data
         if (updatedTasks.length > 0) {
-          if (!writeJSON(tasksPath, data)) {
-            return createErrorResponse('Failed to save updated tasks');
-          }
+          repository.save({ tool: 'set_task_status', args, overrides: overrides.length > 0 ? overrides : undefined });
         }
         
         const result = {
           success: true,
           updatedTasks,
+          rejected: rejected.length > 0 ? rejected : undefined,
+          cascadedChanges: cascadedChanges.length > 0 ? cascadedChanges : undefined,
+          skippedRollUps: skippedRollUps.length > 0 ? skippedRollUps : undefined,
+          unblocked,
+          warnings: warnings.length > 0 ? warnings : undefined,
+          overriddenRules: overrides.length > 0 ? overrides : undefined,
           errors: errors.length > 0 ? errors : undefined,
           summary: `Updated ${updatedTasks.length} task(s) to status: ${status}`
         };
         
+        if (cascadedChanges.length > 0) {
+          result.summary += '. Also changed: ' +
+            cascadedChanges.map(change => `${change.id} ${change.oldStatus} -> ${change.newStatus}`).join(', ');
+        }
+        if (unblocked.length > 0) {
+          result.summary += `. Now unblocked: ${unblocked.map(item => item.id).join(', ')}`;
+        }
+        if (warnings.length > 0) {
+          result.summary += `. ${warnings.join('. ')}`;
+        }
+        if (rejected.length > 0) {
+          result.summary += `. ${rejected.length} change(s) rejected by the workflow: ` +
+            rejected.map(item => `${item.id} ${item.reasons.join('; ')}`).join(' | ');
+          result.nextSteps = ['Finish the prerequisites first, or pass force true to override the workflow (recorded in history)'];
+        }
         if (errors.length > 0) {
           result.summary += `. ${errors.length} error(s) occurred.`;
         }
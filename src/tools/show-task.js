@@ -3,12 +3,10 @@ import logger from '../logger.js';
 import { 
   createContentResponse, 
   createErrorResponse,
-  readJSON,
-  findTaskById,
   getStatusDisplay,
-  formatDependencies,
-  getTasksFilePath
+  formatDependencies
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
 
 /**
  * Register the show-task tool
@@ -22,6 +20,10 @@ export function registerShowTaskTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       taskId: z
         .string()
         .describe('Task ID to show (e.g., \"5\" for task or \"5.2\" for subtask)'),
@@ -32,24 +34,14 @@ export function registerShowTaskTool(server) {
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, taskId, statusFilter } = args;
+        const { projectRoot, tag, taskId, statusFilter } = args;
         
         logger.info(`Showing details for task ${taskId}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        const data = readJSON(tasksPath);
-        
-        if (!data || !data.tasks) {
-          return createErrorResponse(`No tasks found in ${tasksPath}. Run init first to create the project structure.`);
-        }
-        
-        const result = findTaskById(data.tasks, taskId);
-        
-        if (!result) {
-          return createErrorResponse(`Task ${taskId} not found`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag, { readOnly: true });
+        const { data } = repository;
         
-        const { task, parent, isSubtask } = result;
+        const { task, parent, isSubtask } = repository.get(taskId);
         
         // Build detailed task information
         const taskDetails = {
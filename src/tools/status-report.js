@@ -8,6 +8,7 @@ function generateBasicStatusCSV(reportRows) {
     'Task ID',
     'Title',
     'Status', 
+    'Assignee',
     'Complexity',
     'Dependencies',
     'Subtasks',
@@ -24,6 +25,7 @@ function generateBasicStatusCSV(reportRows) {
       row.taskId,
       `"${row.title.replace(/"/g, '""')}"`, // Escape quotes in title
       row.status,
+      `"${(row.assignee || '-').replace(/"/g, '""')}"`,
       row.complexity,
       row.dependencies.length > 0 ? `"[${row.dependencies.join(', ')}]"` : '[]',
       row.numSubtasks,
@@ -57,7 +59,10 @@ function generateDetailedStatusCSV(detailedReport) {
     'All Deps Done',
     'All Relevant Done',
     'Priority',
-    'Subtasks Count'
+    'Subtasks Count',
+    'Due Date',
+    'Milestone',
+    'Overdue'
   ];
   
   const csvRows = [headers.join(',')];
@@ -76,7 +81,10 @@ function generateDetailedStatusCSV(detailedReport) {
       task.allDepsCompleted ? 'Yes' : 'No',
       task.allRelevantCompleted ? 'Yes' : 'No',
       task.priority || 'medium',
-      task.subtasks.length
+      task.subtasks.length,
+      task.dueDate || '',
+      task.milestone ? `"${task.milestone.replace(/"/g, '""')}"` : '',
+      task.overdue ? 'Yes' : 'No'
     ];
     csvRows.push(csvRow.join(','));
     
@@ -95,7 +103,10 @@ function generateDetailedStatusCSV(detailedReport) {
         subtask.allDepsCompleted ? 'Yes' : 'No',
         'Yes',
         'N/A',
-        '0'
+        '0',
+        subtask.dueDate || '',
+        task.milestone ? `"${task.milestone.replace(/"/g, '""')}"` : '',
+        subtask.overdue ? 'Yes' : 'No'
       ];
       csvRows.push(subtaskRow.join(','));
     });
@@ -105,15 +116,18 @@ function generateDetailedStatusCSV(detailedReport) {
 }
 
 import { z } from 'zod';
-import fs from 'fs';
-import path from 'path';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
   createErrorResponse,
-  getTasksFilePath,
-  readJSON
+  loadComplexityReport
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { getEffectiveAssignee, hasWorkFor, isAssignedTo } from './assignee-utils.js';
+import { countByStatus, isClosedStatus } from './workflow-utils.js';
+import { getConfig } from './config-utils.js';
+import { getDependencyKey, isCompletedStatus, isSameDependency } from './dependency-utils.js';
+import { getDueDate, getToday } from './due-date-utils.js';
 
 /**
  * Check if all dependencies are completed
@@ -126,17 +140,17 @@ function areAllDependenciesCompleted(dependencies, allTasks) {
   
   return dependencies.every(depId => {
     // Handle subtask dependencies (format: "parentId.subtaskId")
-    if (typeof depId === 'string' && depId.includes('.')) {
-      const [parentId, subtaskId] = depId.split('.');
-      const parentTask = allTasks.find(t => t.id === parseInt(parentId));
+    const [parentId, subtaskId] = getDependencyKey(depId).split('.');
+    if (subtaskId !== undefined) {
+      const parentTask = allTasks.find(t => isSameDependency(t.id, parentId));
       if (!parentTask || !parentTask.subtasks) return false;
-      const subtask = parentTask.subtasks.find(st => st.id === parseInt(subtaskId));
-      return subtask && (subtask.status === 'completed' || subtask.status === 'done');
+      const subtask = parentTask.subtasks.find(st => isSameDependency(st.id, subtaskId));
+      return Boolean(subtask) && isCompletedStatus(subtask.status);
     }
     
-    // Handle regular task dependencies
-    const depTask = allTasks.find(t => t.id === depId);
-    return depTask && (depTask.status === 'completed' || depTask.status === 'done');
+    // Handle regular task dependencies, stored as numbers or numeric strings
+    const depTask = allTasks.find(t => isSameDependency(t.id, depId));
+    return Boolean(depTask) && isCompletedStatus(depTask.status);
   });
 }
 
@@ -159,14 +173,12 @@ function areAllRelevantTasksCompleted(relevantTasks, allTasks) {
  * Get complexity from complexity report
  * @param {number} taskId - Task ID
  * @param {string} projectRoot - Project root directory
+ * @param {string} [tag] - Tag name, defaults to the current tag
  * @returns {string} Complexity level or 'N/A'
  */
-function getTaskComplexity(taskId, projectRoot) {
+function getTaskComplexity(taskId, projectRoot, tag) {
   try {
-    const complexityReportPath = path.join(projectRoot, '.taskmaster', 'complexity-report.json');
-    if (!fs.existsSync(complexityReportPath)) return 'N/A';
-    
-    const complexityReport = JSON.parse(fs.readFileSync(complexityReportPath, 'utf8'));
+    const complexityReport = loadComplexityReport(projectRoot, tag);
     const analysis = complexityReport?.complexityAnalysis?.find(a => a.taskId === taskId);
     return analysis?.complexity || 'N/A';
   } catch (error) {
@@ -186,6 +198,10 @@ export function registerStatusReportTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       statusFilter: z
         .string()
         .optional()
@@ -194,24 +210,19 @@ export function registerStatusReportTool(server) {
         .boolean()
         .optional()
         .default(false)
-        .describe('Include subtasks in the report (default: false)')
+        .describe('Include subtasks in the report (default: false)'),
+      assignee: z
+        .string()
+        .optional()
+        .describe('Only report work assigned to this person (tasks assigned to them or with subtasks assigned to them). Use "unassigned" for work nobody is assigned to')
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, statusFilter, includeSubtasks } = args;
+        const { projectRoot, tag, statusFilter, includeSubtasks, assignee } = args;
         
         logger.info(`Generating status report for project in ${projectRoot}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        
-        if (!fs.existsSync(tasksPath)) {
-          return createErrorResponse(`Tasks file not found: ${tasksPath}. Run init first to create the project structure.`);
-        }
-        
-        const data = readJSON(tasksPath);
-        if (!data || !data.tasks) {
-          return createErrorResponse(`Invalid tasks data in ${tasksPath}`);
-        }
+        const { data } = loadTaskRepository(projectRoot, tag, { readOnly: true });
         
         // Filter tasks by status if specified
         let tasks = data.tasks;
@@ -219,11 +230,16 @@ export function registerStatusReportTool(server) {
           tasks = tasks.filter(task => task.status === statusFilter);
         }
         
+        // Filter tasks by assignee if specified
+        if (assignee) {
+          tasks = tasks.filter(task => hasWorkFor(task, assignee));
+        }
+        
         const reportRows = [];
         
         // Process main tasks
         tasks.forEach(task => {
-          const complexity = getTaskComplexity(task.id, projectRoot);
+          const complexity = getTaskComplexity(task.id, projectRoot, tag);
           const numSubtasks = task.subtasks ? task.subtasks.length : 0;
           const numDependencies = task.dependencies ? task.dependencies.length : 0;
           const allDepsCompleted = areAllDependenciesCompleted(task.dependencies, data.tasks);
@@ -234,6 +250,7 @@ export function registerStatusReportTool(server) {
             taskId: task.id,
             title: task.title,
             status: task.status,
+            assignee: getEffectiveAssignee(task),
             complexity: complexity,
             dependencies: task.dependencies || [],
             numSubtasks: numSubtasks,
@@ -247,7 +264,8 @@ export function registerStatusReportTool(server) {
           // Add subtasks if requested
           if (includeSubtasks && task.subtasks && task.subtasks.length > 0) {
             task.subtasks.forEach(subtask => {
-              if (!statusFilter || statusFilter === 'all' || subtask.status === statusFilter) {
+              if ((!statusFilter || statusFilter === 'all' || subtask.status === statusFilter) &&
+                  (!assignee || isAssignedTo(subtask, task, assignee))) {
                 const subtaskNumDeps = subtask.dependencies ? subtask.dependencies.length : 0;
                 const subtaskAllDepsCompleted = areAllDependenciesCompleted(subtask.dependencies, data.tasks);
                 
@@ -255,6 +273,7 @@ export function registerStatusReportTool(server) {
                   taskId: `${task.id}.${subtask.id}`,
                   title: `  └─ ${subtask.title}`,
                   status: subtask.status,
+                  assignee: getEffectiveAssignee(subtask, task),
                   complexity: 'N/A',
                   dependencies: subtask.dependencies || [],
                   numSubtasks: 0,
@@ -291,6 +310,10 @@ export function registerStatusReportTool(server) {
             completedTasks,
             inProgressTasks,
             pendingTasks,
+            statusBreakdown: countByStatus(
+              getConfig(projectRoot).workflow.statuses,
+              reportRows.filter(row => row.type === 'task')
+            ),
             completionPercentage: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0
           },
           // CSV format for efficient LLM processing
@@ -301,7 +324,8 @@ export function registerStatusReportTool(server) {
           generatedAt: new Date().toISOString(),
           filters: {
             statusFilter: statusFilter || 'all',
-            includeSubtasks
+            includeSubtasks,
+            assignee
           }
         };
         
@@ -323,11 +347,15 @@ export function registerStatusReportTool(server) {
 export function registerFullStatusReportTool(server) {
   server.addTool({
     name: 'get_full_status_report',
-    description: 'Generate a comprehensive detailed status report with full task information including descriptions, flows, keywords, and relevant tasks. Returns pre-formatted CSV data that should be displayed as a BARE MINIMUM simple text table to the user (NO HTML/graphs/charts). Use this when user asks for detailed report or more details.',
+    description: 'Generate a comprehensive detailed status report with full task information including descriptions, flows, keywords, relevant tasks, due dates and milestones. Returns pre-formatted CSV data that should be displayed as a BARE MINIMUM simple text table to the user (NO HTML/graphs/charts). Use this when user asks for detailed report or more details.',
     parameters: z.object({
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       statusFilter: z
         .string()
         .optional()
@@ -340,20 +368,11 @@ export function registerFullStatusReportTool(server) {
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, statusFilter, includeSubtasks } = args;
+        const { projectRoot, tag, statusFilter, includeSubtasks } = args;
         
         logger.info(`Generating full status report for project in ${projectRoot}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        
-        if (!fs.existsSync(tasksPath)) {
-          return createErrorResponse(`Tasks file not found: ${tasksPath}. Run init first to create the project structure.`);
-        }
-        
-        const data = readJSON(tasksPath);
-        if (!data || !data.tasks) {
-          return createErrorResponse(`Invalid tasks data in ${tasksPath}`);
-        }
+        const { data } = loadTaskRepository(projectRoot, tag, { readOnly: true });
         
         // Filter tasks by status if specified
         let tasks = data.tasks;
@@ -362,10 +381,19 @@ export function registerFullStatusReportTool(server) {
         }
         
         const detailedReport = [];
+        const today = getToday();
+        // Effective due date (own, parent's or milestone's) and whether an open item is past it
+        const describeDue = (item, parent) => {
+          const due = getDueDate(item, parent, data.milestones);
+          return {
+            dueDate: due ? due.dueDate : null,
+            overdue: Boolean(due) && due.dueDate < today && !isClosedStatus(item.status)
+          };
+        };
         
         // Process main tasks with full details
         tasks.forEach(task => {
-          const complexity = getTaskComplexity(task.id, projectRoot);
+          const complexity = getTaskComplexity(task.id, projectRoot, tag);
           const allDepsCompleted = areAllDependenciesCompleted(task.dependencies, data.tasks);
           const allRelevantCompleted = areAllRelevantTasksCompleted(task.relevantTasks, data.tasks);
           
@@ -383,6 +411,8 @@ export function registerFullStatusReportTool(server) {
             allRelevantCompleted: allRelevantCompleted,
             details: task.details || '',
             priority: task.priority || 'medium',
+            ...describeDue(task, null),
+            milestone: task.milestone || null,
             createdAt: task.createdAt,
             updatedAt: task.updatedAt,
             type: 'task',
@@ -403,6 +433,7 @@ export function registerFullStatusReportTool(server) {
                   dependencies: subtask.dependencies || [],
                   allDepsCompleted: subtaskAllDepsCompleted,
                   details: subtask.details || '',
+                  ...describeDue(subtask, task),
                   createdAt: subtask.createdAt,
                   updatedAt: subtask.updatedAt
                 });
@@ -417,15 +448,7 @@ export function registerFullStatusReportTool(server) {
         const totalTasks = detailedReport.length;
         const totalSubtasks = detailedReport.reduce((sum, task) => sum + task.subtasks.length, 0);
         
-        const statusCounts = {
-          pending: 0,
-          'in-progress': 0,
-          done: 0,
-          completed: 0,
-          blocked: 0,
-          deferred: 0,
-          cancelled: 0
-        };
+        const statusCounts = countByStatus(getConfig(projectRoot).workflow.statuses, detailedReport);
         
         const complexityCounts = {
           low: 0,
@@ -436,9 +459,6 @@ export function registerFullStatusReportTool(server) {
         };
         
         detailedReport.forEach(task => {
-          if (statusCounts.hasOwnProperty(task.status)) {
-            statusCounts[task.status]++;
-          }
           if (complexityCounts.hasOwnProperty(task.complexity)) {
             complexityCounts[task.complexity]++;
           }
@@ -457,7 +477,7 @@ export function registerFullStatusReportTool(server) {
             statusBreakdown: statusCounts,
             complexityBreakdown: complexityCounts,
             completionPercentage: totalTasks > 0 ? 
-              Math.round(((statusCounts.completed + statusCounts.done) / totalTasks) * 100) : 0,
+              Math.round((detailedReport.filter(task => isCompletedStatus(task.status)).length / totalTasks) * 100) : 0,
             totalFlows: allFlows.length,
             totalKeywords: allKeywords.length
           },
@@ -465,7 +485,9 @@ export function registerFullStatusReportTool(server) {
             allFlows,
             allKeywords,
             tasksWithBlockedDependencies: detailedReport.filter(task => !task.allDepsCompleted).length,
-            tasksWithIncompleteRelevant: detailedReport.filter(task => !task.allRelevantCompleted).length
+            tasksWithIncompleteRelevant: detailedReport.filter(task => !task.allRelevantCompleted).length,
+            overdueItems: detailedReport.reduce((sum, task) =>
+              sum + (task.overdue ? 1 : 0) + task.subtasks.filter(subtask => subtask.overdue).length, 0)
           },
           // CSV format for efficient LLM processing
           csvData: generateDetailedStatusCSV(detailedReport),
@@ -0,0 +1,408 @@
+/**
+ * Task Storage Utilities
+ * Storage backends for task lists. Tools load and save tasks through this
+ * module rather than reading tasks.json themselves. The backend is chosen by
+ * `storage.backend` in .taskmaster/config.json: "json" (default, one
+ * tasks.json per tag) or "sqlite" (all tags in .taskmaster/tasks.db).
+ * Generated task files and complexity reports stay on disk for both.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import logger from '../logger.js';
+import {
+  readJSON,
+  writeJSON,
+  DEFAULT_TAG,
+  getConfigPath,
+  getProjectConfig,
+  resolveTag,
+  getTasksFilePath,
+  ensureDirectoryExists
+} from './utils.js';
+import { migrateTasksData } from './schema-utils.js';
+import { getCached, getFileVersion, invalidateCache } from './cache-utils.js';
+
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+export const DEFAULT_STORAGE_BACKEND = 'json';
+
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS task_lists (
+    tag TEXT PRIMARY KEY,
+    revision INTEGER NOT NULL DEFAULT 0,
+    document TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS tasks (
+    tag TEXT NOT NULL REFERENCES task_lists(tag) ON DELETE CASCADE ON UPDATE CASCADE,
+    position INTEGER NOT NULL,
+    id INTEGER,
+    data TEXT NOT NULL,
+    PRIMARY KEY (tag, position)
+  );
+  CREATE INDEX IF NOT EXISTS tasks_by_id ON tasks (tag, id);
+`;
+
+const SQLITE_BUSY_TIMEOUT_MS = 10000;
+
+let SqliteDatabase = null;
+const sqliteConnections = new Map();
+
+/**
+ * Get the storage backend configured for a project
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} Backend name ("json" or "sqlite")
+ */
+export function getStorageBackendName(projectRoot) {
+  const config = getProjectConfig(projectRoot);
+  const backend = config && config.storage ? config.storage.backend : undefined;
+  return STORAGE_BACKENDS.includes(backend) ? backend : DEFAULT_STORAGE_BACKEND;
+}
+
+/**
+ * Select the storage backend in .taskmaster/config.json
+ * @param {string} projectRoot - Project root directory
+ * @param {string} backend - Backend name
+ * @returns {boolean} Success status
+ */
+export function setStorageBackendName(projectRoot, backend) {
+  const configPath = getConfigPath(projectRoot);
+  const config = readJSON(configPath) || {};
+  config.storage = { ...config.storage, backend };
+  return writeJSON(configPath, config);
+}
+
+/**
+ * Get the SQLite database path
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} Database file path
+ */
+export function getSqlitePath(projectRoot) {
+  return path.join(projectRoot, '.taskmaster', 'tasks.db');
+}
+
+/**
+ * Create the error thrown when stored data has moved on since it was read
+ * @param {string} location - Human-readable storage location
+ * @param {number} currentRevision - Stored revision
+ * @param {number} expectedRevision - Revision the caller read
+ * @returns {Error} Error with code REVISION_CONFLICT
+ */
+function createRevisionConflict(location, currentRevision, expectedRevision) {
+  const conflict = new Error(`${location} was modified by another process (revision ${currentRevision}, expected ${expectedRevision}). Re-run the operation to apply it to the latest data`);
+  conflict.code = 'REVISION_CONFLICT';
+  return conflict;
+}
+
+/**
+ * Storage backed by one tasks.json file per tag
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object} Task storage
+ */
+function createJsonStorage(projectRoot) {
+  return {
+    name: 'json',
+
+    location(tag) {
+      return getTasksFilePath(projectRoot, tag);
+    },
+
+    exists(tag) {
+      return fs.existsSync(getTasksFilePath(projectRoot, tag));
+    },
+
+    version(tag) {
+      return getFileVersion(getTasksFilePath(projectRoot, tag));
+    },
+
+    read(tag) {
+      const filePath = getTasksFilePath(projectRoot, tag);
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+      }
+    },
+
+    write(tag, data) {
+      return writeJSON(getTasksFilePath(projectRoot, tag), data, { checkRevision: true });
+    },
+
+    remove(tag) {
+      fs.rmSync(getTasksFilePath(projectRoot, tag), { force: true });
+      invalidateCache(projectRoot);
+    },
+
+    rename(oldTag, newTag) {
+      const target = getTasksFilePath(projectRoot, newTag);
+      ensureDirectoryExists(path.dirname(target));
+      fs.renameSync(getTasksFilePath(projectRoot, oldTag), target);
+      invalidateCache(projectRoot);
+    },
+
+    listTags() {
+      const tagsDir = path.join(projectRoot, '.taskmaster', 'tasks', 'tags');
+      return fs.existsSync(tagsDir) ?
+        fs.readdirSync(tagsDir, { withFileTypes: true })
+          .filter(entry => entry.isDirectory() && fs.existsSync(path.join(tagsDir, entry.name, 'tasks.json')))
+          .map(entry => entry.name) :
+        [];
+    }
+  };
+}
+
+/**
+ * Open (once per process) the SQLite database for a project
+ * @param {string} dbPath - Database file path
+ * @returns {Object} better-sqlite3 database
+ */
+function openSqliteDatabase(dbPath) {
+  if (sqliteConnections.has(dbPath)) {
+    return sqliteConnections.get(dbPath);
+  }
+
+  if (!SqliteDatabase) {
+    try {
+      SqliteDatabase = createRequire(import.meta.url)('better-sqlite3');
+    } catch (error) {
+      throw new Error(`SQLite storage needs the better-sqlite3 package. Install it with npm install better-sqlite3 (${error.message})`);
+    }
+  }
+
+  ensureDirectoryExists(path.dirname(dbPath));
+  const db = new SqliteDatabase(dbPath, { timeout: SQLITE_BUSY_TIMEOUT_MS });
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SQLITE_SCHEMA);
+
+  sqliteConnections.set(dbPath, db);
+  return db;
+}
+
+/**
+ * Storage backed by a local SQLite database: one task_lists row per tag
+ * (revision plus every top-level field except tasks) and one tasks row per task
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object} Task storage
+ */
+function createSqliteStorage(projectRoot) {
+  const dbPath = getSqlitePath(projectRoot);
+  const db = openSqliteDatabase(dbPath);
+
+  const location = tag => `${dbPath}#${resolveTag(projectRoot, tag)}`;
+
+  const writeTransaction = db.transaction((tag, data) => {
+    const row = db.prepare('SELECT revision FROM task_lists WHERE tag = ?').get(tag);
+    const currentRevision = row ? row.revision : 0;
+    const expectedRevision = typeof data.revision === 'number' ? data.revision : 0;
+
+    if (currentRevision !== expectedRevision) {
+      throw createRevisionConflict(location(tag), currentRevision, expectedRevision);
+    }
+
+    const { tasks, revision, ...document } = data;
+    db.prepare(`
+      INSERT INTO task_lists (tag, revision, document) VALUES (?, ?, ?)
+      ON CONFLICT(tag) DO UPDATE SET revision = excluded.revision, document = excluded.document
+    `).run(tag, currentRevision + 1, JSON.stringify(document));
+
+    db.prepare('DELETE FROM tasks WHERE tag = ?').run(tag);
+    const insertTask = db.prepare('INSERT INTO tasks (tag, position, id, data) VALUES (?, ?, ?, ?)');
+    (Array.isArray(tasks) ? tasks : []).forEach((task, position) => {
+      insertTask.run(tag, position, Number.isInteger(task?.id) ? task.id : null, JSON.stringify(task));
+    });
+
+    return currentRevision + 1;
+  });
+
+  return {
+    name: 'sqlite',
+
+    location,
+
+    exists(tag) {
+      return Boolean(db.prepare('SELECT 1 FROM task_lists WHERE tag = ?').get(resolveTag(projectRoot, tag)));
+    },
+
+    version() {
+      // Changes whenever another connection commits; writes through this
+      // connection invalidate the cache themselves
+      return db.pragma('data_version', { simple: true });
+    },
+
+    read(tag) {
+      const resolved = resolveTag(projectRoot, tag);
+      const row = db.prepare('SELECT revision, document FROM task_lists WHERE tag = ?').get(resolved);
+      if (!row) {
+        return null;
+      }
+
+      const tasks = db.prepare('SELECT data FROM tasks WHERE tag = ? ORDER BY position')
+        .all(resolved)
+        .map(taskRow => JSON.parse(taskRow.data));
+
+      return { ...JSON.parse(row.document), revision: row.revision, tasks };
+    },
+
+    write(tag, data) {
+      const resolved = resolveTag(projectRoot, tag);
+      try {
+        // IMMEDIATE takes the write lock up front so the revision check and
+        // the write cannot interleave with another process
+        data.revision = writeTransaction.immediate(resolved, data);
+        invalidateCache(projectRoot);
+        return true;
+      } catch (error) {
+        if (error.code === 'REVISION_CONFLICT') {
+          logger.warn(error.message);
+          throw error;
+        }
+        logger.error(`Error writing tasks for tag ${resolved} to ${dbPath}: ${error.message}`);
+        return false;
+      }
+    },
+
+    remove(tag) {
+      db.prepare('DELETE FROM task_lists WHERE tag = ?').run(resolveTag(projectRoot, tag));
+      invalidateCache(projectRoot);
+    },
+
+    rename(oldTag, newTag) {
+      db.prepare('UPDATE task_lists SET tag = ? WHERE tag = ?')
+        .run(resolveTag(projectRoot, newTag), resolveTag(projectRoot, oldTag));
+      invalidateCache(projectRoot);
+    },
+
+    listTags() {
+      return db.prepare('SELECT tag FROM task_lists').all().map(row => row.tag);
+    }
+  };
+}
+
+/**
+ * Get the task storage for a project.
+ *
+ * Every backend exposes the same interface, with tags defaulting to the
+ * current tag: location(tag), exists(tag), version(tag) (changes whenever the
+ * stored data may have changed), read(tag) (raw document or null;
+ * throws on unreadable data), write(tag, data) (revision-checked like
+ * writeJSON with checkRevision), remove(tag), rename(oldTag, newTag) and listTags().
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [backend] - Backend name, defaults to the configured backend
+ * @returns {Object} Task storage
+ */
+export function getTaskStorage(projectRoot, backend = getStorageBackendName(projectRoot)) {
+  if (backend === 'sqlite') {
+    return createSqliteStorage(projectRoot);
+  }
+  if (backend === 'json') {
+    return createJsonStorage(projectRoot);
+  }
+  throw new Error(`Unknown storage backend "${backend}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+}
+
+/**
+ * Check whether a tag has stored tasks
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [tag] - Tag name, defaults to the current tag
+ * @returns {boolean} Whether the task list exists
+ */
+export function tasksExist(projectRoot, tag) {
+  return getTaskStorage(projectRoot).exists(tag);
+}
+
+/**
+ * Describe where a tag's tasks are stored, for messages and instructions
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [tag] - Tag name, defaults to the current tag
+ * @returns {string} tasks.json path, or "<db path>#<tag>" for SQLite
+ */
+export function getTasksLocation(projectRoot, tag) {
+  return getTaskStorage(projectRoot).location(tag);
+}
+
+/**
+ * Load a tag's tasks and upgrade them to the current schema version.
+ * The upgrade is persisted by the next save. Read-only callers share a
+ * cached (frozen) copy that is checked against the storage's version on every
+ * load; everyone else reads the storage directly, so a change is never based
+ * on data that was edited outside this process.
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [tag] - Tag name, defaults to the current tag
+ * @param {Object} [options] - { readOnly } return the shared, frozen data
+ * @returns {Object|null} Tasks data or null when the tag has no tasks
+ * @throws {Error} When the stored data cannot be parsed
+ */
+export function loadTasks(projectRoot, tag, { readOnly = false } = {}) {
+  const storage = getTaskStorage(projectRoot);
+  const resolvedTag = resolveTag(projectRoot, tag);
+
+  const read = () => {
+    const stored = storage.read(resolvedTag);
+    const { migrated, fromVersion, toVersion } = migrateTasksData(stored);
+
+    if (migrated) {
+      logger.info(`Upgraded ${storage.location(resolvedTag)} from schema version ${fromVersion} to ${toVersion}`);
+    }
+    return stored;
+  };
+
+  if (!readOnly) {
+    return read();
+  }
+  return getCached(projectRoot, `tasks:${storage.name}:${resolvedTag}`, read, () => storage.version(resolvedTag));
+}
+
+/**
+ * Save a tag's tasks without recording a journal entry
+ * (mutating tools use writeJournaledTasks instead)
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [tag] - Tag name, defaults to the current tag
+ * @param {Object} data - Tasks data (its revision is incremented on success)
+ * @returns {boolean} Success status
+ * @throws {Error} With code REVISION_CONFLICT when the tasks were changed by someone else
+ */
+export function saveTasks(projectRoot, tag, data) {
+  return getTaskStorage(projectRoot).write(tag, data);
+}
+
+/**
+ * Copy every tag's tasks from one backend to another
+ * @param {string} projectRoot - Project root directory
+ * @param {string} fromBackend - Source backend name
+ * @param {string} toBackend - Target backend name
+ * @param {Object} [options] - { overwrite } replace tags that already exist in the target
+ * @returns {Object} { copied: [{ tag, taskCount }], skipped: [tag] }
+ */
+export function copyTaskStorage(projectRoot, fromBackend, toBackend, { overwrite = false } = {}) {
+  const source = getTaskStorage(projectRoot, fromBackend);
+  const target = getTaskStorage(projectRoot, toBackend);
+  const copied = [];
+  const skipped = [];
+
+  [DEFAULT_TAG, ...source.listTags().filter(tag => tag !== DEFAULT_TAG).sort()].forEach(tag => {
+    const data = source.read(tag);
+    if (!data) {
+      return;
+    }
+
+    const existing = target.read(tag);
+    if (existing && !overwrite) {
+      skipped.push(tag);
+      return;
+    }
+
+    // Carry on from the target's revision so the write is accepted
+    const { revision, ...document } = data;
+    const copy = { ...document, revision: existing && typeof existing.revision === 'number' ? existing.revision : 0 };
+    if (!target.write(tag, copy)) {
+      throw new Error(`Failed to write tag ${tag} to ${target.location(tag)}`);
+    }
+    copied.push({ tag, taskCount: Array.isArray(data.tasks) ? data.tasks.length : 0 });
+  });
+
+  return { copied, skipped };
+}
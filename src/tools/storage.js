@@ -0,0 +1,292 @@
+import { z } from 'zod';
+import fs from 'fs';
+import path from 'path';
+import logger from '../logger.js';
+import {
+  createContentResponse,
+  createErrorResponse,
+  resolveTag,
+  isValidTagName,
+  ensureDirectoryExists
+} from './utils.js';
+import {
+  STORAGE_BACKENDS,
+  getStorageBackendName,
+  setStorageBackendName,
+  getTaskStorage,
+  copyTaskStorage
+} from './storage-utils.js';
+import { writeJournaledTasks } from './journal-utils.js';
+import { migrateTasksData, validateTasksData } from './schema-utils.js';
+import { listTags } from './tag-utils.js';
+import { getConfig } from './config-utils.js';
+
+/**
+ * Remove the storage revision from a document so it can be written elsewhere
+ * @param {Object} data - Stored tasks data
+ * @returns {Object} Copy without the revision counter
+ */
+function withoutRevision(data) {
+  const { revision, ...document } = data;
+  return document;
+}
+
+/**
+ * Register the set-storage-backend tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerSetStorageBackendTool(server) {
+  server.addTool({
+    name: 'set_storage_backend',
+    description: 'Switch where tasks are stored: "json" (one tasks.json per tag, the default) or "sqlite" (a local .taskmaster/tasks.db, faster and safer with many tasks). By default every tag is copied to the new backend first; the old data is left in place.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      backend: z
+        .enum(STORAGE_BACKENDS)
+        .describe('Storage backend to use'),
+      copyData: z
+        .boolean()
+        .optional()
+        .default(true)
+        .describe('Copy every tag from the current backend to the new one before switching'),
+      overwrite: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('Replace tags that already exist in the new backend when copying')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, backend, copyData, overwrite } = args;
+        const currentBackend = getStorageBackendName(projectRoot);
+
+        logger.info(`Switching storage backend from ${currentBackend} to ${backend}`);
+
+        if (backend === currentBackend) {
+          return createErrorResponse(`The project already uses the ${backend} storage backend`);
+        }
+
+        // Opening the target first surfaces a missing SQLite driver before anything changes
+        const target = getTaskStorage(projectRoot, backend);
+        let copied = [];
+
+        if (copyData) {
+          const conflicts = listTags(projectRoot).filter(tag => target.exists(tag));
+          if (conflicts.length > 0 && !overwrite) {
+            return createErrorResponse(`Tag(s) already stored in the ${backend} backend: ${conflicts.join(', ')}. Pass overwrite true to replace them, or copyData false to switch without copying`);
+          }
+          copied = copyTaskStorage(projectRoot, currentBackend, backend, { overwrite }).copied;
+        }
+
+        if (!setStorageBackendName(projectRoot, backend)) {
+          return createErrorResponse('Failed to save the storage backend to config.json');
+        }
+
+        const result = {
+          success: true,
+          previousBackend: currentBackend,
+          backend,
+          copiedTags: copyData ? copied : undefined,
+          message: copyData ?
+            `Copied ${copied.length} tag(s) from ${currentBackend} to ${backend} and switched to ${backend} storage` :
+            `Switched to ${backend} storage without copying tasks`,
+          nextSteps: [
+            'Check the tasks: list_tasks',
+            `The ${currentBackend} data was left in place; export_tasks and import_tasks move individual tags between backends`
+          ]
+        };
+
+        logger.info(`Switched storage backend to ${backend}`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to switch storage backend: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to switch storage backend: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the export-tasks tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerExportTasksTool(server) {
+  server.addTool({
+    name: 'export_tasks',
+    description: 'Export tasks from the current storage backend to a JSON file. A single tag is exported in tasks.json format; allTags exports a bundle of every tag. Use import_tasks to load the file into any backend.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      allTags: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('Export every tag into one bundle file instead of a single tag'),
+      outputPath: z
+        .string()
+        .optional()
+        .describe('File to write, relative to the project root (default: .taskmaster/exports/<tag or all-tags>-<timestamp>.json)')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag, allTags, outputPath } = args;
+        const storage = getTaskStorage(projectRoot);
+
+        logger.info(`Exporting ${allTags ? 'all tags' : `tag ${tag || 'current'}`} from ${storage.name} storage`);
+
+        let exported;
+        let tags;
+        if (allTags) {
+          const bundle = {};
+          listTags(projectRoot).forEach(name => {
+            const data = storage.read(name);
+            if (data) {
+              bundle[name] = withoutRevision(data);
+            }
+          });
+          tags = Object.keys(bundle);
+          exported = { exportedAt: new Date().toISOString(), backend: storage.name, tags: bundle };
+        } else {
+          const resolvedTag = resolveTag(projectRoot, tag);
+          const data = storage.read(resolvedTag);
+          if (!data) {
+            return createErrorResponse(`No tasks found in ${storage.location(resolvedTag)}`);
+          }
+          tags = [resolvedTag];
+          exported = withoutRevision(data);
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const filePath = path.resolve(
+          projectRoot,
+          outputPath || path.join('.taskmaster', 'exports', `${allTags ? 'all-tags' : tags[0]}-${timestamp}.json`)
+        );
+        ensureDirectoryExists(path.dirname(filePath));
+        fs.writeFileSync(filePath, JSON.stringify(exported, null, 2));
+
+        const result = {
+          success: true,
+          backend: storage.name,
+          tags,
+          outputPath: filePath,
+          message: `Exported ${tags.length} tag(s) from ${storage.name} storage to ${filePath}`,
+          nextSteps: [`Load it into a project: import_tasks with inputPath "${filePath}"`]
+        };
+
+        logger.info(`Exported ${tags.length} tag(s) to ${filePath}`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to export tasks: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to export tasks: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the import-tasks tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerImportTasksTool(server) {
+  server.addTool({
+    name: 'import_tasks',
+    description: 'Import tasks into the current storage backend from a tasks.json file or an export_tasks bundle. The data is migrated and validated first; replacing an existing tag requires overwrite and can be undone.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      inputPath: z
+        .string()
+        .describe('File to import, absolute or relative to the project root'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag to import a single tasks.json into. Defaults to the current tag; ignored for bundles, which keep their tag names'),
+      overwrite: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('Replace tags that already have tasks')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, inputPath, tag, overwrite } = args;
+        const storage = getTaskStorage(projectRoot);
+        const { statuses } = getConfig(projectRoot).workflow;
+        const filePath = path.resolve(projectRoot, inputPath);
+
+        logger.info(`Importing tasks from ${filePath} into ${storage.name} storage`);
+
+        if (!fs.existsSync(filePath)) {
+          return createErrorResponse(`File not found: ${filePath}`);
+        }
+
+        let input;
+        try {
+          input = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+          return createErrorResponse(`Invalid JSON in ${filePath}: ${error.message}`);
+        }
+
+        const isBundle = input && typeof input.tags === 'object' && !Array.isArray(input.tags) && !Array.isArray(input.tasks);
+        const documents = isBundle ? input.tags : { [resolveTag(projectRoot, tag)]: input };
+
+        const errors = [];
+        Object.entries(documents).forEach(([name, data]) => {
+          if (!isValidTagName(name)) {
+            errors.push(`Invalid tag name "${name}"`);
+            return;
+          }
+          if (!data || !Array.isArray(data.tasks)) {
+            errors.push(`${name}: expected an object with a tasks array`);
+            return;
+          }
+          migrateTasksData(data);
+          validateTasksData(data, { statuses }).violations.forEach(violation => {
+            errors.push(`${name}: ${violation.path}: ${violation.message}`);
+          });
+          if (storage.exists(name) && !overwrite) {
+            errors.push(`${name}: tag already has tasks (pass overwrite true to replace them)`);
+          }
+        });
+
+        if (errors.length > 0) {
+          return createErrorResponse(`Nothing was imported:\n${errors.join('\n')}`);
+        }
+
+        const imported = Object.entries(documents).map(([name, data]) => {
+          const existing = storage.read(name);
+          const document = { ...withoutRevision(data), revision: existing ? existing.revision : 0 };
+          if (!writeJournaledTasks(projectRoot, name, document, { tool: 'import_tasks', args: { ...args, tag: name } })) {
+            throw new Error(`Failed to save tag ${name}`);
+          }
+          return { tag: name, taskCount: document.tasks.length, replaced: Boolean(existing) };
+        });
+
+        const result = {
+          success: true,
+          backend: storage.name,
+          imported,
+          message: `Imported ${imported.length} tag(s) into ${storage.name} storage`,
+          nextSteps: ['Check the tasks: list_tasks', 'Revert the import if needed: undo']
+        };
+
+        logger.info(`Imported ${imported.length} tag(s) from ${filePath}`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to import tasks: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to import tasks: ${error.message}`);
+      }
+    }
+  });
+}
@@ -0,0 +1,164 @@
+/**
+ * Tag Utilities
+ * Manages named task lists (tags). Each tag's tasks live in the configured
+ * task storage; its generated task files and complexity report live in
+ * .taskmaster/tasks for master and .taskmaster/tasks/tags/<tag> otherwise.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  readJSON,
+  writeJSON,
+  DEFAULT_TAG,
+  getConfigPath,
+  getCurrentTag,
+  getTagDirectory,
+  getComplexityReportPath,
+  ensureDirectoryExists
+} from './utils.js';
+import { getTaskStorage } from './storage-utils.js';
+import { invalidateCache } from './cache-utils.js';
+import { recordTagRename } from './journal-utils.js';
+import { CURRENT_SCHEMA_VERSION } from './schema-utils.js';
+
+/**
+ * Check whether a tag has a task list
+ * @param {string} projectRoot - Project root directory
+ * @param {string} tag - Tag name
+ * @returns {boolean} Whether the tag exists
+ */
+export function tagExists(projectRoot, tag) {
+  return getTaskStorage(projectRoot).exists(tag);
+}
+
+/**
+ * List every tag in the project
+ * @param {string} projectRoot - Project root directory
+ * @returns {Array} Tag names, master first
+ */
+export function listTags(projectRoot) {
+  const tags = getTaskStorage(projectRoot).listTags()
+    .filter(tag => tag !== DEFAULT_TAG)
+    .sort();
+  return [DEFAULT_TAG, ...tags];
+}
+
+/**
+ * Make a tag the current tag in .taskmaster/config.json
+ * @param {string} projectRoot - Project root directory
+ * @param {string} tag - Tag name
+ * @returns {boolean} Success status
+ */
+export function setCurrentTag(projectRoot, tag) {
+  const configPath = getConfigPath(projectRoot);
+  const config = readJSON(configPath) || {};
+  config.currentTag = tag;
+  return writeJSON(configPath, config);
+}
+
+/**
+ * Create a tag with an empty task list
+ * @param {string} projectRoot - Project root directory
+ * @param {string} tag - Tag name
+ * @param {string} [description] - Tag description
+ * @returns {boolean} Success status
+ */
+export function createTag(projectRoot, tag, description) {
+  const now = new Date().toISOString();
+  return getTaskStorage(projectRoot).write(tag, {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    tasks: [],
+    metadata: {
+      description: description || '',
+      createdAt: now,
+      lastModified: now
+    }
+  });
+}
+
+/**
+ * Copy a tag's task list, generated task files and complexity report to a new tag
+ * @param {string} projectRoot - Project root directory
+ * @param {string} source - Existing tag name
+ * @param {string} target - New tag name
+ * @param {string} [description] - Description for the new tag
+ * @returns {Object} { taskCount, copiedFiles }
+ */
+export function copyTag(projectRoot, source, target, description) {
+  const storage = getTaskStorage(projectRoot);
+  const sourceDir = getTagDirectory(projectRoot, source);
+  const targetDir = getTagDirectory(projectRoot, target);
+  const { revision, ...data } = storage.read(source);
+  const now = new Date().toISOString();
+
+  data.metadata = {
+    ...data.metadata,
+    description: description || `Copy of ${source}`,
+    copiedFrom: source,
+    createdAt: now,
+    lastModified: now
+  };
+
+  if (!storage.write(target, data)) {
+    throw new Error(`Failed to write tasks for tag ${target}`);
+  }
+
+  ensureDirectoryExists(targetDir);
+  const copiedFiles = (fs.existsSync(sourceDir) ? fs.readdirSync(sourceDir) : [])
+    .filter(file => /^task_\d+\.txt$/.test(file))
+    .map(file => {
+      fs.copyFileSync(path.join(sourceDir, file), path.join(targetDir, file));
+      return file;
+    });
+
+  const sourceReport = getComplexityReportPath(projectRoot, source);
+  if (fs.existsSync(sourceReport)) {
+    fs.copyFileSync(sourceReport, getComplexityReportPath(projectRoot, target));
+    copiedFiles.push(path.basename(sourceReport));
+  }
+  invalidateCache(projectRoot);
+
+  return { taskCount: (data.tasks || []).length, copiedFiles };
+}
+
+/**
+ * Rename a tag, keeping the current tag setting and the operation journal in sync
+ * @param {string} projectRoot - Project root directory
+ * @param {string} oldName - Existing tag name (not master)
+ * @param {string} newName - New tag name (not master)
+ */
+export function renameTag(projectRoot, oldName, newName) {
+  getTaskStorage(projectRoot).rename(oldName, newName);
+
+  // Move whatever else is in the tag directory (task files, complexity report)
+  const oldDir = getTagDirectory(projectRoot, oldName);
+  if (fs.existsSync(oldDir)) {
+    const newDir = getTagDirectory(projectRoot, newName);
+    ensureDirectoryExists(newDir);
+    fs.readdirSync(oldDir).forEach(file => fs.renameSync(path.join(oldDir, file), path.join(newDir, file)));
+    fs.rmSync(oldDir, { recursive: true, force: true });
+  }
+  invalidateCache(projectRoot);
+
+  if (getCurrentTag(projectRoot) === oldName) {
+    setCurrentTag(projectRoot, newName);
+  }
+  recordTagRename(projectRoot, oldName, newName);
+}
+
+/**
+ * Delete a tag's tasks and everything in its directory, switching back to master
+ * if it was the current tag
+ * @param {string} projectRoot - Project root directory
+ * @param {string} tag - Tag name (not master)
+ */
+export function deleteTag(projectRoot, tag) {
+  getTaskStorage(projectRoot).remove(tag);
+  fs.rmSync(getTagDirectory(projectRoot, tag), { recursive: true, force: true });
+  invalidateCache(projectRoot);
+
+  if (getCurrentTag(projectRoot) === tag) {
+    setCurrentTag(projectRoot, DEFAULT_TAG);
+  }
+}
@@ -0,0 +1,380 @@
+import { z } from 'zod';
+import logger from '../logger.js';
+import {
+  createContentResponse,
+  createErrorResponse,
+  DEFAULT_TAG,
+  getCurrentTag,
+  isValidTagName
+} from './utils.js';
+import { loadTasks, getTasksLocation } from './storage-utils.js';
+import { isCompletedStatus } from './dependency-utils.js';
+import {
+  tagExists,
+  listTags,
+  setCurrentTag,
+  createTag,
+  copyTag,
+  renameTag,
+  deleteTag
+} from './tag-utils.js';
+
+/**
+ * Check a tag name for a new tag
+ * @param {string} projectRoot - Project root directory
+ * @param {string} name - Proposed tag name
+ * @returns {string|null} Error message or null when the name can be used
+ */
+function checkNewTagName(projectRoot, name) {
+  if (!isValidTagName(name)) {
+    return `Invalid tag name "${name}". Use up to 50 letters, numbers, dots, dashes and underscores, starting with a letter or number`;
+  }
+  if (tagExists(projectRoot, name)) {
+    return `Tag ${name} already exists`;
+  }
+  return null;
+}
+
+/**
+ * Register the list-tags tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerListTagsTool(server) {
+  server.addTool({
+    name: 'list_tags',
+    description: 'List all tags (independent task lists such as master, feature-auth or spike-cache) with their task counts and which tag is current.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot } = args;
+
+        logger.info(`Listing tags in project: ${projectRoot}`);
+
+        const currentTag = getCurrentTag(projectRoot);
+        const tags = listTags(projectRoot).map(name => {
+          const data = loadTasks(projectRoot, name);
+          const tasks = data && Array.isArray(data.tasks) ? data.tasks : [];
+          return {
+            name,
+            current: name === currentTag,
+            exists: data !== null,
+            taskCount: tasks.length,
+            completedTasks: tasks.filter(task => isCompletedStatus(task.status)).length,
+            description: data?.metadata?.description || undefined,
+            createdAt: data?.metadata?.createdAt || undefined
+          };
+        });
+
+        const result = {
+          success: true,
+          currentTag,
+          tags,
+          message: `${tags.length} tag(s), current tag is ${currentTag}`
+        };
+
+        logger.info(`Listed ${tags.length} tag(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to list tags: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to list tags: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the add-tag tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAddTagTool(server) {
+  server.addTool({
+    name: 'add_tag',
+    description: 'Create a new tag with an empty task list, e.g. for a feature branch or a spike. Use copy_tag to start from an existing list instead.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      name: z
+        .string()
+        .describe('Name of the new tag (e.g., "feature-auth")'),
+      description: z
+        .string()
+        .optional()
+        .describe('What the tag\'s task list is for'),
+      switchTo: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('Make the new tag the current tag')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, name, description, switchTo } = args;
+
+        logger.info(`Creating tag ${name}`);
+
+        const nameError = checkNewTagName(projectRoot, name);
+        if (nameError) {
+          return createErrorResponse(nameError);
+        }
+
+        if (!createTag(projectRoot, name, description)) {
+          return createErrorResponse(`Failed to create tag ${name}`);
+        }
+        if (switchTo && !setCurrentTag(projectRoot, name)) {
+          return createErrorResponse(`Created tag ${name} but failed to make it the current tag`);
+        }
+
+        const result = {
+          success: true,
+          tag: name,
+          currentTag: getCurrentTag(projectRoot),
+          location: getTasksLocation(projectRoot, name),
+          message: `Created tag ${name}${switchTo ? ' and made it the current tag' : ''}`,
+          nextSteps: switchTo ?
+            ['Add tasks: parse_prd or add_task'] :
+            [`Switch to the tag: use_tag with name "${name}"`, `Or pass tag "${name}" to any task tool`]
+        };
+
+        logger.info(`Created tag ${name}`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to create tag: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to create tag: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the copy-tag tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerCopyTagTool(server) {
+  server.addTool({
+    name: 'copy_tag',
+    description: 'Create a new tag as a copy of an existing one, including its tasks, generated task files and complexity report.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      sourceName: z
+        .string()
+        .optional()
+        .describe('Tag to copy. Defaults to the current tag'),
+      targetName: z
+        .string()
+        .describe('Name of the new tag'),
+      description: z
+        .string()
+        .optional()
+        .describe('What the new tag\'s task list is for')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, targetName, description } = args;
+        const sourceName = args.sourceName || getCurrentTag(projectRoot);
+
+        logger.info(`Copying tag ${sourceName} to ${targetName}`);
+
+        if (!isValidTagName(sourceName) || !tagExists(projectRoot, sourceName)) {
+          return createErrorResponse(`Tag ${sourceName} not found`);
+        }
+
+        const nameError = checkNewTagName(projectRoot, targetName);
+        if (nameError) {
+          return createErrorResponse(nameError);
+        }
+
+        const { taskCount, copiedFiles } = copyTag(projectRoot, sourceName, targetName, description);
+
+        const result = {
+          success: true,
+          sourceTag: sourceName,
+          tag: targetName,
+          taskCount,
+          copiedFiles,
+          message: `Copied ${taskCount} task(s) from ${sourceName} to new tag ${targetName}`,
+          nextSteps: [`Switch to the copy: use_tag with name "${targetName}"`]
+        };
+
+        logger.info(`Copied tag ${sourceName} to ${targetName}: ${taskCount} task(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to copy tag: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to copy tag: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the rename-tag tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRenameTagTool(server) {
+  server.addTool({
+    name: 'rename_tag',
+    description: 'Rename a tag. The master tag cannot be renamed. If the renamed tag is current it stays current under its new name.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      oldName: z
+        .string()
+        .describe('Current name of the tag'),
+      newName: z
+        .string()
+        .describe('New name for the tag')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, oldName, newName } = args;
+
+        logger.info(`Renaming tag ${oldName} to ${newName}`);
+
+        if (oldName === DEFAULT_TAG || newName === DEFAULT_TAG) {
+          return createErrorResponse(`The ${DEFAULT_TAG} tag cannot be renamed or replaced`);
+        }
+        if (!isValidTagName(oldName) || !tagExists(projectRoot, oldName)) {
+          return createErrorResponse(`Tag ${oldName} not found`);
+        }
+
+        const nameError = checkNewTagName(projectRoot, newName);
+        if (nameError) {
+          return createErrorResponse(nameError);
+        }
+
+        renameTag(projectRoot, oldName, newName);
+
+        const result = {
+          success: true,
+          oldName,
+          tag: newName,
+          currentTag: getCurrentTag(projectRoot),
+          message: `Renamed tag ${oldName} to ${newName}`
+        };
+
+        logger.info(`Renamed tag ${oldName} to ${newName}`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to rename tag: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to rename tag: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the delete-tag tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerDeleteTagTool(server) {
+  server.addTool({
+    name: 'delete_tag',
+    description: 'Permanently delete a tag with its tasks, generated task files and complexity report. The master tag cannot be deleted. Deleting the current tag switches back to master.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      name: z
+        .string()
+        .describe('Name of the tag to delete')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, name } = args;
+
+        logger.info(`Deleting tag ${name}`);
+
+        if (name === DEFAULT_TAG) {
+          return createErrorResponse(`The ${DEFAULT_TAG} tag cannot be deleted`);
+        }
+        if (!isValidTagName(name) || !tagExists(projectRoot, name)) {
+          return createErrorResponse(`Tag ${name} not found`);
+        }
+
+        const data = loadTasks(projectRoot, name);
+        const wasCurrent = getCurrentTag(projectRoot) === name;
+
+        deleteTag(projectRoot, name);
+
+        const result = {
+          success: true,
+          tag: name,
+          tasksDeleted: data && Array.isArray(data.tasks) ? data.tasks.length : 0,
+          currentTag: getCurrentTag(projectRoot),
+          message: `Deleted tag ${name}${wasCurrent ? `, switched to ${DEFAULT_TAG}` : ''}`
+        };
+
+        logger.info(`Deleted tag ${name}`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to delete tag: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to delete tag: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Register the use-tag tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerUseTagTool(server) {
+  server.addTool({
+    name: 'use_tag',
+    description: 'Switch the current tag. Task tools called without a tag parameter operate on the current tag\'s task list.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      name: z
+        .string()
+        .describe('Name of the tag to switch to')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, name } = args;
+
+        logger.info(`Switching to tag ${name}`);
+
+        if (!isValidTagName(name) || !tagExists(projectRoot, name)) {
+          return createErrorResponse(`Tag ${name} not found. Create it first with add_tag or copy_tag`);
+        }
+
+        const previousTag = getCurrentTag(projectRoot);
+        if (!setCurrentTag(projectRoot, name)) {
+          return createErrorResponse(`Failed to switch to tag ${name}`);
+        }
+
+        const data = loadTasks(projectRoot, name);
+
+        const result = {
+          success: true,
+          previousTag,
+          currentTag: name,
+          taskCount: data && Array.isArray(data.tasks) ? data.tasks.length : 0,
+          message: `Switched from tag ${previousTag} to ${name}`,
+          nextSteps: ['See what to work on: next_task']
+        };
+
+        logger.info(`Switched from tag ${previousTag} to ${name}`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to switch tag: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to switch tag: ${error.message}`);
+      }
+    }
+  });
+}
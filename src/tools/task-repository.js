@@ -0,0 +1,170 @@
+/**
+ * Task Repository
+ * The one place tools load, query, change and save a tag's tasks. It sits on
+ * top of the configured task storage, applies schema migrations on load,
+ * resolves task and subtask IDs and records every save in the operation
+ * journal. Failures are thrown as errors with a `code` so that every tool
+ * reports them with the same wording.
+ */
+
+import {
+  resolveTag,
+  findTaskById,
+  getNextTaskId,
+  getNextSubtaskId
+} from './utils.js';
+import { loadTasks, getTasksLocation } from './storage-utils.js';
+import { writeJournaledTasks } from './journal-utils.js';
+import { CURRENT_SCHEMA_VERSION } from './schema-utils.js';
+
+/**
+ * Create a repository error
+ * @param {string} code - TASKS_NOT_FOUND, INVALID_TASKS, INVALID_TASK_ID, TASK_NOT_FOUND, READ_ONLY or SAVE_FAILED
+ * @param {string} message - Error message
+ * @returns {Error} Error with code
+ */
+function createRepositoryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parse a task ID ("5") or subtask ID ("5.2")
+ * @param {string|number} taskId - Task or subtask ID
+ * @returns {Object} { id, taskId, subtaskId, isSubtask } with numeric parts (subtaskId null for tasks)
+ * @throws {Error} With code INVALID_TASK_ID when the ID is malformed
+ */
+export function parseTaskId(taskId) {
+  const id = String(taskId).trim();
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(id);
+
+  if (!match) {
+    throw createRepositoryError('INVALID_TASK_ID', `Invalid task ID "${taskId}". Use a task ID like 5 or a subtask ID like 5.2`);
+  }
+
+  return {
+    id,
+    taskId: parseInt(match[1], 10),
+    subtaskId: match[2] !== undefined ? parseInt(match[2], 10) : null,
+    isSubtask: match[2] !== undefined
+  };
+}
+
+/**
+ * Load a tag's tasks into a repository.
+ *
+ * The repository exposes the loaded document as `data` (and its task array
+ * as `tasks`) for tools to query and change in place, plus:
+ * find(id), get(id), getTask(id), nextTaskId(), nextSubtaskId(task),
+ * touch(id) and save(operation).
+ *
+ * Query-only tools pass readOnly to work on the cached tasks directly
+ * instead of a private copy; the data is then frozen and cannot be saved.
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [tag] - Tag name, defaults to the current tag
+ * @param {Object} [options] - { allowMissing, readOnly } allowMissing starts an empty task list when the tag has no tasks yet
+ * @returns {Object} Task repository
+ * @throws {Error} With code TASKS_NOT_FOUND or INVALID_TASKS
+ */
+export function loadTaskRepository(projectRoot, tag, { allowMissing = false, readOnly = false } = {}) {
+  const resolvedTag = resolveTag(projectRoot, tag);
+  const location = getTasksLocation(projectRoot, resolvedTag);
+  let data = loadTasks(projectRoot, resolvedTag, { readOnly });
+  const isNew = !data;
+
+  if (!data) {
+    if (!allowMissing) {
+      throw createRepositoryError('TASKS_NOT_FOUND', `No tasks found in ${location}. Run init first to create the project structure.`);
+    }
+    data = { schemaVersion: CURRENT_SCHEMA_VERSION, tasks: [] };
+  }
+
+  if (!Array.isArray(data.tasks)) {
+    throw createRepositoryError('INVALID_TASKS', `Invalid tasks data in ${location}: expected a "tasks" array. Run validate_tasks_file for details.`);
+  }
+
+  const repository = {
+    projectRoot,
+    tag: resolvedTag,
+    location,
+    data,
+    isNew,
+    readOnly,
+
+    get tasks() {
+      return repository.data.tasks;
+    },
+
+    /**
+     * Find a task or subtask
+     * @param {string|number} taskId - Task ID ("5") or subtask ID ("5.2")
+     * @returns {Object|null} { task, parent, isSubtask } or null
+     */
+    find(taskId) {
+      return findTaskById(repository.tasks, parseTaskId(taskId).id);
+    },
+
+    /**
+     * Get a task or subtask that must exist
+     * @param {string|number} taskId - Task ID ("5") or subtask ID ("5.2")
+     * @returns {Object} { task, parent, isSubtask }
+     * @throws {Error} With code TASK_NOT_FOUND or INVALID_TASK_ID
+     */
+    get(taskId) {
+      const result = repository.find(taskId);
+      if (!result) {
+        const { isSubtask } = parseTaskId(taskId);
+        throw createRepositoryError('TASK_NOT_FOUND', `${isSubtask ? 'Subtask' : 'Task'} ${taskId} not found`);
+      }
+      return result;
+    },
+
+    /**
+     * Get a top-level task that must exist
+     * @param {string|number} taskId - Task ID
+     * @returns {Object} Task
+     * @throws {Error} With code TASK_NOT_FOUND or INVALID_TASK_ID
+     */
+    getTask(taskId) {
+      if (parseTaskId(taskId).isSubtask) {
+        throw createRepositoryError('INVALID_TASK_ID', `${taskId} is a subtask ID; a top-level task ID is required`);
+      }
+      return repository.get(taskId).task;
+    },
+
+    nextTaskId() {
+      return getNextTaskId(repository.tasks);
+    },
+
+    nextSubtaskId(task) {
+      return getNextSubtaskId(task);
+    },
+
+    /**
+     * Mark a task as changed; subtask changes update their parent task
+     * @param {string|number} taskId - Task ID ("5") or subtask ID ("5.2")
+     * @param {string} [timestamp] - ISO timestamp, defaults to now
+     */
+    touch(taskId, timestamp = new Date().toISOString()) {
+      const { task, parent } = repository.get(taskId);
+      (parent || task).updatedAt = timestamp;
+    },
+
+    /**
+     * Save the document and record the change in the operation journal
+     * @param {Object} operation - { tool, args, overrides } describing the mutation
+     * @throws {Error} With code READ_ONLY or SAVE_FAILED, or REVISION_CONFLICT from the storage
+     */
+    save(operation) {
+      if (readOnly) {
+        throw createRepositoryError('READ_ONLY', `Tasks in ${location} were loaded read-only and cannot be saved`);
+      }
+      if (!writeJournaledTasks(projectRoot, resolvedTag, repository.data, operation)) {
+        throw createRepositoryError('SAVE_FAILED', `Failed to save tasks to ${location}`);
+      }
+    }
+  };
+
+  return repository;
+}
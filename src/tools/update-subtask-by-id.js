@@ -1,11 +1,10 @@
 import { z } from 'zod';
-import fs from 'fs';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
-  createErrorResponse,
-  getTasksFilePath
+  createErrorResponse
 } from './utils.js';
+import { loadTaskRepository, parseTaskId } from './task-repository.js';
 
 /**
  * Register the update-subtask-by-id tool
@@ -19,6 +18,10 @@ export function registerUpdateSubtaskByIdTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       subtaskId: z
         .string()
         .describe('ID of the subtask to update in format "parentId.subtaskId"'),
@@ -33,57 +36,19 @@ export function registerUpdateSubtaskByIdTool(server) {
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, subtaskId, prompt, research } = args;
+        const { projectRoot, tag, subtaskId, prompt, research } = args;
         
         logger.info(`Preparing subtask update instructions for subtask ${subtaskId} with prompt: "${prompt}"`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        
         // Validate subtask ID format
-        if (!subtaskId || typeof subtaskId !== 'string' || !subtaskId.includes('.')) {
+        if (!subtaskId || typeof subtaskId !== 'string' || !parseTaskId(subtaskId).isSubtask) {
           return createErrorResponse(`Invalid subtask ID format: ${subtaskId}. Subtask ID must be in format "parentId.subtaskId"`);
         }
         
-        // Validate tasks file exists
-        if (!fs.existsSync(tasksPath)) {
-          return createErrorResponse(`Tasks file not found: ${tasksPath}`);
-        }
-        
-        // Read and validate tasks data
-        let tasksData;
-        try {
-          tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-          if (!tasksData || !tasksData.tasks) {
-            return createErrorResponse(`No valid tasks found in ${tasksPath}`);
-          }
-        } catch (error) {
-          return createErrorResponse(`Failed to read tasks file: ${error.message}`);
-        }
-        
-        // Parse subtask ID
-        const [parentIdStr, subtaskIdStr] = subtaskId.split('.');
-        const parentId = parseInt(parentIdStr, 10);
-        const subtaskIdNum = parseInt(subtaskIdStr, 10);
-        
-        if (isNaN(parentId) || parentId <= 0 || isNaN(subtaskIdNum) || subtaskIdNum <= 0) {
-          return createErrorResponse(`Invalid subtask ID format: ${subtaskId}. Both parent ID and subtask ID must be positive integers.`);
-        }
-        
-        // Find parent task
-        const parentTask = tasksData.tasks.find(task => task.id === parentId);
-        if (!parentTask) {
-          return createErrorResponse(`Parent task with ID ${parentId} not found. Please verify the task ID and try again.`);
-        }
-        
-        if (!parentTask.subtasks || !Array.isArray(parentTask.subtasks)) {
-          return createErrorResponse(`Parent task ${parentId} has no subtasks.`);
-        }
-        
-        // Find subtask
-        const subtask = parentTask.subtasks.find(st => st.id === subtaskIdNum);
-        if (!subtask) {
-          return createErrorResponse(`Subtask with ID ${subtaskId} not found. Please verify the subtask ID and try again.`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag);
+        const { task: subtask, parent: parentTask } = repository.get(subtaskId);
+        const parentId = parentTask.id;
+        const subtaskIdNum = subtask.id;
         
         // Build context information
         const subtaskIndex = parentTask.subtasks.findIndex(st => st.id === subtaskIdNum);
@@ -139,7 +104,7 @@ Please now analyze the subtask context and user request provided above and gener
 
 1. Take your generated text content (plain string, no JSON)
 2. Add a timestamp wrapper: "<info added on [current ISO timestamp]>\\n[your text content]\\n</info added on [current ISO timestamp]>"
-3. Append this formatted block to the existing subtask details in ${tasksPath}
+3. Append this formatted block to the existing subtask details in ${repository.location}
 4. Update the subtask description with a brief "[Updated: [current date]]" suffix if the prompt is short
 5. Use the generate_task_files tool to create individual task files
 6. Confirm the subtask was updated successfully
@@ -154,7 +119,7 @@ Please proceed with generating the new content for the subtask now based on the
         const result = {
           success: true,
           action: 'update_subtask_by_id_guidance',
-          targetFile: tasksPath,
+          targetFile: repository.location,
           parameters: {
             subtaskId,
             parentId,
@@ -1,11 +1,10 @@
 import { z } from 'zod';
-import fs from 'fs';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
-  createErrorResponse,
-  getTasksFilePath
+  createErrorResponse
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
 
 /**
  * Register the update-task-by-id tool
@@ -19,6 +18,10 @@ export function registerUpdateTaskByIdTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       taskId: z
         .number()
         .describe('Task ID to update'),
@@ -33,33 +36,12 @@ export function registerUpdateTaskByIdTool(server) {
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, taskId, prompt, research } = args;
+        const { projectRoot, tag, taskId, prompt, research } = args;
         
         logger.info(`Preparing task update instructions for task ${taskId} with prompt: "${prompt}"`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        
-        // Validate tasks file exists
-        if (!fs.existsSync(tasksPath)) {
-          return createErrorResponse(`Tasks file not found: ${tasksPath}`);
-        }
-        
-        // Read and validate tasks data
-        let tasksData;
-        try {
-          tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-          if (!tasksData || !tasksData.tasks) {
-            return createErrorResponse(`No valid tasks found in ${tasksPath}`);
-          }
-        } catch (error) {
-          return createErrorResponse(`Failed to read tasks file: ${error.message}`);
-        }
-        
-        // Find the task to update
-        const task = tasksData.tasks.find(t => t.id === taskId);
-        if (!task) {
-          return createErrorResponse(`Task with ID ${taskId} not found`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag);
+        const task = repository.getTask(taskId);
         
         // Check if task is completed
         if (task.status === 'done' || task.status === 'completed') {
@@ -103,18 +85,23 @@ ${userPrompt}
 **YOUR NEXT ACTION:**
 Please now analyze the task and new context provided above and generate the updated task JSON according to the specifications. Once you create the JSON response, you should:
 
-1. Parse the updated task from your response
-2. Validate that the task ID matches ${taskId} and preserve any completed subtasks
-3. Update the specific task in ${tasksPath}
-4. Use the generate_task_files tool to create individual task files
-5. Confirm the task was updated successfully
+1. Call apply_ai_result with:
+   - projectRoot: "${projectRoot}"
+   - action: "update_task_by_id"${tag ? `
+   - tag: "${tag}"` : ''}
+   - taskId: ${taskId}
+   - result: [the updated task JSON exactly as you generated it]
+   It checks that the ID and title are unchanged and completed subtasks are preserved, then saves the task to ${repository.location}
+2. If apply_ai_result reports violations, correct the JSON and call it again - do not edit ${repository.location} by hand
+3. Use the generate_task_files tool to create individual task files
+4. Confirm the task was updated successfully
 
 Please proceed with updating the task now based on the context and instructions above.`;
         
         const result = {
           success: true,
           action: 'update_task_by_id_guidance',
-          targetFile: tasksPath,
+          targetFile: repository.location,
           parameters: {
             taskId,
             prompt,
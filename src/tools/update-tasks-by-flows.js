@@ -1,11 +1,11 @@
 import { z } from 'zod';
-import fs from 'fs';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
-  createErrorResponse,
-  getTasksFilePath
+  createErrorResponse
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { getConfig } from './config-utils.js';
 import { fuzzyMatchFlows } from './fuzzy-matching-utils.js';
 import { 
   determineBatchStrategy,
@@ -25,6 +25,10 @@ export function registerUpdateTasksByFlowsTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       flowNames: z
         .array(z.string())
         .describe('Array of business flow names to search for in task flowNames'),
@@ -34,8 +38,7 @@ export function registerUpdateTasksByFlowsTool(server) {
       minScore: z
         .number()
         .optional()
-        .default(0.4)
-        .describe('Minimum fuzzy match score for flow name matching (0-1, default: 0.4)'),
+        .describe('Minimum fuzzy match score for flow name matching (0-1, default: fuzzy.flowMinScore in config, 0.4)'),
       maxDepth: z
         .number()
         .optional()
@@ -60,42 +63,28 @@ export function registerUpdateTasksByFlowsTool(server) {
       try {
         const { 
           projectRoot, 
+          tag,
           flowNames, 
           prompt, 
-          minScore, 
           maxDepth, 
           batchSize, 
           research,
           includeSubtasks 
         } = args;
+        const config = getConfig(projectRoot);
+        const minScore = args.minScore ?? config.fuzzy.flowMinScore;
         
         logger.info(`Preparing flow-based task update instructions with flows: ${flowNames.join(', ')}`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        
-        // Validate tasks file exists
-        if (!fs.existsSync(tasksPath)) {
-          return createErrorResponse(`Tasks file not found: ${tasksPath}`);
-        }
-        
-        // Read and validate tasks data
-        let tasksData;
-        try {
-          tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-          if (!tasksData || !tasksData.tasks) {
-            return createErrorResponse(`No valid tasks found in ${tasksPath}`);
-          }
-        } catch (error) {
-          return createErrorResponse(`Failed to read tasks file: ${error.message}`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag);
         
         // Build flow-based relevant tasks chain
         const targetTaskIds = buildFieldBasedTasksChain(
-          tasksData.tasks, 
+          repository.tasks, 
           flowNames, 
           minScore, 
           maxDepth,
-          fuzzyMatchFlows,
+          (searchTerms, taskTerms) => fuzzyMatchFlows(searchTerms, taskTerms, config.fuzzy.flowSimilarity),
           'flowNames'
         );
         
@@ -104,7 +93,7 @@ export function registerUpdateTasksByFlowsTool(server) {
         }
         
         // Filter to only updatable tasks (not done/completed)
-        const tasksToUpdate = tasksData.tasks.filter(task => 
+        const tasksToUpdate = repository.tasks.filter(task => 
           targetTaskIds.has(task.id) && 
           task.status !== 'done' && 
           task.status !== 'completed'
@@ -115,7 +104,7 @@ export function registerUpdateTasksByFlowsTool(server) {
         }
         
         // Determine batch strategy
-        const batchConfig = determineBatchStrategy(tasksToUpdate);
+        const batchConfig = determineBatchStrategy(tasksToUpdate, config.batch);
         if (batchSize) {
           batchConfig.batchSize = Math.min(batchSize, tasksToUpdate.length);
           batchConfig.useBatches = batchSize < tasksToUpdate.length;
@@ -197,7 +186,7 @@ ${generateBatchBreakdown(tasksToUpdate, batchConfig)}
 Start with Batch 1 and process each batch sequentially. For each batch:
 1. Generate the updated tasks JSON according to the specifications
 2. Parse and validate the updated tasks
-3. Update the corresponding tasks in ${tasksPath}
+3. Update the corresponding tasks in ${repository.location}
 4. Continue to the next batch
 
 After all batches are complete:
@@ -209,7 +198,7 @@ Please proceed with processing Batch 1 now based on the instructions above.`;
           const result = {
             success: true,
             action: 'update_tasks_by_flows_batched_guidance',
-            targetFile: tasksPath,
+            targetFile: repository.location,
             parameters: {
               flowNames,
               prompt,
@@ -252,7 +241,7 @@ ${userPrompt}
 Please now analyze the flow-matched tasks and new context provided above and generate the updated tasks JSON according to the specifications. Once you create the JSON response, you should:
 
 1. Parse the updated tasks from your response
-2. Update the corresponding tasks in ${tasksPath}
+2. Update the corresponding tasks in ${repository.location}
 3. Use the generate_task_files tool to create individual task files
 4. Confirm the tasks were updated successfully
 
@@ -261,7 +250,7 @@ Please proceed with updating the flow-matched tasks now based on the context and
           const result = {
             success: true,
             action: 'update_tasks_by_flows_guidance',
-            targetFile: tasksPath,
+            targetFile: repository.location,
             parameters: {
               flowNames,
               prompt,
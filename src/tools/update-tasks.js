@@ -1,11 +1,12 @@
 import { z } from 'zod';
-import fs from 'fs';
 import logger from '../logger.js';
 import { 
   createContentResponse, 
-  createErrorResponse,
-  getTasksFilePath
+  createErrorResponse
 } from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { determineBatchStrategy } from './batch-processing-utils.js';
+import { getConfig } from './config-utils.js';
 
 /**
  * Build relevant tasks chain recursively with cycle detection
@@ -57,36 +58,6 @@ function buildRelevantTasksChain(allTasks, startTaskId, visited = new Set(), max
   return relevantIds;
 }
 
-/**
- * Determine if tasks should be processed in batches based on size
- * @param {Array} tasksToUpdate - Tasks that need updating
- * @returns {Object} Batch configuration
- */
-function determineBatchStrategy(tasksToUpdate) {
-  const totalTasks = tasksToUpdate.length;
-  const avgTaskSize = JSON.stringify(tasksToUpdate).length / totalTasks;
-  
-  // Rough token estimation (1 token ≈ 4 characters)
-  const estimatedTokens = (JSON.stringify(tasksToUpdate).length / 4) * 1.5; // 1.5x for prompt overhead
-  
-  if (estimatedTokens > 15000) { // Conservative limit for context window
-    const batchSize = Math.max(1, Math.floor(10000 / (avgTaskSize / 4))); // Target ~10k tokens per batch
-    return {
-      useBatches: true,
-      batchSize: Math.min(batchSize, 5), // Max 5 tasks per batch
-      totalBatches: Math.ceil(totalTasks / batchSize),
-      estimatedTokens
-    };
-  }
-  
-  return {
-    useBatches: false,
-    batchSize: totalTasks,
-    totalBatches: 1,
-    estimatedTokens
-  };
-}
-
 /**
  * Register the update-tasks tool with scalable recursive relevant tasks approach
  * @param {Object} server - FastMCP server instance
@@ -99,6 +70,10 @@ export function registerUpdateTasksTool(server) {
       projectRoot: z
         .string()
         .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
       fromId: z
         .number()
         .optional()
@@ -127,27 +102,11 @@ export function registerUpdateTasksTool(server) {
     }),
     execute: async (args) => {
       try {
-        const { projectRoot, fromId, taskIds, prompt, research, maxDepth = 2, batchSize } = args;
+        const { projectRoot, tag, fromId, taskIds, prompt, research, maxDepth = 2, batchSize } = args;
         
         logger.info(`Preparing scalable task update instructions with prompt: "${prompt}"`);
         
-        const tasksPath = getTasksFilePath(projectRoot);
-        
-        // Validate tasks file exists
-        if (!fs.existsSync(tasksPath)) {
-          return createErrorResponse(`Tasks file not found: ${tasksPath}`);
-        }
-        
-        // Read and validate tasks data
-        let tasksData;
-        try {
-          tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-          if (!tasksData || !tasksData.tasks) {
-            return createErrorResponse(`No valid tasks found in ${tasksPath}`);
-          }
-        } catch (error) {
-          return createErrorResponse(`Failed to read tasks file: ${error.message}`);
-        }
+        const repository = loadTaskRepository(projectRoot, tag);
         
         // Determine which tasks to update using relevant tasks approach
         let targetTaskIds = new Set();
@@ -158,7 +117,7 @@ export function registerUpdateTasksTool(server) {
           logger.info(`Using explicitly provided task IDs: ${taskIds.join(', ')}`);
         } else if (fromId) {
           // Build relevant tasks chain starting from fromId
-          const relevantChain = buildRelevantTasksChain(tasksData.tasks, fromId, new Set(), maxDepth);
+          const relevantChain = buildRelevantTasksChain(repository.tasks, fromId, new Set(), maxDepth);
           targetTaskIds = relevantChain;
           logger.info(`Built relevant tasks chain from ID ${fromId}: ${Array.from(relevantChain).join(', ')}`);
         } else {
@@ -166,7 +125,7 @@ export function registerUpdateTasksTool(server) {
         }
         
         // Filter to only updatable tasks (not done/completed)
-        const tasksToUpdate = tasksData.tasks.filter(task => 
+        const tasksToUpdate = repository.tasks.filter(task => 
           targetTaskIds.has(task.id) && 
           task.status !== 'done' && 
           task.status !== 'completed'
@@ -177,7 +136,7 @@ export function registerUpdateTasksTool(server) {
         }
         
         // Determine batch strategy
-        const batchConfig = determineBatchStrategy(tasksToUpdate);
+        const batchConfig = determineBatchStrategy(tasksToUpdate, getConfig(projectRoot).batch);
         if (batchSize) {
           batchConfig.batchSize = Math.min(batchSize, tasksToUpdate.length);
           batchConfig.useBatches = batchSize < tasksToUpdate.length;
@@ -237,7 +196,7 @@ For each batch (1 to ${batchConfig.totalBatches}), you should:
    
    Return only the updated tasks as a valid JSON array.
 
-3. **Process and save**: Parse the updated tasks and merge them back into the full dataset
+3. **Process and save**: Call apply_ai_result with action "update_tasks" and result set to the updated tasks JSON array to merge them back into the full dataset
 4. **Continue to next batch**: Repeat until all ${batchConfig.totalBatches} batches are processed
 
 **BATCH BREAKDOWN:**
@@ -251,8 +210,8 @@ ${Array.from({length: batchConfig.totalBatches}, (_, i) => {
 **YOUR NEXT ACTION:**
 Start with Batch 1 and process each batch sequentially. For each batch:
 1. Generate the updated tasks JSON according to the specifications
-2. Parse and validate the updated tasks
-3. Update the corresponding tasks in ${tasksPath}
+2. Call apply_ai_result with projectRoot "${projectRoot}"${tag ? `, tag "${tag}"` : ''}, action "update_tasks" and result set to the JSON array exactly as you generated it. It validates the tasks and updates them in ${repository.location}
+3. If apply_ai_result reports violations, correct the JSON and call it again - do not edit ${repository.location} by hand
 4. Continue to the next batch
 
 After all batches are complete:
@@ -264,7 +223,7 @@ Please proceed with processing Batch 1 now based on the instructions above.`;
           const result = {
             success: true,
             action: 'update_tasks_batched_guidance',
-            targetFile: tasksPath,
+            targetFile: repository.location,
             parameters: {
               fromId,
               taskIds: taskIds || Array.from(targetTaskIds),
@@ -302,8 +261,8 @@ ${userPrompt}
 **YOUR NEXT ACTION:**
 Please now analyze the tasks and new context provided above and generate the updated tasks JSON according to the specifications. Once you create the JSON response, you should:
 
-1. Parse the updated tasks from your response
-2. Update the corresponding tasks in ${tasksPath}
+1. Call apply_ai_result with projectRoot "${projectRoot}"${tag ? `, tag "${tag}"` : ''}, action "update_tasks" and result set to the JSON array exactly as you generated it. It checks that completed tasks and subtasks are untouched and dependencies are valid, then updates the tasks in ${repository.location}
+2. If apply_ai_result reports violations, correct the JSON and call it again - do not edit ${repository.location} by hand
 3. Use the generate_task_files tool to create individual task files
 4. Confirm the tasks were updated successfully
 
@@ -312,7 +271,7 @@ Please proceed with updating the tasks now based on the context and instructions
           const result = {
             success: true,
             action: 'update_tasks_guidance',
-            targetFile: tasksPath,
+            targetFile: repository.location,
             parameters: {
               fromId,
               taskIds: taskIds || Array.from(targetTaskIds),
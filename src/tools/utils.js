@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import logger from '../logger.js';
+import { getCached, getFileVersion, invalidateCacheForPath } from './cache-utils.js';
+import { DEFAULT_TASK_STATUSES, getConfig } from './config-utils.js';
 
 /**
  * Creates standard content response for tools
@@ -56,23 +58,168 @@ export function readJSON(filePath) {
   }
 }
 
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 25;
+
+/**
+ * Get the lock file guarding writes to a file. Files inside a .taskmaster
+ * directory share one lock so that all project data is written in turn.
+ * @param {string} filePath - Path of the file being written
+ * @returns {string} Lock file path
+ */
+export function getLockFilePath(filePath) {
+  const segments = path.resolve(filePath).split(path.sep);
+  const taskmasterIndex = segments.lastIndexOf('.taskmaster');
+
+  if (taskmasterIndex !== -1) {
+    return path.join(segments.slice(0, taskmasterIndex + 1).join(path.sep) || path.sep, 'write.lock');
+  }
+  return `${filePath}.lock`;
+}
+
+/**
+ * Identify a lock file by its modification time and content, so that a lock
+ * taken again in the meantime is told apart from the one that was checked
+ * @param {string} lockPath - Lock file path
+ * @returns {string|null} Identity, or null when there is no lock file
+ */
+function readLockIdentity(lockPath) {
+  try {
+    return `${fs.statSync(lockPath).mtimeMs}:${fs.readFileSync(lockPath, 'utf8')}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether an existing lock file was left behind by a dead or hung process
+ * @param {string} lockPath - Lock file path
+ * @returns {string|null} Identity of the stale lock, or null when it must be waited for
+ */
+function findStaleLock(lockPath) {
+  let identity = null;
+  try {
+    const stats = fs.statSync(lockPath);
+    const content = fs.readFileSync(lockPath, 'utf8');
+    identity = `${stats.mtimeMs}:${content}`;
+    if (Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+      return identity;
+    }
+
+    const { pid } = JSON.parse(content);
+    if (pid && pid !== process.pid) {
+      process.kill(pid, 0);
+    }
+    return null;
+  } catch (error) {
+    // ESRCH: owner process is gone. Anything else (including a lock released
+    // or still being written in the meantime) means retry later
+    return error.code === 'ESRCH' ? identity : null;
+  }
+}
+
 /**
- * Write JSON data to file
+ * Run a function while holding a cross-process lock file
+ * @param {string} lockPath - Lock file path
+ * @param {Function} fn - Function to run while the lock is held
+ * @returns {*} Return value of fn
+ */
+export function withFileLock(lockPath, fn) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  const waitBuffer = new Int32Array(new SharedArrayBuffer(4));
+
+  ensureDirectoryExists(path.dirname(lockPath));
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      const staleLock = findStaleLock(lockPath);
+      if (staleLock) {
+        // Another process may have broken the stale lock and taken a fresh
+        // one since it was checked; only remove the lock that was found stale
+        if (readLockIdentity(lockPath) === staleLock) {
+          logger.warn(`Removing stale lock file ${lockPath}`);
+          fs.rmSync(lockPath, { force: true });
+        }
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock ${lockPath}`);
+      }
+      Atomics.wait(waitBuffer, 0, 0, LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Write JSON data to file.
+ *
+ * The write holds the project lock and goes to a temporary file that is then
+ * renamed over the target. Task lists are written with checkRevision, which
+ * uses the document's `revision` counter for optimistic concurrency: if the
+ * file on disk has moved on since `data` was read, the write is rejected
+ * instead of overwriting the newer content.
  * @param {string} filePath - Path to write JSON file
- * @param {Object} data - Data to write
+ * @param {Object} data - Data to write (with checkRevision, its revision is incremented on success)
+ * @param {Object} [options] - { checkRevision } check and bump the document's revision
  * @returns {boolean} Success status
+ * @throws {Error} With code REVISION_CONFLICT when the file was changed by someone else
  */
-export function writeJSON(filePath, data) {
+export function writeJSON(filePath, data, { checkRevision = false } = {}) {
   try {
     // Ensure directory exists
     const dir = path.dirname(filePath);
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
-    
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-    return true;
+
+    return withFileLock(getLockFilePath(filePath), () => {
+      const isDocument = checkRevision && data !== null && typeof data === 'object' && !Array.isArray(data);
+
+      if (isDocument) {
+        const current = readJSON(filePath);
+        const currentRevision = current && typeof current.revision === 'number' ? current.revision : 0;
+        const expectedRevision = typeof data.revision === 'number' ? data.revision : 0;
+
+        if (currentRevision !== expectedRevision) {
+          const conflict = new Error(`${path.basename(filePath)} was modified by another process (revision ${currentRevision}, expected ${expectedRevision}). Re-run the operation to apply it to the latest data`);
+          conflict.code = 'REVISION_CONFLICT';
+          throw conflict;
+        }
+        data.revision = currentRevision + 1;
+      }
+
+      const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+      try {
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+        invalidateCacheForPath(filePath);
+      } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        if (isDocument) {
+          data.revision -= 1;
+        }
+        throw error;
+      }
+      return true;
+    });
   } catch (error) {
+    if (error.code === 'REVISION_CONFLICT') {
+      logger.warn(error.message);
+      throw error;
+    }
     logger.error(`Error writing JSON file ${filePath}: ${error.message}`);
     return false;
   }
@@ -141,11 +288,11 @@ export function getStatusDisplay(status) {
 /**
  * Validate task status
  * @param {string} status - Status to validate
+ * @param {Array} [statuses] - Allowed statuses, defaults to the built-in list (see workflow.statuses in config)
  * @returns {boolean} Whether status is valid
  */
-export function isValidTaskStatus(status) {
-  const validStatuses = ['pending', 'in-progress', 'done', 'completed', 'blocked', 'deferred', 'cancelled'];
-  return validStatuses.includes(status);
+export function isValidTaskStatus(status, statuses = DEFAULT_TASK_STATUSES) {
+  return statuses.includes(status);
 }
 
 /**
@@ -198,22 +345,146 @@ export function getNextTaskId(tasks) {
   return maxId + 1;
 }
 
+/**
+ * Find the next available subtask ID within a task
+ * @param {Object} task - Parent task
+ * @returns {number} Next available subtask ID
+ */
+export function getNextSubtaskId(task) {
+  if (!task.subtasks || task.subtasks.length === 0) {
+    return 1;
+  }
+
+  return Math.max(...task.subtasks.map(st => st.id)) + 1;
+}
+
+export const DEFAULT_TAG = 'master';
+
+/**
+ * Get config file path
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} Config file path
+ */
+export function getConfigPath(projectRoot) {
+  return path.join(projectRoot, '.taskmaster', 'config.json');
+}
+
+/**
+ * Read .taskmaster/config.json (cached, read-only)
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object|null} Config or null when there is none
+ */
+export function getProjectConfig(projectRoot) {
+  const configPath = getConfigPath(projectRoot);
+  const config = getCached(projectRoot, 'config', () => readJSON(configPath), () => getFileVersion(configPath));
+
+  // The logger is shared by the whole server and follows the log settings
+  // of the project being worked on
+  logger.configure(config && config.global);
+  return config;
+}
+
+/**
+ * Check whether a tag name is safe to use as a directory name
+ * @param {string} tag - Tag name
+ * @returns {boolean} Whether the tag name is valid
+ */
+export function isValidTagName(tag) {
+  return typeof tag === 'string' && /^[A-Za-z0-9][A-Za-z0-9._-]{0,49}$/.test(tag);
+}
+
+/**
+ * Get the current tag from .taskmaster/config.json
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} Current tag (master when none is set)
+ */
+export function getCurrentTag(projectRoot) {
+  const config = getProjectConfig(projectRoot);
+  return config && isValidTagName(config.currentTag) ? config.currentTag : DEFAULT_TAG;
+}
+
+/**
+ * Resolve an optional tag argument to a tag name
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [tag] - Explicit tag, defaults to the current tag
+ * @returns {string} Tag name
+ * @throws {Error} When the tag name is invalid
+ */
+export function resolveTag(projectRoot, tag) {
+  const resolved = tag || getCurrentTag(projectRoot);
+  if (!isValidTagName(resolved)) {
+    throw new Error(`Invalid tag name "${resolved}". Use letters, numbers, dots, dashes and underscores`);
+  }
+  return resolved;
+}
+
+/**
+ * Get the directory holding a tag's tasks.json and generated task files.
+ * The master tag keeps the original .taskmaster/tasks location.
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [tag] - Tag name, defaults to the current tag
+ * @returns {string} Tag directory path
+ */
+export function getTagDirectory(projectRoot, tag) {
+  const resolved = resolveTag(projectRoot, tag);
+  const tasksDir = path.join(projectRoot, '.taskmaster', 'tasks');
+  return resolved === DEFAULT_TAG ? tasksDir : path.join(tasksDir, 'tags', resolved);
+}
+
+/**
+ * Get the path of the generated file for a task
+ * @param {string} tagDirectory - Directory holding the tag's task files
+ * @param {number} taskId - Task ID
+ * @returns {string} Path to task_NNN.txt
+ */
+export function getTaskFilePath(tagDirectory, taskId) {
+  return path.join(tagDirectory, `task_${String(taskId).padStart(3, '0')}.txt`);
+}
+
 /**
  * Get tasks file path
  * @param {string} projectRoot - Project root directory
+ * @param {string} [tag] - Tag name, defaults to the current tag
  * @returns {string} Tasks file path
  */
-export function getTasksFilePath(projectRoot) {
-  return path.join(projectRoot, '.taskmaster', 'tasks', 'tasks.json');
+export function getTasksFilePath(projectRoot, tag) {
+  return path.join(getTagDirectory(projectRoot, tag), 'tasks.json');
+}
+
+/**
+ * Get complexity report path
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [tag] - Tag name, defaults to the current tag
+ * @returns {string} Complexity report path
+ */
+export function getComplexityReportPath(projectRoot, tag) {
+  const resolved = resolveTag(projectRoot, tag);
+  const { complexityReportName } = getConfig(projectRoot).reports;
+  // Other tags keep their report with their task files, so that it moves and
+  // goes with the tag
+  return resolved === DEFAULT_TAG ?
+    path.join(getReportsPath(projectRoot), complexityReportName) :
+    path.join(getTagDirectory(projectRoot, resolved), complexityReportName);
 }
 
 /**
- * Get reports file path
- * @param {string} projectRoot - Project root directory  
+ * Load a tag's complexity report (cached, read-only)
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [tag] - Tag name, defaults to the current tag
+ * @returns {Object|null} Complexity report or null when there is none
+ */
+export function loadComplexityReport(projectRoot, tag) {
+  const reportPath = getComplexityReportPath(projectRoot, tag);
+  return getCached(projectRoot, `complexity:${reportPath}`, () => readJSON(reportPath), () => getFileVersion(reportPath));
+}
+
+/**
+ * Get the reports directory (reports.directory in config, relative to the project root)
+ * @param {string} projectRoot - Project root directory
  * @returns {string} Reports directory path
  */
 export function getReportsPath(projectRoot) {
-  return path.join(projectRoot, '.taskmaster', 'reports');
+  return path.resolve(projectRoot, getConfig(projectRoot).reports.directory);
 }
 
 /**
@@ -1,18 +1,82 @@
-// Placeholder for validate-dependencies tool
-// TODO: Implement dependency validation functionality
 import { z } from 'zod';
 import logger from '../logger.js';
-import { createContentResponse, createErrorResponse } from './utils.js';
+import {
+  createContentResponse,
+  createErrorResponse
+} from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { analyzeDependencies } from './dependency-utils.js';
 
+/**
+ * Register the validate-dependencies tool
+ * @param {Object} server - FastMCP server instance
+ */
 export function registerValidateDependenciesTool(server) {
   server.addTool({
     name: 'validate_dependencies',
-    description: 'Validate all task dependencies and identify issues.',
+    description: 'Validate all task and subtask dependencies and identify issues: missing targets, self-references, duplicates, circular dependencies and subtasks waiting on unfinished work outside their parent task.',
     parameters: z.object({
-      projectRoot: z.string().describe('Project root directory')
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag')
     }),
     execute: async (args) => {
-      return createErrorResponse('validate_dependencies tool not yet implemented');
+      try {
+        const { projectRoot, tag } = args;
+
+        logger.info(`Validating dependencies in project: ${projectRoot}`);
+
+        const { data } = loadTaskRepository(projectRoot, tag, { readOnly: true });
+
+        const { stats, issues } = analyzeDependencies(data.tasks);
+
+        // Cross-task subtask dependencies are legitimate but worth flagging,
+        // everything else is a broken dependency
+        const errorCount = issues.missingDependencies.length +
+          issues.selfDependencies.length +
+          issues.duplicateDependencies.length +
+          issues.circularDependencies.length;
+        const warningCount = issues.crossTaskSubtaskDependencies.length;
+
+        const result = {
+          success: true,
+          valid: errorCount === 0,
+          summary: {
+            ...stats,
+            errors: errorCount,
+            warnings: warningCount,
+            issueCounts: {
+              missingDependencies: issues.missingDependencies.length,
+              selfDependencies: issues.selfDependencies.length,
+              duplicateDependencies: issues.duplicateDependencies.length,
+              circularDependencies: issues.circularDependencies.length,
+              crossTaskSubtaskDependencies: issues.crossTaskSubtaskDependencies.length
+            }
+          },
+          issues,
+          message: errorCount === 0 ?
+            `All dependencies are valid${warningCount > 0 ? ` (${warningCount} warning(s))` : ''}` :
+            `Found ${errorCount} dependency error(s) and ${warningCount} warning(s)`
+        };
+
+        if (errorCount > 0) {
+          result.nextSteps = [
+            'Preview automatic repairs: fix_dependencies with dryRun true',
+            'Remove a single edge: remove_dependency with taskId and dependsOn'
+          ];
+        }
+
+        logger.info(`Dependency validation completed: ${errorCount} errors, ${warningCount} warnings`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to validate dependencies: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to validate dependencies: ${error.message}`);
+      }
     }
   });
 }
@@ -0,0 +1,117 @@
+import { z } from 'zod';
+import logger from '../logger.js';
+import {
+  createContentResponse,
+  createErrorResponse
+} from './utils.js';
+import { getTaskStorage, tasksExist, getTasksLocation } from './storage-utils.js';
+import { writeJournaledTasks } from './journal-utils.js';
+import { getConfig } from './config-utils.js';
+import {
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  getPendingMigrations,
+  migrateTasksData,
+  validateTasksData
+} from './schema-utils.js';
+
+/**
+ * Register the validate-tasks-file tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerValidateTasksFileTool(server) {
+  server.addTool({
+    name: 'validate_tasks_file',
+    description: 'Validate tasks.json against the task schema and report every violation with its JSON path (e.g. $.tasks[2].keywords). Also reports schema migrations the file still needs and can apply them.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag'),
+      migrate: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('Upgrade the file to the current schema version and save it before validating')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag, migrate } = args;
+
+        logger.info(`Validating tasks file in project: ${projectRoot}${migrate ? ' (with migration)' : ''}`);
+
+        const tasksPath = getTasksLocation(projectRoot, tag);
+
+        if (!tasksExist(projectRoot, tag)) {
+          return createErrorResponse(`No tasks found in ${tasksPath}. Run init first to create the project structure.`);
+        }
+
+        // Read the raw data so that problems the migrations would hide are reported
+        let data;
+        try {
+          data = getTaskStorage(projectRoot).read(tag);
+        } catch (error) {
+          return createContentResponse({
+            success: true,
+            valid: false,
+            summary: { violations: 1 },
+            violations: [{ path: '$', message: error.message, code: 'invalid_json' }],
+            message: 'tasks.json is not valid JSON'
+          });
+        }
+
+        const schemaVersion = getSchemaVersion(data);
+        let pendingMigrations = getPendingMigrations(data);
+        let migrated = false;
+
+        if (migrate && pendingMigrations.length > 0) {
+          migrated = migrateTasksData(data).migrated;
+          if (migrated && !writeJournaledTasks(projectRoot, tag, data, { tool: 'validate_tasks_file', args })) {
+            return createErrorResponse('Failed to save migrated tasks');
+          }
+          pendingMigrations = getPendingMigrations(data);
+        }
+
+        const { valid, violations } = validateTasksData(data, { statuses: getConfig(projectRoot).workflow.statuses });
+
+        const result = {
+          success: true,
+          valid,
+          schemaVersion: getSchemaVersion(data),
+          currentSchemaVersion: CURRENT_SCHEMA_VERSION,
+          migrated: migrated ? { fromVersion: schemaVersion, toVersion: getSchemaVersion(data) } : undefined,
+          pendingMigrations: pendingMigrations.length > 0 ? pendingMigrations : undefined,
+          summary: {
+            tasksChecked: Array.isArray(data.tasks) ? data.tasks.length : 0,
+            violations: violations.length
+          },
+          violations,
+          message: valid ?
+            'tasks.json matches the task schema' :
+            `Found ${violations.length} schema violation(s) in tasks.json`
+        };
+
+        const nextSteps = [];
+        if (pendingMigrations.length > 0) {
+          nextSteps.push('Upgrade the file (may fix some violations): validate_tasks_file with migrate true');
+        }
+        if (!valid) {
+          nextSteps.push('Correct the fields at the reported paths in tasks.json, then run validate_tasks_file again');
+        }
+        if (nextSteps.length > 0) {
+          result.nextSteps = nextSteps;
+        }
+
+        logger.info(`Tasks file validation completed: ${violations.length} violation(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to validate tasks file: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to validate tasks file: ${error.message}`);
+      }
+    }
+  });
+}
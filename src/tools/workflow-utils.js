@@ -0,0 +1,153 @@
+/**
+ * Workflow Utilities
+ * Checks status changes against the workflow section of the project config:
+ * allowed transitions between statuses, statuses that require a task's
+ * dependencies or subtasks to be finished first, and how status changes roll
+ * up from subtasks to their parent and cascade down from a parent.
+ */
+
+import { getDependencyKey, isCompletedStatus } from './dependency-utils.js';
+
+/**
+ * Check whether a status closes a task for good (done, completed or cancelled)
+ * @param {string} status - Task status
+ * @returns {boolean} Whether the status is closed
+ */
+export function isClosedStatus(status) {
+  return isCompletedStatus(status) || status === 'cancelled';
+}
+
+/**
+ * Check a single move between statuses against the allowed transitions
+ * @param {Object} workflow - The workflow section of the project config
+ * @param {string} oldStatus - Current status
+ * @param {string} newStatus - Requested status
+ * @returns {string|null} Reason the move is not allowed, or null
+ */
+export function checkTransition(workflow, oldStatus, newStatus) {
+  const allowed = workflow.transitions[oldStatus];
+  if (oldStatus === newStatus || !Array.isArray(allowed) || allowed.includes(newStatus)) {
+    return null;
+  }
+  return `cannot move from ${oldStatus} to ${newStatus} (allowed from ${oldStatus}: ${allowed.length > 0 ? allowed.join(', ') : 'none'})`;
+}
+
+/**
+ * Check a status change against the project's workflow
+ * @param {Object} workflow - The workflow section of the project config
+ * @param {Object} found - { task, parent, isSubtask } for the task or subtask being changed
+ * @param {string} newStatus - Requested status
+ * @param {Object} graph - Dependency graph from buildDependencyGraph (reflects changes made so far)
+ * @param {Object} [options] - { closingSubtasks } skips the open-subtask check when the change cascades to the subtasks
+ * @returns {Array} Reasons the change is not allowed, empty when it is
+ */
+export function checkStatusChange(workflow, found, newStatus, graph, { closingSubtasks = false } = {}) {
+  const { task } = found;
+  const reasons = [];
+
+  if (task.status === newStatus) {
+    return reasons;
+  }
+
+  const transitionReason = checkTransition(workflow, task.status, newStatus);
+  if (transitionReason) {
+    reasons.push(transitionReason);
+  }
+
+  if (workflow.requireDependenciesDone.includes(newStatus)) {
+    const openDependencies = getOpenDependencies(graph, task);
+    if (openDependencies.length > 0) {
+      reasons.push(`cannot move to ${newStatus} while dependencies are not done: ${openDependencies.join(', ')}`);
+    }
+  }
+
+  if (!found.isSubtask && !closingSubtasks && workflow.requireSubtasksDone.includes(newStatus)) {
+    const openSubtasks = getOpenSubtasks(task).map(subtask => `${task.id}.${subtask.id}`);
+    if (openSubtasks.length > 0) {
+      reasons.push(`cannot move to ${newStatus} while subtasks are open: ${openSubtasks.join(', ')}`);
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Get the dependencies of a task or subtask that are not done yet
+ * @param {Object} graph - Dependency graph from buildDependencyGraph
+ * @param {Object} task - Task or subtask
+ * @returns {Array} Keys of open (or missing) dependencies
+ */
+export function getOpenDependencies(graph, task) {
+  return (task.dependencies || [])
+    .map(getDependencyKey)
+    .filter(key => {
+      const node = graph.nodes.get(key);
+      return !node || !isCompletedStatus(node.task.status);
+    });
+}
+
+/**
+ * List the open tasks and subtasks that are waiting on unfinished dependencies
+ * @param {Object} graph - Dependency graph from buildDependencyGraph
+ * @returns {Array} Keys of waiting items
+ */
+export function findWaitingItems(graph) {
+  return [...graph.nodes.values()]
+    .filter(node => !isClosedStatus(node.task.status) && getOpenDependencies(graph, node.task).length > 0)
+    .map(node => node.id);
+}
+
+/**
+ * Get the subtasks of a task that are not done or cancelled
+ * @param {Object} task - Top-level task
+ * @returns {Array} Open subtasks
+ */
+export function getOpenSubtasks(task) {
+  return (task.subtasks || []).filter(subtask => !isClosedStatus(subtask.status));
+}
+
+/**
+ * Work out the status a parent should roll up to after one of its subtasks changed
+ * @param {Object} workflow - The workflow section of the project config
+ * @param {Object} parent - Parent task, with its subtasks' current statuses
+ * @returns {string|null} New parent status, or null when the parent stays as it is
+ */
+export function getParentRollUpStatus(workflow, parent) {
+  const { rollUp, statuses } = workflow;
+  const subtasks = parent.subtasks || [];
+
+  if (subtasks.length === 0 || isClosedStatus(parent.status)) {
+    return null;
+  }
+
+  // A parent whose subtasks were all cancelled is left for someone to close by hand
+  if (rollUp.completeParent &&
+      subtasks.every(subtask => isClosedStatus(subtask.status)) &&
+      subtasks.some(subtask => isCompletedStatus(subtask.status))) {
+    return 'done';
+  }
+
+  if (rollUp.startParent && parent.status === 'pending' && statuses.includes('in-progress') &&
+      subtasks.some(subtask => subtask.status === 'in-progress' || isCompletedStatus(subtask.status))) {
+    return 'in-progress';
+  }
+
+  return null;
+}
+
+/**
+ * Count items by status. Every configured status is listed, even at zero, and
+ * statuses found in the data but missing from the config are counted too.
+ * @param {Array} statuses - The configured workflow statuses
+ * @param {Array} items - Tasks or subtasks
+ * @returns {Object} Count per status
+ */
+export function countByStatus(statuses, items) {
+  const counts = Object.fromEntries(statuses.map(status => [status, 0]));
+  items.forEach(item => {
+    if (item.status) {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+    }
+  });
+  return counts;
+}
@@ -0,0 +1,147 @@
+import { z } from 'zod';
+import logger from '../logger.js';
+import {
+  createContentResponse,
+  createErrorResponse,
+  loadComplexityReport
+} from './utils.js';
+import { loadTaskRepository } from './task-repository.js';
+import { isClosedStatus } from './workflow-utils.js';
+import {
+  getEffectiveAssignee,
+  normalizePerson,
+  UNASSIGNED
+} from './assignee-utils.js';
+
+/**
+ * Round a complexity sum for display
+ * @param {number} value - Complexity sum
+ * @returns {number} Value rounded to 1 decimal
+ */
+function roundComplexity(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Summarize open work per person. A task broken down into subtasks counts
+ * through its subtasks, each carrying an equal share of the task's
+ * complexity score, so that work split between people is not counted twice.
+ * @param {Array} tasks - Array of tasks
+ * @param {Object|null} complexityReport - Parsed complexity report
+ * @returns {Array} Per-person rows, most complexity first
+ */
+export function summarizeWorkload(tasks, complexityReport) {
+  const scores = new Map(
+    (complexityReport?.complexityAnalysis || [])
+      .filter(analysis => typeof analysis.complexityScore === 'number')
+      .map(analysis => [analysis.taskId, analysis.complexityScore])
+  );
+  const people = new Map();
+
+  const rowFor = name => {
+    const key = name ? normalizePerson(name) : UNASSIGNED;
+    if (!people.has(key)) {
+      people.set(key, {
+        person: name || UNASSIGNED,
+        openTasks: 0,
+        inProgressTasks: 0,
+        openSubtasks: 0,
+        inProgressSubtasks: 0,
+        complexity: 0,
+        unscoredItems: 0,
+        reviews: 0
+      });
+    }
+    return people.get(key);
+  };
+
+  const addWork = (item, parent, complexity) => {
+    const row = rowFor(getEffectiveAssignee(item, parent));
+    const prefix = parent ? 'Subtasks' : 'Tasks';
+    row[`open${prefix}`] += 1;
+    if (item.status === 'in-progress') {
+      row[`inProgress${prefix}`] += 1;
+    }
+    if (complexity === null) {
+      row.unscoredItems += 1;
+    } else {
+      row.complexity += complexity;
+    }
+    (item.reviewers || []).forEach(reviewer => {
+      rowFor(reviewer).reviews += 1;
+    });
+  };
+
+  tasks.forEach(task => {
+    if (isClosedStatus(task.status)) {
+      return;
+    }
+    const score = scores.has(task.id) ? scores.get(task.id) : null;
+    const subtasks = task.subtasks || [];
+
+    if (subtasks.length === 0) {
+      addWork(task, null, score);
+      return;
+    }
+
+    // Count the task itself for its assignee, its complexity through the subtasks
+    addWork(task, null, 0);
+    subtasks
+      .filter(subtask => !isClosedStatus(subtask.status))
+      .forEach(subtask => addWork(subtask, task, score === null ? null : score / subtasks.length));
+  });
+
+  return [...people.values()]
+    .map(row => ({ ...row, complexity: roundComplexity(row.complexity) }))
+    .sort((a, b) => b.complexity - a.complexity || a.person.localeCompare(b.person));
+}
+
+/**
+ * Register the workload-summary tool
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerWorkloadSummaryTool(server) {
+  server.addTool({
+    name: 'workload_summary',
+    description: 'Show open work per person: open and in-progress task and subtask counts, summed complexity score of the open work (from the complexity report), and the number of open items each person reviews. Use assign_task to change assignees.',
+    parameters: z.object({
+      projectRoot: z
+        .string()
+        .describe('The root directory of the project containing .taskmaster folder'),
+      tag: z
+        .string()
+        .optional()
+        .describe('Tag (task list) to use. Defaults to the current tag')
+    }),
+    execute: async (args) => {
+      try {
+        const { projectRoot, tag } = args;
+
+        logger.info(`Summarizing workload in project: ${projectRoot}`);
+
+        const { data, tag: resolvedTag } = loadTaskRepository(projectRoot, tag, { readOnly: true });
+        const workload = summarizeWorkload(data.tasks, loadComplexityReport(projectRoot, resolvedTag));
+        const assigned = workload.filter(row => row.person !== UNASSIGNED);
+        const unassigned = workload.find(row => row.person === UNASSIGNED);
+
+        const result = {
+          success: true,
+          workload,
+          message: `${assigned.length} person(s) with open work or reviews` +
+            (unassigned ? `; ${unassigned.openTasks} open task(s) and ${unassigned.openSubtasks} open subtask(s) are unassigned` : '')
+        };
+
+        if (workload.some(row => row.unscoredItems > 0)) {
+          result.note = 'Items without a complexity score are counted in unscoredItems but not in complexity; run analyze_task_complexity to score them';
+        }
+
+        logger.info(`Workload summarized for ${workload.length} person(s)`);
+
+        return createContentResponse(result);
+      } catch (error) {
+        logger.error(`Failed to summarize workload: ${error.message}`, { error: error.stack, args });
+        return createErrorResponse(`Failed to summarize workload: ${error.message}`);
+      }
+    }
+  });
+}